@@ -3,8 +3,13 @@ import { defineConfig } from 'astro/config';
 
 import tailwindcss from '@tailwindcss/vite';
 
+// Build-time env; read off globalThis since the type-check has no Node typings
+const env = /** @type {Record<string, string | undefined>} */ (/** @type {any} */ (globalThis).process?.env ?? {});
+
 // https://astro.build/config
 export default defineConfig({
+  // Absolute links (canonical tags, calendar feeds). Netlify provides URL at build time.
+  site: env.SITE_URL || env.URL || undefined,
   vite: {
     plugins: [tailwindcss()]
   }
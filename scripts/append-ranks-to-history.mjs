@@ -8,11 +8,17 @@
  *
  * This keeps history aligned with MHR's weekly refresh while still capturing
  * unexpected changes on other days.
+ *
+ * Covers team files and inline tournament opponents tracked by MHR team id
+ * (src/lib/inline-teams.mjs; values from their freshest tournament entry,
+ * written only when they change, to mhr-<id>.json rather than their slug).
  */
 import fs from "node:fs/promises";
 import path from "node:path";
+import { collectInlineTeams, historyKey } from "../src/lib/inline-teams.mjs";
 
 const TEAMS_DIR = "src/content/teams";
+const TOURN_DIR = "src/content/tournaments";
 const HIST_DIR  = "src/data/mhr-history";
 
 // ---- time helpers (America/Chicago) ----
@@ -66,17 +72,29 @@ async function main() {
   const wed = isWednesday(weekday);
 
   const teamFiles = (await fs.readdir(TEAMS_DIR)).filter(f => f.endsWith(".json"));
-  let wroteAny = false;
-
+  const teams = [];
   for (const f of teamFiles) {
-    const teamPath = path.join(TEAMS_DIR, f);
-    const team = await readJson(teamPath, null);
+    const team = await readJson(path.join(TEAMS_DIR, f), null);
     if (!team || !team.slug) {
       console.warn(`⏭  ${f}: invalid team JSON (missing slug)`);
       continue;
     }
+    teams.push(team);
+  }
+  const tournaments = [];
+  for (const f of (await fs.readdir(TOURN_DIR).catch(() => [])).filter(f => f.endsWith(".json"))) {
+    const t = await readJson(path.join(TOURN_DIR, f), null);
+    if (t) tournaments.push(t);
+  }
+  const inline = collectInlineTeams(tournaments, teams);
+  let wroteAny = false;
 
-    const histPath = path.join(HIST_DIR, `${team.slug}.json`);
+  for (const team of [...teams, ...inline]) {
+    // Inline values are as of their last tournament refresh, so date the point then
+    const day = team.inline && team.lastUpdated
+      ? new Date(team.lastUpdated).toLocaleDateString("en-CA", { timeZone: TZ })
+      : today;
+    const histPath = path.join(HIST_DIR, `${historyKey(team)}.json`);
     const hist = await readJson(histPath, []) || [];
 
     // Current values (prefer team fields; fallback to last history point if needed)
@@ -86,14 +104,14 @@ async function main() {
     const nationalRank = numOrUndef(team.mhrNationalRank)?? numOrUndef(last.nationalRank);
 
     // Proposed entry (omit undefineds)
-    const entry = { date: today };
+    const entry = { date: day };
     if (rating       !== undefined) entry.rating = rating;
     if (stateRank    !== undefined) entry.stateRank = stateRank;
     if (nationalRank !== undefined) entry.nationalRank = nationalRank;
 
-    // If history already has an entry for today, compare; otherwise compare to "last"
-    const withoutToday = hist.filter(h => h.date !== today);
-    const prev = hist.find(h => h.date === today) ?? last;
+    // If history already has an entry for that day, compare; otherwise compare to "last"
+    const withoutToday = hist.filter(h => h.date !== day);
+    const prev = hist.find(h => h.date === day) ?? last;
 
     const hasChange =
       (prev?.rating       !== entry.rating) ||
@@ -103,13 +121,15 @@ async function main() {
     // Gate by day:
     // - Wed: always record (dedup by date)
     // - Other: only if changed
-    if (!wed && !hasChange) {
-      console.log(`• ${team.slug}: skip (no change, non-Wed)`);
+    // Inline opponents only refresh while a tournament lists them, so they
+    // always need a change (no flat Wednesday points from stale values)
+    if ((!wed || team.inline) && !hasChange) {
+      console.log(`• ${team.slug}: skip (no change, ${team.inline ? "inline opponent" : "non-Wed"})`);
       continue;
     }
 
     // Avoid rewriting if nothing changes after dedup
-    const next = [...withoutToday, entry];
+    const next = [...withoutToday, entry].sort((a, b) => String(a.date).localeCompare(String(b.date)));
     if (JSON.stringify(next) === JSON.stringify(hist)) {
       console.log(`• ${team.slug}: history unchanged`);
       continue;
@@ -120,7 +140,7 @@ async function main() {
     const badge =
       (entry.stateRank != null ? `state #${entry.stateRank}` : "state —") + ", " +
       (entry.nationalRank != null ? `national #${entry.nationalRank}` : "national —");
-    console.log(`✓ ${team.slug}: wrote ${today} (${badge}${entry.rating != null ? `, rating ${entry.rating}` : ""})`);
+    console.log(`✓ ${team.slug}: wrote ${day} (${badge}${entry.rating != null ? `, rating ${entry.rating}` : ""})`);
   }
 
   if (!wroteAny) {
@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+/**
+ * Backfill past weekly MHR points for a team whose src/data/mhr-history file
+ * starts late (e.g. a tournament opponent promoted into src/content/teams
+ * mid-season; append-ranks-to-history.mjs only records going forward).
+ *
+ * Sources (pick one or more):
+ *   --wayback      archived copies of the team's mhrUrl on web.archive.org
+ *   --dir=<path>   saved MHR pages (.html, or .txt from a --debug dump) with a
+ *                  date in the file name (2025-10-15, 20251015 or a Wayback
+ *                  timestamp); with several --team slugs, file paths must contain the slug
+ *   --csv=<file>   columns date,rating[,stateRank,nationalRank][,slug]
+ *
+ * Each snapshot is assigned to the Wednesday MHR published it on (the latest
+ * Wednesday on or before it; the newest snapshot per week wins). Weeks the
+ * history file already has are left alone — --force only redoes weeks an
+ * earlier backfill wrote (and lifts the default end date). New points get
+ * `source: "wayback" | "html" | "csv"` so they can be told apart.
+ *
+ * Run:
+ *   npm run backfill:history -- --team=rockets-a1 --wayback
+ *   npm run backfill:history -- --team=rockets-a1 --dir=./mhr-dumps --dry
+ *   npm run backfill:history -- --csv=./ratings.csv          # slug column picks the team
+ *   npm run backfill:history -- --team=kirkwood-a1 --wayback --from=2025-09-01 --to=2025-12-31 --force
+ *   npm run backfill:history -- --team=rockets-a1 --wayback --record   # or --replay (scripts/lib/record-replay.mjs)
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+
+import { normalizeText, toText, parseMhrText, regionHintsFromName, seasonYearFromUrl, fetchHtml } from "./lib/mhr-parse.mjs";
+import { parseCsv } from "./lib/csv.mjs";
+import { canonicalYmd } from "./lib/validate-data.mjs";
+import { collectInlineTeams, historyKey } from "../src/lib/inline-teams.mjs";
+import { setupRecordReplay, now } from "./lib/record-replay.mjs";
+
+const TEAMS_DIR = "src/content/teams";
+const TOURN_DIR = "src/content/tournaments";
+const HIST_DIR = "src/data/mhr-history";
+const CDX_URL = "https://web.archive.org/cdx/search/cdx";
+/** Pause between archive.org requests */
+const FETCH_DELAY_MS = 1500;
+
+function getArg(name) {
+  const p = `--${name}=`;
+  for (const a of process.argv.slice(2)) {
+    if (a.startsWith(p)) return a.slice(p.length);
+    if (a === `--${name}`) return true;
+  }
+  return undefined;
+}
+
+const DRY = !!getArg("dry");
+const FORCE = !!getArg("force");
+
+async function readJson(p, fallback = null) {
+  try { return JSON.parse(await fs.readFile(p, "utf8")); } catch { return fallback; }
+}
+
+async function writeJson(p, data) {
+  await fs.mkdir(path.dirname(p), { recursive: true });
+  await fs.writeFile(p, JSON.stringify(data, null, 2) + "\n", "utf8");
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const num = (v) => (v === "" || v == null ? undefined : Number.isFinite(Number(v)) ? Number(v) : undefined);
+
+/** The Wednesday MHR published the numbers a page shows on `ymd` */
+function publishedWednesday(ymd) {
+  const d = new Date(`${ymd}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 4) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+/** Date in a file name or Wayback timestamp: 2025-10-15, 20251015, 20251015123456 */
+function dateFromName(name) {
+  const m = /(\d{4})-(\d{2})-(\d{2})/.exec(name) ?? /(?<!\d)(20\d{2})(\d{2})(\d{2})(?:\d{6})?(?!\d)/.exec(name);
+  return m ? canonicalYmd(`${m[1]}-${m[2]}-${m[3]}`) : undefined;
+}
+
+function regionHints(team) {
+  return [team?.state, team?.mhrState, team?.region, team?.division, ...regionHintsFromName(team?.name)];
+}
+
+function snapshotFromText(text, team, date, source) {
+  const got = parseMhrText(text, regionHints(team));
+  if (!(got.rating > 0)) return null;
+  return { date, rating: got.rating, stateRank: got.stateRank, nationalRank: got.nationalRank, source };
+}
+
+/* ---------------- sources ---------------- */
+
+/** Archived captures of the team's MHR page (one per day) within [from, to] */
+async function fromWayback(team, { from, to }) {
+  if (!team.mhrUrl) {
+    console.warn(`  ⏭  ${team.slug}: no mhrUrl; can't look it up on the Wayback Machine`);
+    return [];
+  }
+  const q = new URLSearchParams({
+    url: team.mhrUrl,
+    output: "json",
+    from: from.replaceAll("-", ""),
+    to: to.replaceAll("-", ""),
+    filter: "statuscode:200",
+    collapse: "timestamp:8",
+  });
+  let rows;
+  try {
+    rows = JSON.parse(await fetchHtml(`${CDX_URL}?${q}`));
+  } catch (e) {
+    console.warn(`  ! ${team.slug}: Wayback index lookup failed: ${e.message}`);
+    return [];
+  }
+  const [header = [], ...captures] = Array.isArray(rows) ? rows : [];
+  const tsIdx = header.indexOf("timestamp");
+  const urlIdx = header.indexOf("original");
+  console.log(`  • ${team.slug}: ${captures.length} archived capture(s)`);
+
+  const out = [];
+  for (const c of captures) {
+    const ts = c[tsIdx];
+    const date = dateFromName(ts);
+    if (!date) continue;
+    try {
+      // id_ = the page as captured, without the archive toolbar
+      const html = await fetchHtml(`https://web.archive.org/web/${ts}id_/${c[urlIdx]}`);
+      const snap = snapshotFromText(toText(html), team, date, "wayback");
+      if (snap) out.push(snap);
+      else console.log(`    ⏭  ${date}: no rating in the archived page (client-rendered capture?)`);
+    } catch (e) {
+      console.warn(`    ! ${date}: ${e.message}`);
+    }
+    await sleep(FETCH_DELAY_MS);
+  }
+  return out;
+}
+
+async function listFiles(dir) {
+  const out = [];
+  for (const ent of await fs.readdir(dir, { withFileTypes: true })) {
+    const p = path.join(dir, ent.name);
+    if (ent.isDirectory()) out.push(...(await listFiles(p)));
+    else if (/\.(html?|txt)$/i.test(ent.name)) out.push(p);
+  }
+  return out;
+}
+
+/** Saved pages in a local directory */
+async function fromDir(team, dir, { onlyMatching }) {
+  let files;
+  try { files = await listFiles(dir); } catch (e) {
+    console.warn(`  ! ${dir}: ${e.message}`);
+    return [];
+  }
+  const out = [];
+  for (const f of files) {
+    if (onlyMatching && !f.toLowerCase().includes(team.slug.toLowerCase())) continue;
+    const date = dateFromName(path.basename(f));
+    if (!date) {
+      console.log(`  ⏭  ${f}: no date in the file name`);
+      continue;
+    }
+    const raw = await fs.readFile(f, "utf8");
+    const text = /\.txt$/i.test(f) ? normalizeText(raw) : toText(raw);
+    const snap = snapshotFromText(text, team, date, "html");
+    if (snap) out.push(snap);
+    else console.log(`  ⏭  ${f}: no rating found`);
+  }
+  return out;
+}
+
+/** CSV rows for this team (rows without a slug column apply to every --team) */
+function fromCsv(team, rows) {
+  return rows
+    .filter((r) => !r.slug || r.slug === team.slug)
+    .map((r) => ({
+      date: canonicalYmd(r.date),
+      rating: num(r.rating),
+      stateRank: num(r.stateRank),
+      nationalRank: num(r.nationalRank),
+      source: "csv",
+    }))
+    .filter((p) => p.date && p.rating > 0);
+}
+
+/* ---------------- merge ---------------- */
+
+/** One point per published Wednesday, newest snapshot of the week winning */
+function toWeekly(snaps) {
+  const byWeek = new Map();
+  for (const s of [...snaps].sort((a, b) => a.date.localeCompare(b.date))) {
+    byWeek.set(publishedWednesday(s.date), s);
+  }
+  return [...byWeek].map(([date, s]) => {
+    const p = { date, rating: s.rating };
+    if (s.stateRank !== undefined) p.stateRank = s.stateRank;
+    if (s.nationalRank !== undefined) p.nationalRank = s.nationalRank;
+    p.source = s.source;
+    return p;
+  });
+}
+
+/** Recorded weeks always win; with --force earlier backfilled weeks are redone. */
+function mergeHistory(hist, points) {
+  const weekOf = new Map(hist.map((p) => [publishedWednesday(p.date), p]));
+  const written = [];
+  let replaced = 0;
+  const keep = [...hist];
+  for (const p of points) {
+    const existing = weekOf.get(p.date);
+    if (existing && !(FORCE && existing.source)) continue;
+    if (existing) {
+      keep.splice(keep.indexOf(existing), 1);
+      replaced++;
+    }
+    keep.push(p);
+    written.push(p);
+  }
+  return { next: keep.sort((a, b) => a.date.localeCompare(b.date)), written, replaced };
+}
+
+async function main() {
+  setupRecordReplay();
+  const teamFiles = (await fs.readdir(TEAMS_DIR)).filter((f) => f.endsWith(".json"));
+  const teams = [];
+  for (const f of teamFiles) {
+    const t = await readJson(path.join(TEAMS_DIR, f));
+    if (t?.slug) teams.push(t);
+  }
+  // Inline tournament opponents have history files too
+  const tournaments = [];
+  for (const f of (await fs.readdir(TOURN_DIR)).filter((f) => f.endsWith(".json"))) {
+    const t = await readJson(path.join(TOURN_DIR, f));
+    if (t) tournaments.push(t);
+  }
+  teams.push(...collectInlineTeams(tournaments, teams));
+
+  const csvPath = getArg("csv");
+  const csvRows = typeof csvPath === "string" ? parseCsv(await fs.readFile(csvPath, "utf8")) : null;
+  const dir = getArg("dir");
+  const wayback = !!getArg("wayback");
+  if (!csvRows && typeof dir !== "string" && !wayback) {
+    console.error("Pick a source: --wayback, --dir=<path> or --csv=<file> (see the header of this script).");
+    process.exit(1);
+  }
+
+  const teamArg = getArg("team");
+  const wanted = typeof teamArg === "string"
+    ? teamArg.split(",").map((s) => s.trim()).filter(Boolean)
+    : [...new Set((csvRows ?? []).map((r) => r.slug).filter(Boolean))];
+  if (!wanted.length) {
+    console.error("Name the team(s) with --team=<slug>[,<slug>] (or give the CSV a slug column).");
+    process.exit(1);
+  }
+
+  for (const slug of wanted) {
+    const team = teams.find((t) => t.slug === slug);
+    if (!team) {
+      console.warn(`⏭  ${slug}: no team file in ${TEAMS_DIR} or inline tournament opponent`);
+      continue;
+    }
+    const histPath = path.join(HIST_DIR, `${historyKey(team)}.json`);
+    const hist = (await readJson(histPath, [])) ?? [];
+
+    // Default window: season start (Aug 1 of the mhrUrl season) up to the first recorded point
+    const season = seasonYearFromUrl(team.mhrUrl) ?? now().getUTCFullYear();
+    const from = canonicalYmd(getArg("from")) ?? `${season}-08-01`;
+    const to = canonicalYmd(getArg("to")) ?? (FORCE ? null : hist[0]?.date) ?? now().toISOString().slice(0, 10);
+    console.log(`${slug}: backfilling ${from} → ${to}`);
+
+    const snaps = [];
+    if (wayback) snaps.push(...(await fromWayback(team, { from, to })));
+    if (typeof dir === "string") snaps.push(...(await fromDir(team, dir, { onlyMatching: wanted.length > 1 })));
+    if (csvRows) snaps.push(...fromCsv(team, csvRows));
+
+    const points = toWeekly(snaps.filter((s) => s.date >= from && s.date <= to));
+    const { next, written, replaced } = mergeHistory(hist, points);
+    if (!written.length) {
+      console.log(`• ${slug}: nothing new (${snaps.length} snapshot(s) found, ${points.length} week(s))`);
+      continue;
+    }
+    if (!DRY) await writeJson(histPath, next);
+    console.log(
+      `✓ ${slug}: ${DRY ? "would write" : "wrote"} ${written.length} point(s)${replaced ? ` (${replaced} redone)` : ""} ` +
+        `(${next.length} total) -> ${histPath}`
+    );
+    for (const p of written) {
+      console.log(`    ${p.date}  ${p.rating.toFixed(2)}  state ${p.stateRank ?? "—"}  national ${p.nationalRank ?? "—"}  [${p.source}]`);
+    }
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
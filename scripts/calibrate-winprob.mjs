@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * Fit the win-probability model in src/lib/probability.ts from our own games.
+ *
+ * Samples: every game in our result logs (src/data/results/<slug>.json) whose
+ * opponent resolves, with the site's resolver, to a team with MHR history — a
+ * team file or an inline tournament opponent (mhr-history/mhr-<id>.json) —
+ * paired with both teams' ratings current on the game date (latest point on
+ * or before it). A game in both teams' logs counts once. The fitted
+ * parameters go to src/data/winprob-model.json, which winProb() reads at
+ * build time. Sampling and fitting live in scripts/lib/winprob-fit.mjs
+ * (model described there, mirroring src/lib/probability.ts).
+ *
+ * Reports Brier score and log-loss on the expected score (W=1, T=0.5, L=0)
+ * next to a coin flip and the site's default (scale 6, draw band 1.75). The
+ * tie band is written only with --draw, so a scale-only fit keeps the default.
+ *
+ * Run:
+ *   npm run calibrate:winprob
+ *   npm run calibrate:winprob -- --home --draw      # also fit home ice and a tie band
+ *   npm run calibrate:winprob -- --dry-run          # report only, don't write
+ *   npm run calibrate:winprob -- --min-games=10
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import { createResolver } from "../src/lib/opponent-match.mjs";
+import { collectInlineTeams } from "../src/lib/inline-teams.mjs";
+import { buildSamples, fit, metrics, DEFAULT_MODEL } from "./lib/winprob-fit.mjs";
+
+const RESULTS_DIR = "src/data/results";
+const HIST_DIR = "src/data/mhr-history";
+const TEAMS_DIR = "src/content/teams";
+const TOURN_DIR = "src/content/tournaments";
+const OVERRIDES_FILE = "src/data/opponent-overrides.json";
+const OUT_FILE = "src/data/winprob-model.json";
+
+function getArg(name) {
+  const p = `--${name}=`;
+  for (const a of process.argv.slice(2)) {
+    if (a.startsWith(p)) return a.slice(p.length);
+    if (a === `--${name}`) return true;
+  }
+  return undefined;
+}
+
+const FIT_HOME = !!getArg("home");
+const FIT_DRAW = !!getArg("draw");
+const DRY_RUN = !!getArg("dry-run");
+const MIN_GAMES = Number.isFinite(+getArg("min-games")) && +getArg("min-games") > 0 ? +getArg("min-games") : 20;
+
+async function readJson(p, fallback = null) { try { return JSON.parse(await fs.readFile(p, "utf8")); } catch { return fallback; } }
+async function writeJson(p, data) { await fs.mkdir(path.dirname(p), { recursive: true }); await fs.writeFile(p, JSON.stringify(data, null, 2) + "\n", "utf8"); }
+
+/** <file name> → parsed JSON for a directory; only lists unless `lists` is false */
+async function readDir(dir, { lists = true } = {}) {
+  const out = new Map();
+  let files = [];
+  try { files = (await fs.readdir(dir)).filter((f) => f.endsWith(".json")).sort(); } catch { return out; }
+  for (const f of files) {
+    const data = await readJson(path.join(dir, f), null);
+    if (lists ? Array.isArray(data) : data) out.set(path.basename(f, ".json"), data);
+  }
+  return out;
+}
+
+/** The site's opponent resolver: team files, inline tournament opponents and sourceId overrides */
+async function loadResolver() {
+  const teams = [...(await readDir(TEAMS_DIR, { lists: false })).values()].filter((t) => t?.slug);
+  const inline = collectInlineTeams([...(await readDir(TOURN_DIR, { lists: false })).values()], teams);
+  return createResolver([...teams, ...inline], { overrides: (await readJson(OVERRIDES_FILE, {})) ?? {} });
+}
+
+/* ---------------- main ---------------- */
+
+const round = (n, d = 4) => Math.round(n * 10 ** d) / 10 ** d;
+
+async function main() {
+  const logs = await readDir(RESULTS_DIR);
+  const histories = await readDir(HIST_DIR);
+  for (const h of histories.values()) h.sort((x, y) => String(x.date).localeCompare(String(y.date)));
+
+  const resolver = await loadResolver();
+  const samples = buildSamples(logs, histories, (g) => resolver.resolve(g));
+  console.log(`Games with both teams' ratings on the day: ${samples.length}`);
+  if (samples.length < MIN_GAMES) {
+    console.log(`Need at least ${MIN_GAMES} games to calibrate (use --min-games=N to override). Nothing written.`);
+    return;
+  }
+
+  const fitted = fit(samples, { home: FIT_HOME, draw: FIT_DRAW });
+  const m = metrics(fitted, samples);
+  const current = metrics(DEFAULT_MODEL, samples);
+  const coinFlip = { brier: 0.25, logLoss: Math.log(2) };
+  const ties = samples.filter((s) => s.score === 0.5).length;
+
+  console.log(`\nFitted: scale ${fitted.scale.toFixed(1)}${FIT_HOME ? `, home ${fitted.homeAdvantage.toFixed(2)}` : ""}${FIT_DRAW ? `, draw band ${fitted.drawBand.toFixed(2)}` : ""}`);
+  console.log(`Ties in sample: ${ties}/${samples.length}`);
+  console.log("\n              Brier    Log-loss");
+  console.log(`  fitted      ${m.brier.toFixed(4)}   ${m.logLoss.toFixed(4)}`);
+  console.log(`  default     ${current.brier.toFixed(4)}   ${current.logLoss.toFixed(4)}`);
+  console.log(`  coin flip   ${coinFlip.brier.toFixed(4)}   ${coinFlip.logLoss.toFixed(4)}`);
+  if (m.brier >= coinFlip.brier) console.log("\n! Fitted model does not beat a coin flip on these games.");
+
+  const out = {
+    scale: round(fitted.scale, 2),
+    homeAdvantage: round(fitted.homeAdvantage, 2),
+    ...(FIT_DRAW ? { drawBand: round(fitted.drawBand, 2) } : {}),
+    fittedAt: new Date().toISOString(),
+    games: samples.length,
+    ties,
+    metrics: {
+      brier: round(m.brier),
+      logLoss: round(m.logLoss),
+      defaultBrier: round(current.brier),
+      defaultLogLoss: round(current.logLoss),
+      coinFlipBrier: coinFlip.brier,
+      coinFlipLogLoss: round(coinFlip.logLoss),
+    },
+  };
+
+  if (DRY_RUN) {
+    console.log("\n(dry run) would write:", JSON.stringify(out, null, 2));
+    return;
+  }
+  await writeJson(OUT_FILE, out);
+  console.log(`\n✓ wrote ${OUT_FILE}`);
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
@@ -1,5 +1,6 @@
 export const scheduleSources = {
-  // Map team slug -> list of sources to try (first that returns events wins)
+  // Map team slug -> list of sources to try (first that returns events wins),
+  // or { mode: "merge", sources: [...] } to combine them all (de-duplicated).
   "chesterfield-a1": [
     {
       type: "ics",
@@ -14,4 +15,17 @@ export const scheduleSources = {
   // "springfield-a1": [
   //   { type: "ics", url: "https://example.com/springfield.ics", selfName: "Springfield 12U A1" }
   // ],
+  //
+  // Other source types (see scripts/lib/schedule-adapters.mjs):
+  // "kirkwood-a1": {
+  //   mode: "merge",
+  //   sources: [
+  //     // SportsEngine team calendar ("Subscribe" → copy the ICS link)
+  //     { type: "sportsengine", url: "webcal://www.kyha.org/ical_feed?tags=XXXXXXX", selfName: "Kirkwood 12U A1" },
+  //     // GameSheet season schedule JSON (copy the schedule request URL from the browser's network tab)
+  //     { type: "gamesheet", url: "https://gamesheetstats.com/api/...", teamName: "Kirkwood 12U A1", timeZone: "America/Chicago" },
+  //     // Hand-kept CSV (local times): date,time,opponent,homeAway,venue,league,tournament
+  //     { type: "csv", file: "src/data/schedule-drops/kirkwood-a1.csv", timeZone: "America/Chicago" }
+  //   ]
+  // },
 };
@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+/**
+ * Find a tournament on GameSheet and start its tournament file.
+ *
+ * Searches a local index of GameSheet seasons (.cache/tournament-index.json),
+ * built from scripts/tournaments_all.csv and grown by probing season ids on
+ * the GameSheet API (only ids not in the index yet, unless --refresh).
+ * Results are ranked by fuzzy keyword, city and association matches and by
+ * how close the dates fall to the window; dates and city come from the season
+ * when GameSheet has them, otherwise from the title.
+ *
+ * --create=<id> writes src/content/tournaments/<slug>.json for a season with
+ * name, dates, location, standingsUrl (filtered to the home team's division
+ * when the season lists divisions) and the home team as the first opponent.
+ *
+ * Run:
+ *   npm run find:tournament -- --keywords=PREDSident,Nashville --from=2026-02-13 --to=2026-02-16
+ *   npm run find:tournament -- --city=Detroit --assoc="Hockey Time" --from=2026-01-16
+ *   npm run find:tournament -- --probe                 # ids after the highest known one
+ *   npm run find:tournament -- --probe=13200-14600 --refresh
+ *   npm run find:tournament -- --create=13421 --division="12U A" --slug=detroit-motown-cup
+ *   npm run find:tournament -- --create=13421 --team=rockets-a1 --location="Detroit, MI" --dry
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+
+import { parseCsv } from "./lib/csv.mjs";
+import { slugify } from "../src/lib/opponent-match.mjs";
+import {
+  entryFromCsv,
+  entryFromSeason,
+  pickDivision,
+  searchIndex,
+  seasonApiUrl,
+  standingsUrl,
+  titleName,
+} from "./lib/tournament-index.mjs";
+import { setupRecordReplay, now } from "./lib/record-replay.mjs";
+
+const CSV_FILE = "scripts/tournaments_all.csv";
+const INDEX_FILE = ".cache/tournament-index.json";
+const TOURN_DIR = "src/content/tournaments";
+const PORTAL_FILE = "src/config/portal.json";
+
+function getArg(name) {
+  const p = `--${name}=`;
+  for (const a of process.argv.slice(2)) {
+    if (a.startsWith(p)) return a.slice(p.length);
+    if (a === `--${name}`) return true;
+  }
+  return undefined;
+}
+
+const str = (v) => (typeof v === "string" && v.trim() ? v.trim() : undefined);
+const numArg = (name, def) => (Number.isFinite(Number(getArg(name))) ? Number(getArg(name)) : def);
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const DRY = !!getArg("dry");
+
+async function readJson(p, fallback = null) {
+  try { return JSON.parse(await fs.readFile(p, "utf8")); } catch { return fallback; }
+}
+
+async function writeJson(p, data) {
+  await fs.mkdir(path.dirname(p), { recursive: true });
+  await fs.writeFile(p, JSON.stringify(data, null, 2) + "\n", "utf8");
+}
+
+/** The index, with any tournaments_all.csv rows it doesn't have yet (probed entries win) */
+async function loadIndex() {
+  const index = (await readJson(INDEX_FILE)) ?? { entries: [], empty: [] };
+  const known = new Set(index.entries.map((e) => e.id));
+  let added = 0;
+  try {
+    for (const row of parseCsv(await fs.readFile(CSV_FILE, "utf8"))) {
+      const e = entryFromCsv(row);
+      if (e && !known.has(e.id)) {
+        index.entries.push(e);
+        known.add(e.id);
+        added++;
+      }
+    }
+  } catch (e) {
+    console.warn(`! ${CSV_FILE}: ${e?.message ?? e}`);
+  }
+  return { index, added };
+}
+
+async function saveIndex(index) {
+  index.entries.sort((a, b) => a.id - b.id);
+  index.empty = [...new Set(index.empty)].sort((a, b) => a - b);
+  await writeJson(INDEX_FILE, { updatedAt: now().toISOString(), ...index });
+}
+
+/** getSeason/<id> → entry, null when GameSheet has no season there; throws on network trouble */
+async function fetchSeason(id) {
+  const res = await fetch(seasonApiUrl(id), { headers: { accept: "application/json" } });
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const json = await res.json().catch(() => null);
+  return json ? entryFromSeason(id, json) : null;
+}
+
+function upsert(index, entry) {
+  const i = index.entries.findIndex((e) => e.id === entry.id);
+  if (i >= 0) index.entries[i] = entry;
+  else index.entries.push(entry);
+  index.empty = index.empty.filter((id) => id !== entry.id);
+}
+
+/** Probe season ids into the index: "--probe" continues after the highest known id, "--probe=a-b" a range */
+async function probe(index) {
+  const spec = getArg("probe");
+  const known = new Set([...index.entries.map((e) => e.id), ...index.empty]);
+  const refresh = !!getArg("refresh");
+  const delay = numArg("delay", 250);
+  const stopAfter = numArg("stop-after", 50);
+
+  let from, to;
+  const m = typeof spec === "string" ? /^(\d+)(?:-(\d+))?$/.exec(spec) : null;
+  if (m) [from, to] = [Number(m[1]), Number(m[2] ?? m[1])];
+  else {
+    from = Math.max(0, ...known) + 1;
+    to = from + numArg("count", 200) - 1;
+  }
+  console.log(`Probing GameSheet seasons ${from}–${to}${refresh ? " (refresh)" : ""}\n`);
+
+  let found = 0, misses = 0, skipped = 0;
+  for (let id = from; id <= to; id++) {
+    if (known.has(id) && !refresh) {
+      skipped++;
+      continue;
+    }
+    let entry;
+    try {
+      entry = await fetchSeason(id);
+    } catch (e) {
+      console.warn(`! ${id}: ${e?.message ?? e}`);
+      continue;
+    }
+    if (entry) {
+      upsert(index, { ...entry, probedAt: now().toISOString() });
+      found++;
+      misses = 0;
+      console.log(`✓ ${id} ${entry.title}${entry.association ? ` | ${entry.association}` : ""}`);
+    } else {
+      index.empty.push(id);
+      misses++;
+      // Past the newest season every id is empty; don't walk the whole range
+      if (!m && misses >= stopAfter) {
+        console.log(`⏭  ${stopAfter} empty ids in a row; stopping at ${id}`);
+        break;
+      }
+    }
+    if (!DRY && (found + misses) % 25 === 0) await saveIndex(index);
+    if (delay) await sleep(delay);
+  }
+  console.log(`\n${found} season(s) found, ${skipped} already indexed`);
+}
+
+function fmtDates(e) {
+  if (!e.startDate) return "dates ?";
+  return e.endDate && e.endDate !== e.startDate ? `${e.startDate} → ${e.endDate}` : e.startDate;
+}
+
+function search(index) {
+  const keywords = str(getArg("keywords"))?.split(",").map((s) => s.trim()).filter(Boolean);
+  const date = str(getArg("date"));
+  const query = {
+    keywords,
+    city: str(getArg("city")),
+    association: str(getArg("assoc")),
+    from: str(getArg("from")) ?? date,
+    to: str(getArg("to")) ?? date,
+  };
+  for (const k of ["from", "to"]) {
+    if (query[k] && !/^\d{4}-\d{2}-\d{2}$/.test(query[k])) throw new Error(`--${k}=${query[k]}: expected YYYY-MM-DD`);
+  }
+
+  const results = searchIndex(index.entries, query, { limit: numArg("limit", 10), minScore: numArg("min", 30) });
+  if (!results.length) {
+    console.log("No matches. Loosen the search (--min=, fewer criteria) or probe for newer seasons (--probe).");
+    return;
+  }
+  for (const { entry: e, score, why } of results) {
+    const where = [e.city, e.region].filter(Boolean).join(", ");
+    console.log(`${String(score).padStart(3)}  [${e.id}] ${e.title}`);
+    console.log(`       ${[e.association, where, fmtDates(e)].filter(Boolean).join(" | ")}${why.length ? `  (${why.join(", ")})` : ""}`);
+  }
+  console.log(`\nStart a tournament file: npm run find:tournament -- --create=<id> [--division="12U A"]`);
+}
+
+async function create(index, id) {
+  const portal = (await readJson(PORTAL_FILE, {})) ?? {};
+  const homes = portal.homeTeams ?? [];
+  const home = str(getArg("team")) ? homes.find((h) => h.slug === getArg("team")) : homes[0];
+  if (!home) throw new Error(`--team=${getArg("team")}: not a home team in ${PORTAL_FILE}`);
+
+  // Refresh the season for its divisions (and any city/dates GameSheet has added)
+  let entry = index.entries.find((e) => e.id === id);
+  try {
+    const live = await fetchSeason(id);
+    if (live) {
+      entry = { ...entry, ...live, probedAt: now().toISOString() };
+      upsert(index, entry);
+    }
+  } catch (e) {
+    console.warn(`! ${seasonApiUrl(id)}: ${e?.message ?? e}${entry ? " (using the index)" : ""}`);
+  }
+  if (!entry) throw new Error(`season ${id}: not in the index and GameSheet has no season there`);
+
+  const name = str(getArg("name")) ?? titleName(entry.title);
+  const slug = str(getArg("slug")) ?? slugify(name);
+  const file = path.join(TOURN_DIR, `${slug}.json`);
+  if ((await readJson(file)) && !getArg("force")) {
+    console.error(`✗ ${file} already exists (--force to overwrite, or --slug=)`);
+    process.exit(1);
+  }
+
+  const wantDivision = str(getArg("division")) ?? home.divisionName;
+  const division =
+    pickDivision(entry.divisions, wantDivision) ??
+    pickDivision(entry.divisions, /\b\d{1,2}\s*u\b/i.exec(wantDivision ?? "")?.[0]);
+  const location = str(getArg("location")) ?? ([entry.city, entry.region].filter(Boolean).join(", ") || "TBD");
+
+  const tournament = {
+    name,
+    slug,
+    location,
+    ...(entry.startDate && { startDate: entry.startDate }),
+    ...(entry.endDate && { endDate: entry.endDate }),
+    standingsUrl: standingsUrl(entry.id, division?.id),
+    ...(homes[0] && home.slug !== homes[0].slug && { team: home.slug }),
+    opponents: [home.slug],
+  };
+
+  if (!DRY) await writeJson(file, tournament);
+  console.log(`${DRY ? "•" : "✓"} ${file}${DRY ? " (dry run)" : ""}`);
+  console.log(JSON.stringify(tournament, null, 2));
+  if (location === "TBD") console.warn(`! GameSheet has no city for season ${id}; set "location" (or pass --location=)`);
+  if (!entry.startDate) console.warn(`! no dates in season ${id} or its title; add startDate/endDate`);
+  if (entry.divisions?.length && !division) {
+    console.warn(`! no division matched "${wantDivision}"; standings link the whole season. Divisions: ${entry.divisions.map((d) => d.title).join(", ")}`);
+  } else if (division) {
+    console.log(`• standings filtered to division "${division.title}"`);
+  }
+  console.log(`\nNext: add the other opponents, then npm run update:tournaments:inline && npm run validate:data`);
+}
+
+async function main() {
+  setupRecordReplay();
+  const { index, added } = await loadIndex();
+  if (added) console.log(`• ${added} season(s) added to the index from ${CSV_FILE}`);
+
+  const createId = getArg("create");
+  const searching = ["keywords", "city", "assoc", "from", "to", "date"].some((k) => getArg(k) !== undefined);
+
+  if (getArg("probe") !== undefined) await probe(index);
+  if (createId !== undefined) {
+    if (!/^\d+$/.test(String(createId))) throw new Error(`--create=${createId}: expected a GameSheet season id`);
+    await create(index, Number(createId));
+  } else if (searching) {
+    search(index);
+  } else if (getArg("probe") === undefined) {
+    console.log(`${index.entries.length} GameSheet season(s) indexed. Search with --keywords=, --city=, --assoc=, --from=/--to= (or --date=); see the header of scripts/find-tournament.mjs.`);
+  }
+
+  if (!DRY) await saveIndex(index);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
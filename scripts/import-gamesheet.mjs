@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * Import player and goalie stats from GameSheet box scores into per-team files:
+ * src/data/players/<slug>.json (game lines plus season totals), shown as
+ * "Players to watch" on team and matchup pages.
+ *
+ * Sources (comma-separate several):
+ *   --from=<file.json|dir>  saved GameSheet payloads (a season/division box
+ *                           score dump, one game, or a directory of them)
+ *   --url=<url>             the same fetched over HTTP (GameSheet, or a local
+ *                           mock server serving saved payloads)
+ *   --boxscore-url=<url with {id}>  for games in a payload without player
+ *                           data (a season schedule), fetch each game's box score
+ *
+ * Each side's GameSheet team name is matched to a team file or inline
+ * tournament opponent with the site's opponent resolver (add `aliases` for
+ * misses; `npm run report:opponents` shows candidates). Home teams
+ * (src/config/portal.json) are skipped. Games merge into the existing file by
+ * GameSheet game id, so re-running is safe.
+ *
+ * Run:
+ *   npm run update:players -- --from=tmp/gamesheet/
+ *   npm run update:players -- --url=http://localhost:8080/division-19054.json
+ *   npm run update:players -- --url=https://gamesheetstats.com/api/... --boxscore-url="https://gamesheetstats.com/api/.../{id}"
+ *   npm run update:players -- --from=tmp/blue-note.json --team=rockets-a1 --dry
+ *   npm run update:players -- --url=... --record        # or --replay (scripts/lib/record-replay.mjs)
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+
+import { createResolver } from "../src/lib/opponent-match.mjs";
+import { collectInlineTeams } from "../src/lib/inline-teams.mjs";
+import { findGames, hasBoxScore, parseBoxScore, teamGame, aggregatePlayers } from "./lib/gamesheet-boxscore.mjs";
+import { setupRecordReplay, now } from "./lib/record-replay.mjs";
+
+const TEAMS_DIR = "src/content/teams";
+const TOURN_DIR = "src/content/tournaments";
+const PLAYERS_DIR = "src/data/players";
+const OVERRIDES_FILE = "src/data/opponent-overrides.json";
+const PORTAL_FILE = "src/config/portal.json";
+
+function getArg(name) {
+  const p = `--${name}=`;
+  for (const a of process.argv.slice(2)) {
+    if (a.startsWith(p)) return a.slice(p.length);
+    if (a === `--${name}`) return true;
+  }
+  return undefined;
+}
+
+const DRY = !!getArg("dry");
+const ONLY = typeof getArg("team") === "string" ? new Set(getArg("team").split(",")) : null;
+const list = (v) => (typeof v === "string" ? v.split(",").map((s) => s.trim()).filter(Boolean) : []);
+
+async function readJson(p, fallback = null) {
+  try { return JSON.parse(await fs.readFile(p, "utf8")); } catch { return fallback; }
+}
+
+async function writeJson(p, data) {
+  await fs.mkdir(path.dirname(p), { recursive: true });
+  await fs.writeFile(p, JSON.stringify(data, null, 2) + "\n", "utf8");
+}
+
+async function loadDir(dir) {
+  const out = [];
+  for (const f of (await fs.readdir(dir).catch(() => [])).filter((f) => f.endsWith(".json")).sort()) {
+    const data = await readJson(path.join(dir, f));
+    if (data) out.push(data);
+  }
+  return out;
+}
+
+async function fetchJson(url) {
+  const res = await fetch(url, { headers: { accept: "application/json" } });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.json();
+}
+
+/** Payloads from --from files/dirs and --url, as { label, data } */
+async function loadPayloads() {
+  const out = [];
+  for (const p of list(getArg("from"))) {
+    const stat = await fs.stat(p).catch(() => null);
+    if (!stat) {
+      console.warn(`! ${p}: not found`);
+      continue;
+    }
+    const files = stat.isDirectory()
+      ? (await fs.readdir(p)).filter((f) => f.endsWith(".json")).sort().map((f) => path.join(p, f))
+      : [p];
+    for (const f of files) {
+      const data = await readJson(f);
+      if (data) out.push({ label: f, data });
+      else console.warn(`! ${f}: invalid JSON`);
+    }
+  }
+  for (const url of list(getArg("url"))) {
+    try {
+      out.push({ label: url, data: await fetchJson(url) });
+    } catch (e) {
+      console.warn(`! ${url}: ${e?.message ?? e}`);
+    }
+  }
+  return out;
+}
+
+/** Box score games in the payloads (fetching each via --boxscore-url when a payload only lists games) */
+async function collectGames(payloads) {
+  const template = typeof getArg("boxscore-url") === "string" ? getArg("boxscore-url") : null;
+  const games = new Map();
+  let missing = 0;
+  for (const { label, data } of payloads) {
+    for (const g of findGames(data)) {
+      let src = g;
+      if (!hasBoxScore(g)) {
+        const id = g.id ?? g.gameId;
+        if (!template || id == null) {
+          missing++;
+          continue;
+        }
+        const url = template.replace("{id}", encodeURIComponent(id));
+        src = null;
+        try {
+          src = findGames(await fetchJson(url)).find(hasBoxScore);
+        } catch (e) {
+          console.warn(`! ${url}: ${e?.message ?? e}`);
+        }
+        if (!src) continue;
+      }
+      const game = parseBoxScore(src);
+      games.set(game.id, { ...game, source: label });
+    }
+  }
+  if (missing) console.log(`⏭  ${missing} game(s) without player data${template ? "" : " (pass --boxscore-url to fetch them)"}`);
+  return [...games.values()];
+}
+
+async function main() {
+  setupRecordReplay();
+  const payloads = await loadPayloads();
+  if (!payloads.length) {
+    console.error("✗ Nothing to import: pass --from=<file|dir> and/or --url=<url>.");
+    process.exit(1);
+  }
+  const games = await collectGames(payloads);
+  console.log(`${games.length} box score(s) from ${payloads.length} payload(s)\n`);
+
+  const teams = await loadDir(TEAMS_DIR);
+  const inline = collectInlineTeams(await loadDir(TOURN_DIR), teams);
+  const resolver = createResolver([...teams, ...inline], { overrides: (await readJson(OVERRIDES_FILE, {})) ?? {} });
+  const homeSlugs = new Set(((await readJson(PORTAL_FILE, {}))?.homeTeams ?? []).map((h) => h.slug));
+
+  // Game lines per team slug
+  const bySlug = new Map();
+  const unmatched = new Set();
+  for (const game of games) {
+    for (const side of ["home", "visitor"]) {
+      const name = game[side].name;
+      const team = name ? resolver.resolve(name) : null;
+      if (!team) {
+        if (name) unmatched.add(name);
+        continue;
+      }
+      if (homeSlugs.has(team.slug) || (ONLY && !ONLY.has(team.slug))) continue;
+      const line = teamGame(game, side);
+      if (!line.skaters.length && !line.goalies.length) continue;
+      if (!bySlug.has(team.slug)) bySlug.set(team.slug, { team, lines: [] });
+      bySlug.get(team.slug).lines.push({ ...line, gamesheetTeam: name, source: game.source });
+    }
+  }
+
+  for (const [slug, { team, lines }] of [...bySlug].sort(([a], [b]) => a.localeCompare(b))) {
+    const file = path.join(PLAYERS_DIR, `${slug}.json`);
+    const prev = (await readJson(file, null)) ?? { games: [] };
+    const merged = new Map((prev.games ?? []).map((g) => [g.id, g]));
+    const added = lines.filter((l) => !merged.has(l.id)).length;
+    for (const l of lines) merged.set(l.id, l);
+    const allGames = [...merged.values()].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+    const { skaters, goalies } = aggregatePlayers(allGames);
+
+    if (!DRY) {
+      await writeJson(file, { team: slug, updatedAt: now().toISOString(), skaters, goalies, games: allGames });
+    }
+    const top = skaters[0] ? `; top #${skaters[0].number ?? "?"} ${skaters[0].name || ""} ${skaters[0].points} pts`.replace(/ +/g, " ") : "";
+    console.log(`✓ ${slug} (${team.name}): ${lines.length} game(s), ${added} new → ${allGames.length} total${top}`);
+  }
+
+  for (const name of [...unmatched].sort()) console.log(`⏭  ${name}: no team (add an alias, see npm run report:opponents)`);
+  console.log(`\n${DRY ? "Dry run: nothing written" : `Wrote ${bySlug.size} file(s) to ${PLAYERS_DIR}`}`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+/**
+ * Fill a tournament's `opponents` from its division participant list.
+ *
+ * Sources (one per run):
+ *   --gamesheet=<url|file.json>  a GameSheet payload with the division's teams
+ *                                (standings or season divisions); pick the
+ *                                division with --division=<id|"12U A"> when it
+ *                                lists several (defaults to the division in the
+ *                                tournament's standingsUrl)
+ *   --mhr=<url|file.html>        an MHR page linking the teams (event page);
+ *                                names come with their MHR ids
+ *   --list=<file|->              a pasted team list, one per line ("-" reads
+ *                                stdin); "Name | <MHR id or link>" sets the id
+ *
+ * Each name is matched with the site's opponent resolver against team files
+ * (added as slugs) and inline opponents we already track by MHR id; other
+ * names are looked up by fuzzy match on MHR pages that list teams
+ * (--candidates=<url|file>, comma-separated: the event page, a rankings page
+ * for the age/level) and added as inline opponents with their mhrUrl, ready
+ * for `npm run update:tournaments:inline`. Close calls are not guessed: they
+ * are added by name only and listed for review with their candidates; settle
+ * them with --accept="<name>=<MHR id>" and run again. Opponents already in
+ * the file are left alone (a name-only entry gets its mhrUrl once matched).
+ *
+ * Run:
+ *   npm run update:tournaments:opponents -- --tournament=detroit-motown-cup --mhr=https://myhockeyrankings.com/...
+ *   npm run update:tournaments:opponents -- --tournament=tulsa-showdown --gamesheet=tmp/standings.json --candidates=tmp/rank-12u-aa.html
+ *   pbpaste | npm run update:tournaments:opponents -- --tournament=tulsa-showdown --list=- --candidates=https://myhockeyrankings.com/... --dry
+ *   npm run update:tournaments:opponents -- --tournament=tulsa-showdown --list=tmp/teams.txt --accept="Tulsa Jr Oilers=15250"
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+
+import { collectInlineTeams, mhrTeamId } from "../src/lib/inline-teams.mjs";
+import { fetchHtml } from "./lib/mhr-parse.mjs";
+import {
+  gamesheetDivisions,
+  matchParticipants,
+  parseMhrTeamLinks,
+  parseTeamList,
+  pickGamesheetDivision,
+} from "./lib/tournament-participants.mjs";
+import { setupRecordReplay, now } from "./lib/record-replay.mjs";
+
+const TEAMS_DIR = "src/content/teams";
+const TOURN_DIR = "src/content/tournaments";
+const OVERRIDES_FILE = "src/data/opponent-overrides.json";
+const PORTAL_FILE = "src/config/portal.json";
+const INLINE_NOTE = "Added as tournament-only opponent.";
+
+function getArg(name) {
+  const p = `--${name}=`;
+  for (const a of process.argv.slice(2)) {
+    if (a.startsWith(p)) return a.slice(p.length);
+    if (a === `--${name}`) return true;
+  }
+  return undefined;
+}
+
+const DRY = !!getArg("dry");
+const str = (v) => (typeof v === "string" && v.trim() ? v.trim() : undefined);
+const list = (v) => (typeof v === "string" ? v.split(",").map((s) => s.trim()).filter(Boolean) : []);
+const isUrl = (s) => /^https?:\/\//i.test(s);
+
+async function readJson(p, fallback = null) {
+  try { return JSON.parse(await fs.readFile(p, "utf8")); } catch { return fallback; }
+}
+
+async function writeJson(p, data) {
+  await fs.mkdir(path.dirname(p), { recursive: true });
+  await fs.writeFile(p, JSON.stringify(data, null, 2) + "\n", "utf8");
+}
+
+async function loadDir(dir) {
+  const out = [];
+  for (const f of (await fs.readdir(dir).catch(() => [])).filter((f) => f.endsWith(".json")).sort()) {
+    const data = await readJson(path.join(dir, f));
+    if (data) out.push(data);
+  }
+  return out;
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const c of process.stdin) chunks.push(c);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/** Text of a URL or local file */
+async function readSource(src, { json = false } = {}) {
+  if (!isUrl(src)) return fs.readFile(src, "utf8");
+  if (!json) return fetchHtml(src);
+  const res = await fetch(src, { headers: { accept: "application/json" } });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.text();
+}
+
+/** Participants from the one source given, as [{ name, mhrId? }] */
+async function loadParticipants(tournament) {
+  const gs = str(getArg("gamesheet")), mhr = str(getArg("mhr")), pasted = str(getArg("list"));
+  if ([gs, mhr, pasted].filter(Boolean).length !== 1) {
+    throw new Error("Pass one participant source: --gamesheet=, --mhr= or --list=");
+  }
+  if (pasted) return parseTeamList(pasted === "-" ? await readStdin() : await fs.readFile(pasted, "utf8"));
+  if (mhr) return parseMhrTeamLinks(await readSource(mhr));
+
+  const divisions = gamesheetDivisions(JSON.parse(await readSource(gs, { json: true })));
+  const fromStandings = /filter%5Bdivision%5D=(\d+)|filter\[division\]=(\d+)/.exec(tournament.standingsUrl ?? "");
+  const want = str(getArg("division")) ?? fromStandings?.[1] ?? fromStandings?.[2];
+  const division = pickGamesheetDivision(divisions, want);
+  if (!division) {
+    const known = divisions.map((d) => `${d.title || "(untitled)"}${d.id != null ? ` [${d.id}]` : ""}`).join(", ");
+    throw new Error(`${gs}: ${want ? `no single division matches "${want}"` : "several divisions"}; pick one with --division=. Divisions: ${known || "none found"}`);
+  }
+  console.log(`• GameSheet division ${division.title || "(untitled)"}${division.id != null ? ` [${division.id}]` : ""}: ${division.teams.length} team(s)`);
+  return division.teams;
+}
+
+/** Teams linked from the --candidates pages, for names without an MHR id */
+async function loadCandidates() {
+  const out = [];
+  for (const src of list(getArg("candidates"))) {
+    try {
+      const found = parseMhrTeamLinks(await readSource(src));
+      console.log(`• ${src}: ${found.length} MHR team link(s)`);
+      out.push(...found);
+    } catch (e) {
+      console.warn(`! ${src}: ${e?.message ?? e}`);
+    }
+  }
+  return out;
+}
+
+/** "Name=12345,Other Name=https://...t=678" → { "name": "12345", ... } */
+function acceptMap() {
+  const out = {};
+  for (const pair of list(getArg("accept"))) {
+    const i = pair.lastIndexOf("=");
+    const id = i > 0 ? mhrTeamId(pair.slice(i + 1)) ?? pair.slice(i + 1).trim() : "";
+    if (!/^\d+$/.test(id)) {
+      console.warn(`! --accept: "${pair}" is not <name>=<MHR id>`);
+      continue;
+    }
+    out[pair.slice(0, i).trim().toLowerCase()] = id;
+  }
+  return out;
+}
+
+async function main() {
+  setupRecordReplay();
+  const slug = str(getArg("tournament"));
+  if (!slug) throw new Error("Pass --tournament=<slug>");
+  const file = path.join(TOURN_DIR, `${slug}.json`);
+  const tournament = await readJson(file);
+  if (!tournament) throw new Error(`${file}: missing or invalid JSON`);
+
+  const participants = await loadParticipants(tournament);
+  console.log(`${participants.length} participant(s)\n`);
+  if (!participants.length) return;
+
+  const teams = await loadDir(TEAMS_DIR);
+  const inline = collectInlineTeams(await loadDir(TOURN_DIR), teams);
+  const matches = matchParticipants(participants, {
+    teams,
+    inline,
+    candidates: await loadCandidates(),
+    overrides: (await readJson(OVERRIDES_FILE, {})) ?? {},
+    accept: acceptMap(),
+  });
+
+  const year = (await readJson(PORTAL_FILE, {}))?.season?.mhrYear ?? now().getFullYear();
+  const mhrUrl = (id) => `https://myhockeyrankings.com/team-info?y=${year}&t=${id}`;
+
+  // What the file already has
+  const opponents = [...(tournament.opponents ?? [])];
+  const haveSlugs = new Set(opponents.filter((o) => typeof o === "string"));
+  const haveIds = new Set(opponents.map((o) => mhrTeamId(o?.mhrUrl)).filter(Boolean));
+  for (const t of teams) if (haveSlugs.has(t.slug) && mhrTeamId(t.mhrUrl)) haveIds.add(mhrTeamId(t.mhrUrl));
+  const byName = new Map(opponents.filter((o) => o && typeof o === "object" && o.name).map((o) => [o.name.toLowerCase(), o]));
+
+  const counts = { added: 0, updated: 0, kept: 0 };
+  const review = [];
+  for (const m of matches) {
+    const existing = byName.get(m.name.toLowerCase());
+    const label = m.status === "tracked" ? m.slug : m.mhrId ? `MHR ${m.mhrId}${m.mhrName && m.mhrName !== m.name ? ` (${m.mhrName}${m.score ? `, score ${m.score}` : ""})` : ""}` : m.status;
+
+    if ((m.slug && haveSlugs.has(m.slug)) || (m.mhrId && haveIds.has(m.mhrId)) || (existing && (existing.mhrUrl || (!m.mhrId && m.status !== "tracked")))) {
+      counts.kept++;
+      if (m.status === "ambiguous" || m.status === "unmatched") review.push(m);
+      console.log(`⏭  ${m.name}: already listed`);
+      continue;
+    }
+    if (m.status === "tracked") {
+      opponents.push(m.slug);
+      haveSlugs.add(m.slug);
+      if (existing) opponents.splice(opponents.indexOf(existing), 1);
+    } else if (m.mhrId) {
+      if (existing) {
+        const { name, ...rest } = existing;
+        opponents[opponents.indexOf(existing)] = { name, mhrUrl: mhrUrl(m.mhrId), ...rest };
+        counts.updated++;
+        console.log(`✓ ${m.name} → ${label} (mhrUrl added)`);
+        haveIds.add(m.mhrId);
+        continue;
+      }
+      opponents.push({ name: m.name, mhrUrl: mhrUrl(m.mhrId), note: INLINE_NOTE });
+      haveIds.add(m.mhrId);
+    } else {
+      // Listed by name so the tournament page shows the full field; the id comes after review
+      opponents.push({ name: m.name, note: INLINE_NOTE });
+      review.push(m);
+    }
+    counts.added++;
+    console.log(`${m.mhrId || m.slug ? "✓" : "?"} ${m.name} → ${label}`);
+  }
+
+  if (review.length) {
+    console.log(`\nReview (${review.length}): added by name only; settle with --accept="<name>=<MHR id>"`);
+    for (const m of review) {
+      const cands = (m.candidates ?? []).map((c) => `${c.mhrId} ${c.name} (${c.score})`).join(" | ");
+      console.log(`  ? ${m.name}: ${m.status}${cands ? ` → ${cands}` : " (no candidates; pass --candidates= pages that list it)"}`);
+    }
+  }
+
+  const changed = counts.added + counts.updated > 0;
+  if (changed && !DRY) await writeJson(file, { ...tournament, opponents });
+  console.log(`\n${counts.added} added, ${counts.updated} updated, ${counts.kept} already listed${DRY ? " (dry run: nothing written)" : changed ? ` → ${file}` : ""}`);
+  if (changed && !DRY) console.log("Next: npm run update:tournaments:inline && npm run validate:data");
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
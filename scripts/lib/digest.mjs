@@ -0,0 +1,167 @@
+// scripts/lib/digest.mjs
+// Weekly movement digest: compare each team's MHR snapshot on a date with the
+// prior week's (from src/data/mhr-history) and flag what moved — big rating
+// swings, state/national rank jumps, and teams passing each other in their
+// league table (same league + division, ordered by rating like LeagueTable).
+
+export const DEFAULT_THRESHOLDS = {
+  /** Rating change (goals) that counts as a big swing */
+  rating: 0.5,
+  /** State rank spots */
+  state: 2,
+  /** National rank spots */
+  national: 20,
+};
+
+/** Minimum gap between a digest and the snapshot it compares against */
+export const MIN_GAP_DAYS = 6;
+
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : undefined);
+const round2 = (v) => Math.round(v * 100) / 100;
+
+export function addDays(ymd, n) {
+  const d = new Date(`${ymd}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Latest history point on or before `date` */
+export function pointOn(history, date) {
+  let best;
+  for (const p of history ?? []) {
+    if (p?.date && p.date <= date && (!best || p.date > best.date)) best = p;
+  }
+  return best;
+}
+
+/** Every snapshot date across all histories, ascending */
+export function snapshotDates(histories) {
+  const all = new Set();
+  for (const h of Object.values(histories)) for (const p of h ?? []) if (p?.date) all.add(p.date);
+  return [...all].sort();
+}
+
+/**
+ * The snapshot a digest for `date` compares against: the latest snapshot date
+ * at least MIN_GAP_DAYS earlier (so a Tuesday catch-up point still compares
+ * with last week, not yesterday), else the latest earlier date at all.
+ */
+export function priorDate(dates, date) {
+  const earlier = dates.filter((d) => d < date);
+  const cutoff = addDays(date, -MIN_GAP_DAYS);
+  const weekAgo = earlier.filter((d) => d <= cutoff);
+  return weekAgo.at(-1) ?? earlier.at(-1) ?? null;
+}
+
+const groupKey = (t) => `${t.league ?? ""}|${t.division ?? ""}`;
+const plural = (n, one, many = `${one}s`) => `${n} ${n === 1 ? one : many}`;
+
+/** Table order by rating (desc) within each league/division group: slug → position (1-based) */
+function tablePositions(rows, field) {
+  const groups = new Map();
+  for (const r of rows) {
+    if (num(r[field]) === undefined) continue;
+    const k = groupKey(r);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(r);
+  }
+  const pos = new Map();
+  for (const list of groups.values()) {
+    list
+      .sort((a, b) => b[field] - a[field] || a.name.localeCompare(b.name))
+      .forEach((r, i) => pos.set(r.slug, i + 1));
+  }
+  return pos;
+}
+
+/**
+ * Build the digest for `date`.
+ *   teams:      [{ slug, name, league?, division? }]
+ *   histories:  { [slug]: [{ date, rating?, stateRank?, nationalRank? }] }
+ * Returns { date, prevDate, thresholds, teams: [...movement], alerts: [...] }.
+ */
+export function buildDigest({ teams, histories, date, prevDate, thresholds = {} }) {
+  const th = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const since = prevDate === undefined ? priorDate(snapshotDates(histories), date) : prevDate;
+
+  const rows = [];
+  for (const t of teams) {
+    const h = histories[t.slug] ?? [];
+    const now = pointOn(h, date);
+    if (!now) continue;
+    const before = since ? pointOn(h, since) : undefined;
+    const row = {
+      slug: t.slug,
+      name: t.name,
+      league: t.league,
+      division: t.division,
+      snapshot: now.date,
+      rating: num(now.rating),
+      prevRating: num(before?.rating),
+      stateRank: num(now.stateRank),
+      prevStateRank: num(before?.stateRank),
+      nationalRank: num(now.nationalRank),
+      prevNationalRank: num(before?.nationalRank),
+    };
+    // Deltas: rating up = positive; ranks: spots gained = positive
+    if (row.rating !== undefined && row.prevRating !== undefined) row.ratingDelta = round2(row.rating - row.prevRating);
+    if (row.stateRank !== undefined && row.prevStateRank !== undefined) row.stateDelta = row.prevStateRank - row.stateRank;
+    if (row.nationalRank !== undefined && row.prevNationalRank !== undefined) row.nationalDelta = row.prevNationalRank - row.nationalRank;
+    rows.push(row);
+  }
+
+  const now = tablePositions(rows, "rating");
+  const before = tablePositions(rows.filter((r) => r.prevRating !== undefined), "prevRating");
+  for (const r of rows) {
+    r.tablePos = now.get(r.slug);
+    r.prevTablePos = before.get(r.slug);
+  }
+
+  const alerts = [];
+  for (const r of rows) {
+    if (r.ratingDelta !== undefined && Math.abs(r.ratingDelta) >= th.rating) {
+      alerts.push({
+        kind: "rating",
+        slug: r.slug,
+        delta: r.ratingDelta,
+        text: `${r.name} rating ${r.ratingDelta > 0 ? "+" : ""}${r.ratingDelta.toFixed(2)} (${r.prevRating.toFixed(2)} → ${r.rating.toFixed(2)})`,
+      });
+    }
+    for (const [kind, label, cur, prev, delta] of [
+      ["state", "state", r.stateRank, r.prevStateRank, r.stateDelta],
+      ["national", "national", r.nationalRank, r.prevNationalRank, r.nationalDelta],
+    ]) {
+      if (delta === undefined || Math.abs(delta) < th[kind]) continue;
+      alerts.push({
+        kind,
+        slug: r.slug,
+        delta,
+        text: `${r.name} ${delta > 0 ? "jumped" : "fell"} ${plural(Math.abs(delta), `${label} spot`)} (#${prev} → #${cur})`,
+      });
+    }
+  }
+
+  // Passing: pairs in the same table whose order flipped
+  for (const a of rows) {
+    for (const b of rows) {
+      if (a === b || groupKey(a) !== groupKey(b)) continue;
+      const [a0, a1, b0, b1] = [a.prevTablePos, a.tablePos, b.prevTablePos, b.tablePos];
+      if ([a0, a1, b0, b1].some((v) => v === undefined)) continue;
+      if (a0 > b0 && a1 < b1) {
+        const table = [a.league, a.division].filter(Boolean).join(" ");
+        alerts.push({
+          kind: "passed",
+          slug: a.slug,
+          other: b.slug,
+          text: `${a.name} passed ${b.name}${table ? ` in the ${table} table` : ""} (now #${a1}, ${a.rating.toFixed(2)} vs ${b.rating.toFixed(2)})`,
+        });
+      }
+    }
+  }
+
+  const weight = (x) => (x.kind === "passed" ? 0 : Math.abs(x.delta) / th[x.kind]);
+  alerts.sort((x, y) => weight(y) - weight(x));
+
+  rows.sort((a, b) => (a.tablePos ?? 999) - (b.tablePos ?? 999) || a.name.localeCompare(b.name));
+  return { date, prevDate: since, thresholds: th, teams: rows, alerts };
+}
@@ -0,0 +1,236 @@
+// scripts/lib/gamesheet-boxscore.mjs
+// GameSheet box scores → per-game player lines, and per-team season totals
+// (top scorers, penalty minutes, goalie save percentage) for
+// scripts/import-gamesheet.mjs. Pure functions on parsed JSON, so saved
+// payloads in scripts/fixtures/gamesheet/ replay like live ones
+// (npm run test:gamesheet).
+//
+// GameSheet field names differ between endpoints (season schedule, division
+// box scores, single game), so like the schedule adapter we probe a few names
+// for each value. A game is any object with a home and a visitor team; its
+// players come from stat lines on each side (`homeTeam.skaters`,
+// `players.home`, `homeSkaters`…) or, failing that, from goal and penalty events.
+//
+//   game line: { id, date, home, visitor, skaters: [{ side, number, name,
+//                position?, goals, assists, pim }], goalies: [{ side, number,
+//                name, shotsAgainst?, saves?, goalsAgainst }] }
+
+const pick = (o, names) => {
+  for (const n of names) {
+    const v = o?.[n];
+    if (v != null && `${v}`.trim() !== "") return v;
+  }
+  return undefined;
+};
+
+const HOME_KEYS = ["homeTeam", "home", "home_team"];
+const AWAY_KEYS = ["visitorTeam", "awayTeam", "visitor", "away", "visitor_team", "away_team"];
+const SIDES = { home: HOME_KEYS, visitor: AWAY_KEYS };
+
+const teamName = (t) => (typeof t === "string" ? t : pick(t, ["name", "title", "teamName"]));
+const teamId = (t) => (t && typeof t === "object" ? pick(t, ["id", "teamId"]) : undefined);
+
+const num = (v) => {
+  if (v == null || `${v}`.trim() === "") return undefined;
+  const n = typeof v === "number" ? v : Number(String(v).trim());
+  return Number.isFinite(n) ? n : undefined;
+};
+
+function personName(p) {
+  if (typeof p === "string") return p.trim();
+  const full = pick(p, ["name", "fullName", "playerName"]);
+  if (full) return String(full).trim();
+  return [pick(p, ["firstName", "first_name"]), pick(p, ["lastName", "last_name"])].filter(Boolean).join(" ").trim();
+}
+
+const jersey = (p) => {
+  const v = pick(p, ["number", "jersey", "jerseyNumber", "jerseyNo", "num"]);
+  return v === undefined ? undefined : String(v).replace(/^#/, "").trim();
+};
+
+/** "2026-02-08T09:00:00-06:00" / "02/08/2026" → "2026-02-08" */
+export function toIsoDate(s) {
+  const str = String(s ?? "").trim();
+  let m = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(str);
+  if (m) return `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}`;
+  m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})/.exec(str);
+  if (m) return `${m[3]}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}`;
+  return undefined;
+}
+
+/** A list under one of `names` on the side's team object, on the game (`homeSkaters`), or in a `{ home, visitor }` map */
+function sideList(g, side, names) {
+  const team = pick(g, SIDES[side]);
+  const onTeam = team && typeof team === "object" ? pick(team, names) : undefined;
+  if (Array.isArray(onTeam)) return onTeam;
+  for (const n of names) {
+    const cap = n[0].toUpperCase() + n.slice(1);
+    for (const prefix of side === "home" ? ["home"] : ["visitor", "away"]) {
+      if (Array.isArray(g[`${prefix}${cap}`])) return g[`${prefix}${cap}`];
+    }
+    const bySide = g[n];
+    if (bySide && !Array.isArray(bySide) && typeof bySide === "object") {
+      const list = pick(bySide, SIDES[side].concat(side === "home" ? [] : ["visitors"]));
+      if (Array.isArray(list)) return list;
+    }
+  }
+  return undefined;
+}
+
+function skaterLine(p, side) {
+  return {
+    side,
+    number: jersey(p),
+    name: personName(p),
+    position: pick(p, ["position", "pos"]),
+    goals: num(pick(p, ["goals", "g"])) ?? 0,
+    assists: num(pick(p, ["assists", "a"])) ?? 0,
+    pim: num(pick(p, ["pim", "pims", "penaltyMinutes"])) ?? 0,
+  };
+}
+
+function goalieLine(p, side) {
+  const shotsAgainst = num(pick(p, ["shotsAgainst", "sa", "shots"]));
+  const goalsAgainst = num(pick(p, ["goalsAgainst", "ga"])) ?? 0;
+  const saves = num(pick(p, ["saves", "sv"])) ?? (shotsAgainst !== undefined ? shotsAgainst - goalsAgainst : undefined);
+  return { side, number: jersey(p), name: personName(p), shotsAgainst, saves, goalsAgainst };
+}
+
+/** Which side an event belongs to: "home"/"visitor", or the team's name/id */
+function eventSide(e, g) {
+  const t = pick(e, ["team", "side", "teamId", "teamName"]);
+  const raw = String(teamName(t) ?? teamId(t) ?? t ?? "").toLowerCase();
+  if (/^home$/.test(raw)) return "home";
+  if (/^(visitor|away|visitors)$/.test(raw)) return "visitor";
+  for (const side of ["home", "visitor"]) {
+    const team = pick(g, SIDES[side]);
+    if (raw && (raw === String(teamName(team) ?? "").toLowerCase() || raw === String(teamId(team) ?? "").toLowerCase())) return side;
+  }
+  return undefined;
+}
+
+/** Skater lines built from goal/penalty events when a game has no stat lines */
+function linesFromEvents(g) {
+  const lines = new Map();
+  const line = (p, side) => {
+    const key = `${side}|${jersey(p) ?? ""}|${personName(p).toLowerCase()}`;
+    if (!lines.has(key)) lines.set(key, { ...skaterLine({ number: jersey(p), name: personName(p) }, side) });
+    return lines.get(key);
+  };
+  for (const e of pick(g, ["goals", "scoring", "goalEvents"]) ?? []) {
+    const side = eventSide(e, g);
+    const scorer = pick(e, ["scorer", "scoredBy", "player"]);
+    if (!side || !scorer) continue;
+    line(scorer, side).goals++;
+    for (const a of [].concat(pick(e, ["assists", "assistedBy"]) ?? [])) line(a, side).assists++;
+  }
+  for (const e of pick(g, ["penalties", "penaltyEvents"]) ?? []) {
+    const side = eventSide(e, g);
+    const who = pick(e, ["player", "penalizedPlayer", "committedBy"]);
+    if (!side || !who) continue;
+    line(who, side).pim += num(pick(e, ["minutes", "duration", "pim"])) ?? 0;
+  }
+  return [...lines.values()];
+}
+
+/** Whether a game object carries any player data (stat lines or events) */
+export function hasBoxScore(g) {
+  return ["home", "visitor"].some((s) => sideList(g, s, ["skaters", "players", "roster", "goalies", "goaltenders"])) ||
+    Array.isArray(pick(g, ["goals", "scoring", "goalEvents"])) ||
+    Array.isArray(pick(g, ["penalties", "penaltyEvents"]));
+}
+
+/** Every object in the payload that looks like a game (has both teams) */
+export function findGames(node, out = []) {
+  if (Array.isArray(node)) node.forEach((n) => findGames(n, out));
+  else if (node && typeof node === "object") {
+    if (pick(node, HOME_KEYS) && pick(node, AWAY_KEYS)) out.push(node);
+    else Object.values(node).forEach((n) => findGames(n, out));
+  }
+  return out;
+}
+
+/** One game object → game line (see the top of the file) */
+export function parseBoxScore(g) {
+  const home = pick(g, HOME_KEYS), visitor = pick(g, AWAY_KEYS);
+  const date = toIsoDate(pick(g, ["date", "gameDate", "scheduledStartTime", "startTime", "start", "datetime"]));
+  const skaters = [];
+  const goalies = [];
+  let statLines = false;
+  for (const side of ["home", "visitor"]) {
+    const s = sideList(g, side, ["skaters", "players", "roster"]);
+    const gl = sideList(g, side, ["goalies", "goaltenders"]);
+    if (s || gl) statLines = true;
+    for (const p of s ?? []) {
+      // Rosters mix goalies in; keep them out of the skater table
+      if (/^g(oalie|oaltender)?$/i.test(String(pick(p, ["position", "pos"]) ?? ""))) {
+        if (!gl) goalies.push(goalieLine(p, side));
+        continue;
+      }
+      skaters.push(skaterLine(p, side));
+    }
+    for (const p of gl ?? []) goalies.push(goalieLine(p, side));
+  }
+  return {
+    id: String(pick(g, ["id", "gameId"]) ?? `${date}|${teamName(home)}|${teamName(visitor)}`),
+    date,
+    home: { name: teamName(home), id: teamId(home) },
+    visitor: { name: teamName(visitor), id: teamId(visitor) },
+    skaters: (statLines ? skaters : linesFromEvents(g)).filter((p) => p.number !== undefined || p.name),
+    goalies: goalies.filter((p) => p.number !== undefined || p.name),
+  };
+}
+
+/** A game line from one side: { id, date, opponent, skaters, goalies } without the `side` fields */
+export function teamGame(game, side) {
+  const other = side === "home" ? "visitor" : "home";
+  const strip = ({ side: _s, ...rest }) => rest;
+  return {
+    id: game.id,
+    date: game.date,
+    opponent: game[other].name,
+    skaters: game.skaters.filter((p) => p.side === side).map(strip),
+    goalies: game.goalies.filter((p) => p.side === side).map(strip),
+  };
+}
+
+const playerKey = (p) => `${p.number ?? ""}|${p.number !== undefined ? "" : (p.name ?? "").toLowerCase()}`;
+
+/**
+ * Season totals from a team's game lines: skaters by points (then goals,
+ * then fewest games), goalies by games played. Save % is null without shots.
+ */
+export function aggregatePlayers(games) {
+  const skaters = new Map();
+  const goalies = new Map();
+  for (const g of [...games].sort((a, b) => String(a.date).localeCompare(String(b.date)))) {
+    for (const p of g.skaters) {
+      const s = skaters.get(playerKey(p)) ?? { number: p.number, name: p.name, gp: 0, goals: 0, assists: 0, points: 0, pim: 0 };
+      // Latest name/position wins (rosters fix typos over a season)
+      if (p.name) s.name = p.name;
+      if (p.position) s.position = p.position;
+      s.gp++;
+      s.goals += p.goals;
+      s.assists += p.assists;
+      s.points = s.goals + s.assists;
+      s.pim += p.pim;
+      skaters.set(playerKey(p), s);
+    }
+    for (const p of g.goalies) {
+      const s = goalies.get(playerKey(p)) ?? { number: p.number, name: p.name, gp: 0, shotsAgainst: 0, saves: 0, goalsAgainst: 0, savePct: null };
+      if (p.name) s.name = p.name;
+      s.gp++;
+      s.goalsAgainst += p.goalsAgainst;
+      if (p.shotsAgainst !== undefined) {
+        s.shotsAgainst += p.shotsAgainst;
+        s.saves += p.saves ?? p.shotsAgainst - p.goalsAgainst;
+      }
+      s.savePct = s.shotsAgainst ? Math.round((s.saves / s.shotsAgainst) * 1000) / 1000 : null;
+      goalies.set(playerKey(p), s);
+    }
+  }
+  return {
+    skaters: [...skaters.values()].sort((a, b) => b.points - a.points || b.goals - a.goals || a.gp - b.gp || String(a.number).localeCompare(String(b.number), undefined, { numeric: true })),
+    goalies: [...goalies.values()].sort((a, b) => b.gp - a.gp || (b.savePct ?? 0) - (a.savePct ?? 0)),
+  };
+}
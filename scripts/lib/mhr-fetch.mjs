@@ -0,0 +1,199 @@
+// scripts/lib/mhr-fetch.mjs
+// Fetching MHR team pages for the refresh (scripts/refresh-mhr.mjs): one shared
+// Playwright browser for the whole run, a page cache keyed by MHR team id, a
+// global rate limit, retries with backoff and a bounded worker pool.
+//
+// Pages are fetched as plain HTML first (cheap); when that text has no rank the
+// page is rendered in the browser, since MHR fills ranks in client-side.
+// Without Playwright (or its Chromium) the plain-HTML text is used as is.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+
+import { fetchHtml, normalizeText, toText, parseNationalRank, parseStateRank } from "./mhr-parse.mjs";
+import { taped, now } from "./record-replay.mjs";
+import { mhrTeamId } from "../../src/lib/inline-teams.mjs";
+
+const USER_AGENT = "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122 Safari/537.36";
+
+export const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** Cache key for a team page: the MHR id, or a hash of the URL when it has none */
+export function cacheKey(url) {
+  return mhrTeamId(url) ?? `url-${crypto.createHash("sha1").update(String(url)).digest("hex").slice(0, 12)}`;
+}
+
+/** Run `fn` over `items` with at most `limit` in flight; results keep the input order. */
+export async function mapPool(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return out;
+}
+
+/** `fn` retried `retries` times after the first try, waiting baseMs, 2×baseMs, 4×baseMs… */
+export async function withRetry(fn, { retries = 2, baseMs = 2000, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return { value: await fn(attempt), attempts: attempt + 1 };
+    } catch (e) {
+      if (attempt >= retries) {
+        e.attempts = attempt + 1;
+        throw e;
+      }
+      const wait = baseMs * 2 ** attempt;
+      onRetry?.(e, attempt + 1, wait);
+      await sleep(wait);
+    }
+  }
+}
+
+/** Spaces out request starts by at least `ms` across all workers */
+function createThrottle(ms) {
+  let nextAt = 0;
+  return async () => {
+    const now = Date.now();
+    const at = Math.max(now, nextAt);
+    nextAt = at + ms;
+    if (at > now) await sleep(at - now);
+  };
+}
+
+// Something rank/rating-ish: the client-side part of a team page has loaded
+const RANK_READY = /Rating|Record|USA\s+\d{1,2}U|\b\d{1,2}U\b/i;
+
+const hasRank = (text) => parseNationalRank(text) != null || parseStateRank(text) != null;
+
+/**
+ * createMhrFetcher({ cacheDir, ttlHours, retries, backoffMs, delayMs, browser, log })
+ *   .get(url) → { key, url, text, mode: "legacy" | "playwright", fetchedAt, cached, attempts }
+ *   .render(url, { kind, ready, fallback }) → page text rendered in the shared
+ *     browser; without one, `fallback()` (or null). `ready` (a RegExp) is text
+ *     to wait for, `kind` the record-replay tape (update:results renders the
+ *     game list this way)
+ *   .forget(url) → drops the cached page (e.g. one that parsed to nothing)
+ *   .close()  → closes the shared browser (call once at the end of the run)
+ *
+ * ttlHours 0 bypasses the cache for reads (pages are still written to it).
+ * browser: false never launches Chromium.
+ */
+export function createMhrFetcher({
+  cacheDir = ".cache/mhr",
+  ttlHours = 12,
+  retries = 2,
+  backoffMs = 2000,
+  delayMs = 1000,
+  browser: useBrowser = true,
+  log = () => {},
+} = {}) {
+  const throttle = createThrottle(delayMs);
+  let browserPromise = null;
+
+  async function getBrowser() {
+    if (!useBrowser) return null;
+    browserPromise ??= (async () => {
+      try {
+        const { chromium } = await import("playwright-chromium");
+        return await chromium.launch({ headless: true });
+      } catch (e) {
+        log(`! Playwright unavailable (${e.message.split("\n")[0]}); using plain HTML only`);
+        return null;
+      }
+    })();
+    return browserPromise;
+  }
+
+  /** Rendered page text (recorded / replayed like plain fetches, see record-replay.mjs) */
+  function render(url, { kind = "mhr-page", ready = RANK_READY, fallback } = {}) {
+    return taped(kind, url, async () => {
+      const browser = await getBrowser();
+      if (!browser) return fallback ? fallback() : null;
+      const page = await browser.newPage({ userAgent: USER_AGENT });
+      try {
+        await throttle();
+        const resp = await page.goto(url, { waitUntil: "domcontentloaded", timeout: 60000 });
+        if (!resp || !resp.ok()) throw new Error(`HTTP ${resp ? resp.status() : "?"}`);
+        // small delay to let client-side populate, then wait for something rank/rating-ish
+        await page.waitForTimeout(1200);
+        try {
+          await page.waitForFunction(
+            ([source, flags]) => new RegExp(source, flags).test(document.body.innerText),
+            [ready.source, ready.flags],
+            { timeout: 2000 }
+          );
+        } catch { /* ignore */ }
+        return normalizeText(await page.evaluate(() => document.body?.innerText || ""));
+      } finally {
+        await page.close();
+      }
+    });
+  }
+
+  /** Plain HTML first; the browser when that has no rank (or failed) */
+  async function fetchText(url) {
+    let legacy = null;
+    let legacyError = null;
+    try {
+      await throttle();
+      legacy = toText(await fetchHtml(url));
+    } catch (e) {
+      legacyError = e;
+    }
+    if (legacy && hasRank(legacy)) return { text: legacy, mode: "legacy" };
+    try {
+      const text = await render(url);
+      if (text) return { text, mode: "playwright" };
+    } catch (e) {
+      if (!legacy) throw e;
+    }
+    if (legacy) return { text: legacy, mode: "legacy" };
+    throw legacyError;
+  }
+
+  async function readCache(file) {
+    try {
+      const entry = JSON.parse(await fs.readFile(file, "utf8"));
+      const age = Date.now() - new Date(entry.fetchedAt).getTime();
+      return ttlHours > 0 && age >= 0 && age < ttlHours * 3600_000 ? entry : null;
+    } catch {
+      return null;
+    }
+  }
+
+  return {
+    async get(url) {
+      const key = cacheKey(url);
+      const file = path.join(cacheDir, `${key}.json`);
+      const hit = await readCache(file);
+      if (hit?.url === url) return { ...hit, key, cached: true, attempts: 0 };
+
+      const { value, attempts } = await withRetry(() => fetchText(url), {
+        retries,
+        baseMs: backoffMs,
+        onRetry: (e, n, wait) => log(`  ↻ ${key}: ${e.message} (retry ${n}/${retries} in ${wait / 1000}s)`),
+      });
+      const entry = { url, fetchedAt: now().toISOString(), mode: value.mode, text: value.text };
+      await fs.mkdir(cacheDir, { recursive: true });
+      await fs.writeFile(file, JSON.stringify(entry) + "\n", "utf8");
+      return { ...entry, key, cached: false, attempts };
+    },
+
+    render,
+
+    async forget(url) {
+      await fs.rm(path.join(cacheDir, `${cacheKey(url)}.json`), { force: true });
+    },
+
+    async close() {
+      const browser = await browserPromise;
+      await browser?.close();
+    },
+  };
+}
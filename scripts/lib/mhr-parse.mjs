@@ -1,87 +1,229 @@
 // scripts/lib/mhr-parse.mjs
-// Helpers to extract Rating / Record (and optional ranks) from MHR HTML.
+// Single source of truth for pulling Rating / Record / ranks out of MHR team pages.
+// The MHR refresh (teams + inline tournament opponents) and backfill use these; the fixture corpus
+// in scripts/fixtures/mhr is replayed by `npm run test:mhr` to catch layout drift.
 
-export function toText(html) {
-  return html
-    .replace(/<script[\s\S]*?<\/script>/gi, " ")
-    .replace(/<style[\s\S]*?<\/style>/gi, " ")
-    .replace(/<[^>]+>/g, " ")
+export const STATES = {
+  AL:"Alabama", AK:"Alaska", AZ:"Arizona", AR:"Arkansas", CA:"California", CO:"Colorado",
+  CT:"Connecticut", DE:"Delaware", FL:"Florida", GA:"Georgia", HI:"Hawaii", ID:"Idaho",
+  IL:"Illinois", IN:"Indiana", IA:"Iowa", KS:"Kansas", KY:"Kentucky", LA:"Louisiana",
+  ME:"Maine", MD:"Maryland", MA:"Massachusetts", MI:"Michigan", MN:"Minnesota",
+  MS:"Mississippi", MO:"Missouri", MT:"Montana", NE:"Nebraska", NV:"Nevada",
+  NH:"New Hampshire", NJ:"New Jersey", NM:"New Mexico", NY:"New York",
+  NC:"North Carolina", ND:"North Dakota", OH:"Ohio", OK:"Oklahoma", OR:"Oregon",
+  PA:"Pennsylvania", RI:"Rhode Island", SC:"South Carolina", SD:"South Dakota",
+  TN:"Tennessee", TX:"Texas", UT:"Utah", VT:"Vermont", VA:"Virginia",
+  WA:"Washington", WV:"West Virginia", WI:"Wisconsin", WY:"Wyoming", DC:"District of Columbia"
+};
+
+// Canadian provinces (so "ON", "QC", etc. parse)
+export const PROVINCES = {
+  AB:"Alberta", BC:"British Columbia", MB:"Manitoba", NB:"New Brunswick",
+  NL:"Newfoundland and Labrador", NS:"Nova Scotia", NT:"Northwest Territories",
+  NU:"Nunavut", ON:"Ontario", PE:"Prince Edward Island", QC:"Quebec",
+  SK:"Saskatchewan", YT:"Yukon"
+};
+
+const REGION_NAMES = [...Object.values(STATES), ...Object.values(PROVINCES)].map(s => s.toLowerCase());
+const REGION_ABBRS = [...Object.keys(STATES), ...Object.keys(PROVINCES)];
+
+// Any age level: "12U" (USA Hockey) or "U13" (Hockey Canada)
+const LEVEL_RX = String.raw`(?:\d{1,2}U|U\d{1,2})`;
+const RANK_TAIL = String.raw`\b(?:\s*[-–]\s*[\w ]+)?`;
+
+function escapeRegExp(s) { return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"); }
+
+/* ---------------- text normalization ---------------- */
+
+export function normalizeText(s) {
+  return String(s)
+    .replace(/\u00a0/g, " ")     // NBSP → space
     .replace(/\s+/g, " ")
     .trim();
 }
 
-function escRe(s) {
-  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+/** Strip scripts/styles/tags from raw HTML and collapse whitespace. */
+export function toText(html) {
+  return normalizeText(
+    String(html)
+      .replace(/<script[\s\S]*?<\/script>/gi, " ")
+      .replace(/<style[\s\S]*?<\/style>/gi, " ")
+      .replace(/<[^>]*>/g, " ")
+  );
+}
+
+/* ---------------- parsers ---------------- */
+
+export function parseNationalRank(text) {
+  const rx = new RegExp(String.raw`(\d+)(?:st|nd|rd|th)\s+(?:USA|United\s+States)\s+${LEVEL_RX}${RANK_TAIL}`, "i");
+  const m = text.match(rx);
+  return m ? Number(m[1]) : undefined;
 }
 
-// Look for: <h3>Heading</h3> ... <div>VALUE</div>
-function valueAfterHeading(html, heading) {
-  const h = escRe(heading);
-  const re = new RegExp(`>\\s*${h}\\s*<\\/h3>[\\s\\S]*?<div[^>]*>([^<]+)<\\/div>`, "i");
-  return html.match(re)?.[1]?.trim();
+function matchRankFor(text, label) {
+  const rx = new RegExp(String.raw`(\d+)(?:st|nd|rd|th)\s+${escapeRegExp(label)}\s+${LEVEL_RX}${RANK_TAIL}`, "i");
+  const m = text.match(rx);
+  return m ? Number(m[1]) : undefined;
 }
 
-export function findRating(html) {
-  // Preferred: heading→value pattern (matches your dump)
-  const hv = valueAfterHeading(html, "Rating");
-  if (hv) {
-    const n = Number(hv.replace(/[^\d.]/g, ""));
-    if (Number.isFinite(n)) return n;
+/**
+ * State (or province) rank. `hints` are extra region labels to try before the
+ * loose fallback, e.g. a team's `state` field or "(TX)" pulled from its name.
+ */
+export function parseStateRank(text, hints = []) {
+  for (const label of [...REGION_NAMES, ...REGION_ABBRS, ...hints.filter(Boolean).map(String)]) {
+    const n = matchRankFor(text, label);
+    if (n != null) return n;
+  }
+  // Loose fallback: first non-USA line matching level
+  const rxLoose = new RegExp(String.raw`(\d+)(?:st|nd|rd|th)\s+([A-Za-z .'\-()]+?)\s+${LEVEL_RX}${RANK_TAIL}`, "gi");
+  let match; while ((match = rxLoose.exec(text))) {
+    const label = match[2].trim();
+    if (!/^USA\b/i.test(label) && !/United\s+States/i.test(label)) return Number(match[1]);
   }
+  return undefined;
+}
 
-  // Fallbacks (text sweep, used by your team script)
-  const text = toText(html);
-  const patterns = [
-    /(?:^|\b)rating\b[:\s-]*([0-9]{1,3}(?:\.[0-9]+)?)/i,
-    /MHR\s*Rating[:\s-]*([0-9]{1,3}(?:\.[0-9]+)?)/i,
-    /Team\s*Rating[:\s-]*([0-9]{1,3}(?:\.[0-9]+)?)/i,
+export function parseRating(text) {
+  // "MHR Rating: 86.07", "Power Rating: 86.07", "Rating 86.07"
+  const rxes = [
+    /\bMHR\s*Rating[:\s]+([0-9]+(?:\.[0-9]+)?)/i,
+    /\bPower\s*Rating[:\s]+([0-9]+(?:\.[0-9]+)?)/i,
+    /\bRating[:\s]+([0-9]+(?:\.[0-9]+)?)/i,
   ];
-  for (const rx of patterns) {
+  for (const rx of rxes) {
     const m = text.match(rx);
-    if (m) return parseFloat(m[1]);
+    if (m) return Number(m[1]);
   }
+  return undefined;
+}
+
+export function parseRecord(text) {
+  // Pass 1: current MHR header, "Record (W-L-T) 10-8-3"
+  const header = text.match(/\bRecord\s*\(W-L-T\)\s*:?\s*(\d{1,3})\s*-\s*(\d{1,3})\s*-\s*(\d{1,3})/i);
+  if (header) return `${header[1]}-${header[2]}-${header[3]}`;
+
+  // Pass 2: other explicit labels
+  const labeled =
+    text.match(/\b(?:Overall(?:\s+Record)?|Season(?:\s+Record)?|Record|W[-\s]*L[-\s]*T)\s*[:\s]+(\d{1,3})\s*-\s*(\d{1,3})\s*-\s*(\d{1,3})/i);
+  if (labeled) return `${labeled[1]}-${labeled[2]}-${labeled[3]}`;
 
-  // Last-ditch: first float (no 50–120 clamp because some youth pages show 0.00 early season)
-  const m2 = text.match(/([0-9]{1,3}\.[0-9]+)/);
-  return m2 ? parseFloat(m2[1]) : null;
+  // Pass 3: generic triplet like 10-4-1 that is NOT a date (YYYY-MM-DD)
+  const triplets = [...text.matchAll(/\b(\d{1,3})-(\d{1,3})-(\d{1,3})\b/g)]
+    .map(m => ({ w:+m[1], l:+m[2], t:+m[3], raw:m[0], idx:m.index ?? 0 }));
+
+  const plausible = triplets.filter(({w,l,t,idx}) => {
+    const prefix = text.slice(Math.max(0, idx - 5), idx);
+    if (/\b20\d{2}$/.test(prefix)) return false; // avoid dates like 2025-10-01
+    if (w>200 || l>200 || t>200) return false;
+    return (w + l + t) > 0;
+  });
+
+  if (plausible.length) {
+    // choose the one with the largest games played (usually the "overall" line)
+    plausible.sort((a,b) => (b.w+b.l+b.t) - (a.w+a.l+a.t));
+    const p = plausible[0];
+    return `${p.w}-${p.l}-${p.t}`;
+  }
+  return undefined;
 }
 
-export function findRecord(html) {
-  // Preferred: heading→value
-  const hv = valueAfterHeading(html, "Record");
-  if (hv) return hv;
+/* ---------------- game list ---------------- */
+
+const MONTHS = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+const GAME_START_RX = /\b(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) (\d{1,2}) (\d{1,2}):(\d{2}) (am|pm)\b/g;
+
+// Legend printed under the MHR game list
+const GAME_MARKERS = [
+  ["**", "tournament"],
+  ["*", "league"],
+  ["†", "playoff"],
+  ["^^", "district"],
+  ["^", "state"],
+  ["‡", "national"],
+];
+
+/**
+ * Completed games from the MHR "Game Scores" list, e.g.
+ *   "Aug 23 9:30 am Oklahoma City Blazers 12U AA WATCH at Oilers Ice Center W 8 - 6"
+ * Dates carry no year on MHR: Aug–Dec belong to `seasonYear`, Jan–Jul to the next year.
+ * Scheduled games ("Preview") and rows without a final score are skipped.
+ */
+export function parseMhrGames(text, seasonYear) {
+  const starts = [...text.matchAll(GAME_START_RX)];
+  const games = [];
+
+  for (let i = 0; i < starts.length; i++) {
+    const m = starts[i];
+    const seg = text.slice(m.index + m[0].length, starts[i + 1]?.index ?? text.length).trim();
+
+    const res = seg.match(/^(.*?)\s+(W|L|T)\s+(\d{1,2})\s*-\s*(\d{1,2})(?:\s+(OT\/SO|OT|SO)\b)?/);
+    if (!res) continue;
 
-  // Fallbacks
-  const text = toText(html);
-  const labeled = /(?:Record|Overall)\s*[:\-]?\s*([0-9]{1,3}-[0-9]{1,3}(?:-[0-9]{1,3})?)/i;
-  const mm = text.match(labeled);
-  if (mm) return mm[1];
+    const month = MONTHS.indexOf(m[1]);
+    const year = month >= 7 ? seasonYear : seasonYear + 1;
+    let hour = Number(m[3]) % 12;
+    if (m[5] === "pm") hour += 12;
 
-  const raw = /\b([0-9]{1,3}-[0-9]{1,3}(?:-[0-9]{1,3})?)\b/;
-  const m2 = text.match(raw);
-  return m2 ? m2[1] : null;
+    // "<opponent>[marker] [WATCH] (at <rink> | Add Rink)"
+    const head = res[1].replace(/\s+Add Rink$/, "");
+    const at = head.match(/^(.*?)(?:\s+WATCH)?\s+at\s+(.+)$/);
+    let opponent = (at ? at[1] : head.replace(/\s+WATCH$/, "")).trim();
+    const venue = at ? at[2].trim() : undefined;
+
+    let gameType;
+    for (const [mark, type] of GAME_MARKERS) {
+      if (opponent.endsWith(mark)) {
+        gameType = type;
+        opponent = opponent.slice(0, -mark.length).trim();
+        break;
+      }
+    }
+
+    const game = {
+      date: `${year}-${String(month + 1).padStart(2, "0")}-${String(m[2]).padStart(2, "0")}`,
+      time: `${String(hour).padStart(2, "0")}:${m[4]}`,
+      opponent,
+      result: res[2],
+      scoreFor: Number(res[3]),
+      scoreAgainst: Number(res[4]),
+    };
+    if (venue) game.venue = venue;
+    if (res[5]) game.overtime = res[5];
+    if (gameType) game.gameType = gameType;
+    games.push(game);
+  }
+  return games;
 }
 
-export function findNationalRank(html) {
-  const text = toText(html);
-  const rx = /National\s*Rank\s*[:#]?\s*#?\s*([0-9,]+)/i;
-  const m = text.match(rx);
-  return m ? parseInt(m[1].replace(/,/g, ""), 10) : null;
+/** Season start year from an MHR team URL (`...team_info.php?y=2025&t=...`). */
+export function seasonYearFromUrl(url) {
+  const y = String(url || "").match(/[?&]y=(\d{4})\b/);
+  return y ? Number(y[1]) : undefined;
 }
 
-export function findStateRank(html) {
-  const text = toText(html);
-  const patterns = [
-    /State\s*Rank\s*[:#]?\s*#?\s*([0-9,]+)/i,
-    /Rank\s*\(State\)\s*[:#]?\s*#?\s*([0-9,]+)/i,
-  ];
-  for (const rx of patterns) {
-    const m = text.match(rx);
-    if (m) return parseInt(m[1].replace(/,/g, ""), 10);
+/** Region hints from a team name, e.g. "Lone Star (TX)" → ["TX"]. */
+export function regionHintsFromName(name) {
+  const out = [];
+  for (const seg of String(name || "").match(/\(([A-Z]{2})\)/g) ?? []) {
+    const abbr = seg.replace(/[()]/g, "");
+    if (abbr in STATES || abbr in PROVINCES) out.push(abbr);
   }
-  return null;
+  return out;
+}
+
+/** Run every parser over normalized page text. */
+export function parseMhrText(text, hints = []) {
+  return {
+    rating: parseRating(text),
+    record: parseRecord(text),
+    nationalRank: parseNationalRank(text),
+    stateRank: parseStateRank(text, hints),
+  };
 }
 
+/* ---------------- fetching ---------------- */
+
 export async function fetchHtml(url) {
   const res = await fetch(url, {
     headers: {
@@ -0,0 +1,145 @@
+// scripts/lib/mhr-sanity.mjs
+// Plausibility checks on freshly scraped MHR values before the refresh
+// (scripts/refresh-mhr.mjs) writes them. A layout change can make the loose
+// fallbacks in mhr-parse.mjs pick up an unrelated number, so values that fail
+// a check are held in the quarantine file (src/data/mhr-quarantine.json) for
+// review (scripts/review-quarantine.mjs) instead of replacing good data.
+//
+// Checks, per field:
+//   record        can't lose games (W+L+T below what we have)
+//   rating        can't move more than maxRatingJump per weekly MHR update
+//                 since the stored value's lastUpdated (one week when unknown)
+//   national rank must agree with rating order among our team files
+//   state rank    same, among team files in the same league (same state)
+// Rank checks allow rankTolerance rating points of slack, since the other
+// teams' stored values can be a week older than the scrape.
+
+export const DEFAULT_LIMITS = { maxRatingJump: 2, rankTolerance: 0.5 };
+
+const WEEK_MS = 7 * 24 * 3600 * 1000;
+
+/**
+ * Rating move allowed from a value stored at `lastUpdated`: maxRatingJump for
+ * every full week since (at least one), so a team whose stored rating is a month
+ * old isn't quarantined for a month of ordinary movement.
+ */
+export function ratingJumpAllowance(lastUpdated, maxRatingJump, now = new Date()) {
+  const t = Date.parse(String(lastUpdated ?? ""));
+  const weeks = Number.isFinite(t) ? Math.floor((now.getTime() - t) / WEEK_MS) : 1;
+  return maxRatingJump * Math.max(1, weeks);
+}
+
+/** Games played in a "W-L-T" record, or undefined */
+export function recordGames(record) {
+  const m = /^(\d+)-(\d+)-(\d+)$/.exec(String(record ?? ""));
+  return m ? Number(m[1]) + Number(m[2]) + Number(m[3]) : undefined;
+}
+
+const fmtRating = (r) => (typeof r === "number" ? r.toFixed(2) : "—");
+
+/**
+ * First peer whose rank is on the wrong side of `rank` given the ratings:
+ * rated clearly higher but ranked behind, or rated clearly lower but ranked ahead.
+ */
+function rankInversion(rating, rank, peers, field, tol) {
+  for (const p of peers) {
+    const pr = p[field];
+    if (typeof p.rating !== "number" || typeof pr !== "number") continue;
+    if (p.rating > rating + tol && pr > rank) {
+      return `#${rank} is ahead of ${p.slug} (#${pr}, rating ${fmtRating(p.rating)}) with a lower rating (${fmtRating(rating)})`;
+    }
+    if (p.rating < rating - tol && pr < rank) {
+      return `#${rank} is behind ${p.slug} (#${pr}, rating ${fmtRating(p.rating)}) with a higher rating (${fmtRating(rating)})`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Split scraped `values` into what can be written and what should be held back.
+ *
+ *   before: the team's stored values ({ rating, record, mhrStateRank, mhrNationalRank, league?, lastUpdated? })
+ *   values: scraped values, same field names (only fields found on the page)
+ *   peers:  other team files' stored values ({ slug, rating, mhrStateRank, mhrNationalRank, league })
+ *           — empty for inline opponents, whose country/state we don't know
+ *   now:    clock for the rating allowance (see ratingJumpAllowance)
+ *
+ * Returns { accepted: { field: value }, flagged: [{ field, value, current, reason }] }.
+ */
+export function checkScrape(before, values, { peers = [], limits = DEFAULT_LIMITS, now = new Date() } = {}) {
+  const { maxRatingJump, rankTolerance } = { ...DEFAULT_LIMITS, ...limits };
+  const accepted = {};
+  const flagged = [];
+  const flag = (field, reason) => flagged.push({ field, value: values[field], current: before[field], reason });
+
+  if (values.record !== undefined) {
+    const had = recordGames(before.record);
+    const has = recordGames(values.record);
+    if (had !== undefined && has !== undefined && has < had) {
+      flag("record", `record ${values.record} has ${has} games, fewer than the ${had} in ${before.record}`);
+    } else {
+      accepted.record = values.record;
+    }
+  }
+
+  if (values.rating !== undefined) {
+    const jump = typeof before.rating === "number" ? values.rating - before.rating : 0;
+    const allowed = ratingJumpAllowance(before.lastUpdated, maxRatingJump, now);
+    if (Math.abs(jump) > allowed) {
+      const since = allowed > maxRatingJump ? ` (${maxRatingJump} a week since ${before.lastUpdated})` : "";
+      flag("rating", `rating ${fmtRating(before.rating)} → ${fmtRating(values.rating)} moves more than ${allowed}${since}`);
+    } else {
+      accepted.rating = values.rating;
+    }
+  }
+
+  // Ranks are checked against the rating we'll actually keep
+  const rating = accepted.rating ?? before.rating;
+  const others = peers.filter((p) => p.slug !== before.slug);
+  const rankChecks = [
+    ["mhrNationalRank", "national rank", others],
+    ["mhrStateRank", "state rank", before.league ? others.filter((p) => p.league === before.league) : []],
+  ];
+  for (const [field, label, group] of rankChecks) {
+    if (values[field] === undefined) continue;
+    const why = typeof rating === "number" ? rankInversion(rating, values[field], group, field, rankTolerance) : null;
+    if (why) flag(field, `${label} ${why}`);
+    else accepted[field] = values[field];
+  }
+
+  return { accepted, flagged };
+}
+
+/**
+ * Quarantine list after a team's scrape: flagged fields are added (or refreshed;
+ * `seen` counts consecutive runs with the same value), fields that passed this
+ * time are cleared. Entries for other teams are kept.
+ *
+ *   entry: { slug, kind, name, mhrTeamId, url, files?, field, current, scraped,
+ *            reason, firstSeen, lastSeen, seen }
+ */
+export function updateQuarantine(list, team, { accepted, flagged }, now) {
+  const byKey = new Map(list.map((q) => [`${q.slug}\u0000${q.field}`, q]));
+  for (const field of Object.keys(accepted)) byKey.delete(`${team.slug}\u0000${field}`);
+  for (const f of flagged) {
+    const key = `${team.slug}\u0000${f.field}`;
+    const prev = byKey.get(key);
+    const same = prev && JSON.stringify(prev.scraped) === JSON.stringify(f.value);
+    byKey.set(key, {
+      slug: team.slug,
+      kind: team.kind,
+      name: team.name,
+      mhrTeamId: team.mhrTeamId,
+      url: team.url,
+      ...(team.files?.length ? { files: team.files } : {}),
+      field: f.field,
+      current: f.current ?? null,
+      scraped: f.value,
+      reason: f.reason,
+      firstSeen: same ? prev.firstSeen : now,
+      lastSeen: now,
+      seen: same ? prev.seen + 1 : 1,
+    });
+  }
+  return [...byKey.values()].sort((a, b) => a.slug.localeCompare(b.slug) || a.field.localeCompare(b.field));
+}
@@ -0,0 +1,126 @@
+// scripts/lib/record-replay.mjs
+// Record / replay for the updaters, so a refresh can run with no network (CI,
+// debugging a bad scrape) and give the same result every time.
+//
+//   --record[=dir]  (or UPDATER_RECORD=dir)  save every GET response body and
+//                   every Playwright-rendered page text the run fetches
+//   --replay[=dir]  (or UPDATER_REPLAY=dir)  serve them back; nothing touches
+//                   the network, a URL with no recording fails like a dead link,
+//                   and notifications are switched off
+//   --now=<ISO>     (or UPDATER_NOW)  pin the clock the updaters date what they
+//                   write with (lastUpdated, updatedFromMHRAt, change logs), so
+//                   a replayed run writes the same files every time
+//
+// dir defaults to scripts/fixtures/replay. Recordings are keyed by URL (and
+// kind), one JSON file each under <dir>/<host>/, so several updaters can record
+// into the same directory and `npm run update:all` replays as a whole.
+//
+// Plain fetch() is covered by patching globalThis.fetch in setupRecordReplay();
+// browser paths wrap their render step in taped().
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import process from "node:process";
+
+export const DEFAULT_DIR = "scripts/fixtures/replay";
+
+let active = null; // { mode: "record" | "replay", dir }
+let pinnedNow = null; // ms since epoch, from --now
+
+function argValue(argv, name) {
+  const p = `--${name}=`;
+  for (const a of argv) {
+    if (a.startsWith(p)) return a.slice(p.length);
+    if (a === `--${name}`) return true;
+  }
+  return undefined;
+}
+
+/** File a recording lives in: <dir>/<host>/<kind>-<hash of kind + url>.json */
+export function recordingPath(dir, kind, url) {
+  let host = "local";
+  try { host = new URL(url).host || host; } catch { /* not a URL: keep "local" */ }
+  const hash = crypto.createHash("sha1").update(`${kind} ${url}`).digest("hex").slice(0, 16);
+  return path.join(dir, host.replace(/[^\w.-]/g, "_"), `${kind}-${hash}.json`);
+}
+
+async function load(kind, url) {
+  const file = recordingPath(active.dir, kind, url);
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch {
+    throw new Error(`replay: no recording for ${kind} ${url} (${file})`);
+  }
+}
+
+async function save(kind, url, data) {
+  const file = recordingPath(active.dir, kind, url);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify({ kind, url, recordedAt: new Date().toISOString(), ...data }, null, 2) + "\n", "utf8");
+}
+
+/**
+ * Text from `fn()` (e.g. a Playwright render of `url`), recorded or replayed
+ * under `kind`. Without record/replay it just calls `fn`.
+ */
+export async function taped(kind, url, fn) {
+  if (active?.mode === "replay") return (await load(kind, url)).text;
+  const text = await fn();
+  if (active?.mode === "record" && typeof text === "string") await save(kind, url, { text });
+  return text;
+}
+
+/** The run's clock: the time pinned with --now, else the real time. */
+export function now() {
+  return pinnedNow != null ? new Date(pinnedNow) : new Date();
+}
+
+/**
+ * Turn record/replay on from --record / --replay (or the UPDATER_* env vars),
+ * and pin the clock from --now / UPDATER_NOW. Call once at the top of a script.
+ * Returns the record/replay mode, or null.
+ */
+export function setupRecordReplay({ argv = process.argv.slice(2), env = process.env, log = console.log } = {}) {
+  const at = argValue(argv, "now") ?? env.UPDATER_NOW;
+  if (at !== undefined) {
+    pinnedNow = Date.parse(String(at));
+    if (!Number.isFinite(pinnedNow)) throw new Error(`--now: not a date: ${at}`);
+    log(`◷ clock pinned at ${new Date(pinnedNow).toISOString()}`);
+  }
+
+  const rec = argValue(argv, "record") ?? env.UPDATER_RECORD;
+  const rep = argValue(argv, "replay") ?? env.UPDATER_REPLAY;
+  if (rec && rep) throw new Error("Use either --record or --replay, not both");
+  if (!rec && !rep) return null;
+
+  const mode = rec ? "record" : "replay";
+  const dir = typeof (rec ?? rep) === "string" && (rec ?? rep) !== "1" ? (rec ?? rep) : DEFAULT_DIR;
+  active = { mode, dir };
+
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (input, init = {}) => {
+    const url = typeof input === "string" ? input : input instanceof URL ? input.href : input.url;
+    const method = String(init.method ?? input?.method ?? "GET").toUpperCase();
+    if (method !== "GET") {
+      if (mode === "replay") throw new Error(`replay: refusing ${method} ${url}`);
+      return realFetch(input, init);
+    }
+    if (mode === "replay") {
+      const r = await load("fetch", url);
+      const empty = [204, 205, 304].includes(r.status);
+      return new Response(empty ? null : r.body, { status: r.status, statusText: r.statusText, headers: r.contentType ? { "content-type": r.contentType } : {} });
+    }
+    const res = await realFetch(input, init);
+    const body = await res.text();
+    await save("fetch", url, { status: res.status, statusText: res.statusText, contentType: res.headers.get("content-type"), body });
+    return new Response([204, 205, 304].includes(res.status) ? null : body, { status: res.status, statusText: res.statusText, headers: res.headers });
+  };
+
+  if (mode === "replay") {
+    // A replayed run must not message anyone (SMTP doesn't go through fetch)
+    for (const k of Object.keys(env)) if (k.startsWith("NOTIFY_")) delete env[k];
+  }
+  log(`${mode === "record" ? "● recording to" : "▶ replaying from"} ${dir}`);
+  return mode;
+}
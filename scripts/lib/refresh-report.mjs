@@ -0,0 +1,58 @@
+// scripts/lib/refresh-report.mjs
+// Run report for scripts/refresh-mhr.mjs: one entry per fetched MHR team,
+// written as JSON (for tooling) and Markdown (for a CI job summary / PR).
+//
+//   entry: { kind: "team" | "inline", slug, name, mhrTeamId, url,
+//            status: "updated" | "unchanged" | "failed" | "suspicious",
+//            changes: { field: [before, after] }, reasons?, error?,
+//            quarantined?: [{ field, value, current, reason }],
+//            mode?, cached?, attempts?, files? }
+
+export const STATUSES = ["updated", "unchanged", "suspicious", "failed"];
+
+export function summarize(entries) {
+  const counts = Object.fromEntries(STATUSES.map((s) => [s, 0]));
+  for (const e of entries) counts[e.status]++;
+  return {
+    ...counts,
+    total: entries.length,
+    fetched: entries.filter((e) => e.cached === false).length,
+    cached: entries.filter((e) => e.cached).length,
+  };
+}
+
+const fmt = (v) => (v === undefined || v === null ? "—" : typeof v === "number" && !Number.isInteger(v) ? v.toFixed(2) : String(v));
+const cell = (s) => String(s).replaceAll("|", "\\|");
+
+function changeList(changes) {
+  return Object.entries(changes ?? {})
+    .map(([k, [a, b]]) => `${k} ${fmt(a)} → ${fmt(b)}`)
+    .join(", ");
+}
+
+export function renderReportMarkdown(report) {
+  const { summary: s } = report;
+  const lines = [
+    `# MHR refresh ${report.startedAt.slice(0, 16).replace("T", " ")} UTC`,
+    "",
+    `${s.total} team(s): **${s.updated} updated**, ${s.unchanged} unchanged, ${s.suspicious} parse-suspicious, ${s.failed} failed` +
+      ` (${s.fetched} fetched, ${s.cached} from cache, ${Math.round(report.durationMs / 1000)}s${report.dryRun ? ", dry run" : ""}).`,
+  ];
+  if (s.quarantined) {
+    lines.push("", `${s.quarantined} scraped value(s) held in \`src/data/mhr-quarantine.json\` for review (\`npm run review:quarantine\`).`);
+  }
+
+  const section = (status, title, row) => {
+    const rows = report.entries.filter((e) => e.status === status);
+    if (!rows.length) return;
+    lines.push("", `## ${title}`, "", "| Team | Kind | Details |", "|---|---|---|");
+    for (const e of rows) lines.push(`| ${cell(e.name)} (\`${e.slug}\`) | ${e.kind} | ${cell(row(e))} |`);
+  };
+  section("failed", "Failed", (e) => `${e.error} after ${e.attempts} attempt(s)`);
+  section("suspicious", "Parse-suspicious", (e) => [e.reasons.join("; "), changeList(e.changes)].filter(Boolean).join(" — "));
+  section("updated", "Updated", (e) => changeList(e.changes));
+
+  const unchanged = report.entries.filter((e) => e.status === "unchanged");
+  if (unchanged.length) lines.push("", "## Unchanged", "", unchanged.map((e) => `\`${e.slug}\``).join(", "));
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,54 @@
+// scripts/lib/results-log.mjs
+// Rows → per-team game log records for scripts/update-results.mjs, and the
+// merge into an existing log (src/data/results/<slug>.json). Pure functions,
+// so npm run test:results checks them without the network.
+
+export function resultFromScore(gf, ga) {
+  if (gf > ga) return "W";
+  if (gf < ga) return "L";
+  return "T";
+}
+
+/** A score cell as a number; undefined when blank, null or not a number */
+function score(v) {
+  if (v == null || String(v).trim() === "") return undefined;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+/** Coerce a CSV/JSON row into a game record; returns null if it has no final score. */
+export function toRecord(row, source) {
+  const date = String(row.date ?? "").trim();
+  const scoreFor = score(row.scoreFor);
+  const scoreAgainst = score(row.scoreAgainst);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return null;
+  if (scoreFor === undefined || scoreAgainst === undefined) return null;
+
+  const rec = {
+    date,
+    ...(/^\d{2}:\d{2}$/.test(row.time ?? "") ? { time: row.time } : {}),
+    opponent: String(row.opponent ?? "").trim() || "TBD",
+    result: /^[WLT]$/.test(row.result ?? "") ? row.result : resultFromScore(scoreFor, scoreAgainst),
+    scoreFor,
+    scoreAgainst,
+    source,
+  };
+  if (/^(Home|Away|Neutral)$/.test(row.homeAway ?? "")) rec.homeAway = row.homeAway;
+  if (row.venue) rec.venue = String(row.venue);
+  if (row.tournament) rec.tournament = String(row.tournament);
+  return rec;
+}
+
+/** date|time|opponent, the opponent being the team it resolves to (else its lowercased label) */
+export const recordKey = (g, resolve) =>
+  [g.date, g.time ?? "", resolve(g)?.slug ?? String(g.opponent ?? "").toLowerCase()].join("|");
+
+/** Merge incoming rows over the existing log; returns the sorted log. */
+export function mergeLog(existing, incoming, resolve) {
+  const key = (g) => recordKey(g, resolve);
+  const map = new Map();
+  for (const g of [...existing, ...incoming]) map.set(key(g), { ...map.get(key(g)), ...g });
+  return [...map.values()].sort((a, b) =>
+    (a.date + (a.time ?? "")).localeCompare(b.date + (b.time ?? ""))
+  );
+}
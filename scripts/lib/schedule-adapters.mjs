@@ -0,0 +1,266 @@
+// scripts/lib/schedule-adapters.mjs
+// Schedule source adapters for update-schedules.mjs. Each adapter turns a raw
+// response body (string) into normalized game rows and never touches the
+// network itself, so saved responses in scripts/fixtures/schedules/ replay
+// exactly like live ones (npm run test:schedules).
+//
+// Row shape (see normalizeEvent): date/time are UTC like the ICS rows the site
+// already converts for display, plus `start` (ISO) for every timed game so a
+// 6 pm Central game (00:00 UTC) isn't mistaken for an all-day entry.
+
+import fs from "node:fs/promises";
+import icalPkg from "node-ical";
+import { normalizeEvent } from "./schedule-normalize.mjs";
+import { parseCsv } from "./csv.mjs";
+
+// node-ical is CommonJS; default-import then destructure
+const ical = icalPkg.default ?? icalPkg;
+
+const DEFAULT_TZ = "America/Chicago";
+
+/* ---------------- time helpers ---------------- */
+
+/** Offset (minutes) of `tz` from UTC at the given instant. */
+function tzOffsetMinutes(date, tz) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: tz, hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+    }).formatToParts(date).map((p) => [p.type, p.value])
+  );
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return Math.round((asUtc - date.getTime()) / 60000);
+}
+
+/** Local wall-clock date + time in `tz` → Date (UTC instant). */
+export function zonedToUtc(date, time, tz = DEFAULT_TZ) {
+  const [y, m, d] = date.split("-").map(Number);
+  const [hh, mm] = time.split(":").map(Number);
+  const guess = new Date(Date.UTC(y, m - 1, d, hh, mm));
+  // Two passes settle DST edges
+  let t = guess.getTime() - tzOffsetMinutes(guess, tz) * 60000;
+  t = guess.getTime() - tzOffsetMinutes(new Date(t), tz) * 60000;
+  return new Date(t);
+}
+
+/** "7:30 PM" / "19:30" / "19:30:00" → "19:30" (undefined if unparseable) */
+export function to24h(s) {
+  const m = /^\s*(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap])?\.?m?\.?\s*$/i.exec(String(s ?? ""));
+  if (!m) return undefined;
+  let h = Number(m[1]);
+  const ap = m[3]?.toLowerCase();
+  if (ap === "p" && h < 12) h += 12;
+  if (ap === "a" && h === 12) h = 0;
+  return `${String(h).padStart(2, "0")}:${m[2]}`;
+}
+
+/** M/D/YYYY or YYYY-MM-DD → YYYY-MM-DD */
+function toIsoDate(s) {
+  const v = String(s ?? "").trim();
+  let m = /^(\d{4})-(\d{2})-(\d{2})/.exec(v);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(v);
+  if (m) return `${m[3]}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}`;
+  return undefined;
+}
+
+/** Row for a game known by local date (+ optional local time). */
+function localGame({ date, time, tz, ...rest }) {
+  const hhmm = to24h(time);
+  if (!hhmm) return { date, time: "00:00", ...rest };
+  const start = zonedToUtc(date, hhmm, tz);
+  return {
+    date: start.toISOString().slice(0, 10),
+    time: start.toISOString().slice(11, 16),
+    start: start.toISOString(),
+    ...rest,
+  };
+}
+
+/* ---------------- ICS (Crossbar and generic feeds) ---------------- */
+
+function icsEvents(body) {
+  return Object.values(ical.parseICS(body)).filter((v) => v && v.type === "VEVENT");
+}
+
+/** Timed events keep their instant; all-day (VALUE=DATE) events stay date-only. */
+const withStart = (row, e) =>
+  e.start && !e.start.dateOnly ? { ...row, start: e.start.toISOString() } : row;
+
+function parseIcs(body, src) {
+  return icsEvents(body).map((e) => withStart(
+    normalizeEvent(
+      {
+        id: e.uid ?? e.summary,
+        title: e.summary,
+        start: e.start?.toISOString(),
+        end: e.end?.toISOString(),
+        location: e.location,
+        url: e.url,
+        source: "ics",
+      },
+      src.selfName,
+      "ics"
+    ),
+    e
+  ));
+}
+
+/* ---------------- SportsEngine-style ICS ---------------- */
+
+// SportsEngine team calendars mix games with practices/events and title games
+// "Game: Us vs. Them", "Us at Them" or just "vs. Them" / "@ Them".
+const SE_NOT_GAME = /^\s*(practice|event|meeting|tryouts?|team photos?|off[- ]ice|dryland)\b/i;
+
+function sportsEngineTitle(summary = "") {
+  return summary
+    .replace(/^\s*(game|scrimmage)\s*[:\-–]\s*/i, "")
+    .replace(/\s+at\s+/i, " @ ")
+    .replace(/\s*\((home|away)\)\s*$/i, "")
+    .trim();
+}
+
+function parseSportsEngine(body, src) {
+  return icsEvents(body)
+    .filter((e) => !SE_NOT_GAME.test(e.summary ?? ""))
+    .map((e) => {
+      const title = sportsEngineTitle(e.summary);
+      const row = normalizeEvent(
+        {
+          id: e.uid ?? e.summary,
+          title,
+          start: e.start?.toISOString(),
+          location: e.location,
+          url: e.url,
+        },
+        src.selfName,
+        "ics"
+      );
+      // "vs. Them" / "@ Them" with our name left off
+      const bare = /^(vs\.?|@)\s+(.+)$/i.exec(title);
+      if (bare) Object.assign(row, { opponent: bare[2].trim(), homeAway: bare[1] === "@" ? "Away" : "Home" });
+      else if (/\(home\)\s*$/i.test(e.summary ?? "")) row.homeAway = "Home";
+      else if (/\(away\)\s*$/i.test(e.summary ?? "")) row.homeAway = "Away";
+      return withStart(row, e);
+    });
+}
+
+/* ---------------- CSV ---------------- */
+
+// Columns: date,time,opponent[,homeAway,venue,league,tournament]; local times in src.timeZone
+function parseCsvSchedule(body, src) {
+  return parseCsv(body)
+    .map((r, i) => {
+      const date = toIsoDate(r.date);
+      const opponent = (r.opponent ?? "").trim();
+      if (!date || !opponent) return null;
+      return localGame({
+        date,
+        time: r.time,
+        tz: src.timeZone ?? DEFAULT_TZ,
+        opponent,
+        homeAway: /^(Home|Away|Neutral)$/i.test(r.homeAway ?? "")
+          ? r.homeAway[0].toUpperCase() + r.homeAway.slice(1).toLowerCase()
+          : "Neutral",
+        leagueGame: /^(1|y|yes|true)$/i.test(r.league ?? ""),
+        tournament: r.tournament || undefined,
+        venue: r.venue || undefined,
+        source: "csv",
+        sourceId: r.id || `${src.file ?? src.url ?? "csv"}#${i + 2}`,
+      });
+    })
+    .filter(Boolean);
+}
+
+/* ---------------- GameSheet season schedule JSON ---------------- */
+
+// Field names vary between GameSheet endpoints, so probe a few (like the
+// PowerShell lookup's Get-FirstExistingPropValue).
+const pick = (o, names) => {
+  for (const n of names) {
+    const v = o?.[n];
+    if (v != null && `${v}`.trim() !== "") return v;
+  }
+  return undefined;
+};
+const teamName = (t) => (typeof t === "string" ? t : pick(t, ["name", "title", "teamName"]));
+const teamId = (t) => (t && typeof t === "object" ? pick(t, ["id", "teamId"]) : undefined);
+
+const HOME_KEYS = ["homeTeam", "home", "home_team"];
+const AWAY_KEYS = ["visitorTeam", "awayTeam", "visitor", "away", "visitor_team", "away_team"];
+
+/** Every object in the payload that looks like a game (has both teams). */
+function findGames(node, out = []) {
+  if (Array.isArray(node)) node.forEach((n) => findGames(n, out));
+  else if (node && typeof node === "object") {
+    if (pick(node, HOME_KEYS) && pick(node, AWAY_KEYS)) out.push(node);
+    else Object.values(node).forEach((n) => findGames(n, out));
+  }
+  return out;
+}
+
+function parseGameSheet(body, src) {
+  const data = typeof body === "string" ? JSON.parse(body) : body;
+  const want = String(src.teamName ?? src.selfName ?? "").toLowerCase();
+  const isUs = (t) =>
+    (src.teamId != null && String(teamId(t)) === String(src.teamId)) ||
+    (want && String(teamName(t) ?? "").toLowerCase().includes(want));
+
+  const rows = [];
+  for (const g of findGames(data)) {
+    const home = pick(g, HOME_KEYS), away = pick(g, AWAY_KEYS);
+    const homeAway = isUs(home) ? "Home" : isUs(away) ? "Away" : null;
+    if (!homeAway) continue; // another team's game in the same season
+    const opponent = teamName(homeAway === "Home" ? away : home) ?? "TBD";
+
+    const when = pick(g, ["scheduledStartTime", "startTime", "start", "datetime", "date", "gameDate"]);
+    const location = pick(g, ["location", "rink", "venue", "arena"]);
+    const gameType = String(pick(g, ["gameType", "type"]) ?? "");
+    const common = {
+      opponent,
+      homeAway,
+      leagueGame: /regular|league/i.test(gameType),
+      venue: typeof location === "object" ? teamName(location) : location,
+      source: "gamesheet",
+      sourceId: String(pick(g, ["id", "gameId"]) ?? `${when}|${opponent}`),
+    };
+
+    // Instant with a zone → use it; otherwise local date (+ time) in src.timeZone
+    if (typeof when === "string" && /T\d{2}:\d{2}.*(Z|[+-]\d{2}:?\d{2})$/.test(when)) {
+      const d = new Date(when);
+      rows.push({ date: d.toISOString().slice(0, 10), time: d.toISOString().slice(11, 16), start: d.toISOString(), ...common });
+      continue;
+    }
+    const date = toIsoDate(when);
+    if (!date) continue;
+    const time = pick(g, ["time", "gameTime", "startTimeLocal"]) ?? (/T(\d{2}:\d{2})/.exec(String(when))?.[1]);
+    rows.push(localGame({ date, time, tz: src.timeZone ?? DEFAULT_TZ, ...common }));
+  }
+  return rows;
+}
+
+/* ---------------- registry ---------------- */
+
+export const adapters = {
+  ics: parseIcs,
+  sportsengine: parseSportsEngine,
+  csv: parseCsvSchedule,
+  gamesheet: parseGameSheet,
+};
+
+/** Raw body for a source: a saved file (`file`) or its `url` (webcal:// → https://). */
+export async function loadSourceBody(src) {
+  if (src.file) return fs.readFile(src.file, "utf8");
+  if (!src.url) throw new Error(`${src.type} source has neither url nor file`);
+  const url = src.url.replace(/^webcal:/i, "https:");
+  const res = await fetch(url, { headers: { "user-agent": "scouting-portal/1.0" } });
+  if (!res.ok) throw new Error(`${src.type} fetch failed ${res.status} ${res.statusText}`);
+  return res.text();
+}
+
+/** Parse a body with the adapter for `src.type`. */
+export function parseSource(src, body) {
+  const adapter = adapters[src.type];
+  if (!adapter) throw new Error(`Unknown schedule source type "${src.type}" (have: ${Object.keys(adapters).join(", ")})`);
+  return adapter(body, { selfName: "", ...src });
+}
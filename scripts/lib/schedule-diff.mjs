@@ -0,0 +1,85 @@
+// scripts/lib/schedule-diff.mjs
+// Compare two auto-schedule snapshots and describe what moved. Rows are matched
+// by sourceId (stable across feed edits); rows without one fall back to
+// gameDedupKey, so for them a time change reads as cancelled + added.
+
+import { gameDedupKey } from "./schedule-normalize.mjs";
+
+export const DEFAULT_TZ = "America/Chicago";
+
+const rowKey = (g) => (g.sourceId ? `id:${g.sourceId}` : `key:${gameDedupKey(g)}`);
+
+/** Instant of a row: `start`, else the UTC date/time (all-day rows have none). */
+function instant(g) {
+  if (g.start) return new Date(g.start);
+  if (g.time && g.time !== "00:00") return new Date(`${g.date}T${g.time}:00Z`);
+  return null;
+}
+
+const when = (g) => ({ date: g.date, time: g.time, ...(g.start ? { start: g.start } : {}) });
+const game = (g) => ({
+  sourceId: g.sourceId,
+  opponent: g.opponent,
+  homeAway: g.homeAway,
+  ...when(g),
+  venue: g.venue,
+});
+
+/**
+ * Changes from `prev` to `next`:
+ *   { type: "added" | "cancelled" | "time" | "venue", game, before?, after? }
+ * `game` is the row as it stands now (or as it was, for cancellations).
+ */
+export function diffSchedules(prev = [], next = []) {
+  const before = new Map(prev.map((g) => [rowKey(g), g]));
+  const after = new Map(next.map((g) => [rowKey(g), g]));
+  const changes = [];
+
+  for (const [k, g] of after) {
+    const old = before.get(k);
+    if (!old) {
+      changes.push({ type: "added", game: game(g) });
+      continue;
+    }
+    const t0 = instant(old)?.getTime() ?? old.date, t1 = instant(g)?.getTime() ?? g.date;
+    if (t0 !== t1) changes.push({ type: "time", game: game(g), before: when(old), after: when(g) });
+    if ((old.venue ?? "").trim() !== (g.venue ?? "").trim()) {
+      changes.push({ type: "venue", game: game(g), before: { venue: old.venue }, after: { venue: g.venue } });
+    }
+  }
+  for (const [k, g] of before) {
+    if (!after.has(k)) changes.push({ type: "cancelled", game: game(g) });
+  }
+
+  const at = (c) => (instant(c.game)?.toISOString() ?? c.game.date);
+  return changes.sort((a, b) => at(a).localeCompare(at(b)));
+}
+
+/* ---------------- text ---------------- */
+
+/** "Sat, Feb 8, 7:40 AM" in `tz` ("Thu, Feb 12" for all-day rows). */
+export function fmtWhen(g, tz = DEFAULT_TZ) {
+  const d = instant(g);
+  if (!d) {
+    return new Date(`${g.date}T12:00:00Z`).toLocaleDateString("en-US", { timeZone: tz, weekday: "short", month: "short", day: "numeric" });
+  }
+  return d.toLocaleString("en-US", { timeZone: tz, weekday: "short", month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+}
+
+const LABELS = { added: "New", cancelled: "Cancelled", time: "Time changed", venue: "Rink changed" };
+
+/** One line per change, e.g. "Time changed: KC Outlaws — Sat, Feb 8, 7:40 AM → Sat, Feb 8, 8:10 AM". */
+export function describeChange(c, tz = DEFAULT_TZ) {
+  const who = c.game.opponent ?? "TBD";
+  if (c.type === "time") return `${LABELS.time}: ${who} — ${fmtWhen(c.before, tz)} → ${fmtWhen(c.after, tz)}`;
+  if (c.type === "venue") return `${LABELS.venue}: ${who} on ${fmtWhen(c.game, tz)} — ${c.before.venue ?? "—"} → ${c.after.venue ?? "—"}`;
+  return `${LABELS[c.type]}: ${who} — ${fmtWhen(c.game, tz)}${c.game.venue ? ` @ ${c.game.venue}` : ""}`;
+}
+
+export function summarizeChanges(changes) {
+  const n = (t) => changes.filter((c) => c.type === t).length;
+  return ["added", "cancelled", "time", "venue"]
+    .filter((t) => n(t))
+    .map((t) => `${n(t)} ${LABELS[t].toLowerCase()}`)
+    .join(", ");
+}
@@ -45,8 +45,10 @@ export function normalizeEvent(ev, selfName, source = "ics") {
     opponent,
     homeAway,
     leagueGame: /league/i.test(title),
-    tournament: /tourney|tournament|classic|cup|showcase/i.test(title)
-      ? (title.match(/([A-Za-z ]+(Classic|Cup|Showcase))/)?.[0] ?? "tournament")
+    // A guess from the title; the site links rows to tournament files by date
+    // and venue (src/lib/tournament-match.mjs) and uses this only as a tiebreak
+    tournamentHint: /tourney|tournament|classic|cup|showcase/i.test(title)
+      ? (title.match(/([A-Za-z ]+(Classic|Cup|Showcase))/)?.[0]?.trim() ?? "tournament")
       : undefined,
     venue: ev.location,
     source,
@@ -55,7 +57,31 @@ export function normalizeEvent(ev, selfName, source = "ics") {
   };
 }
 
-/** Key to de-duplicate when merging (date+time+opponent+source) */
-export function gameDedupKey(g) {
-  return [g.date, g.time || "", (g.opponent || "").toLowerCase(), g.source || ""].join("|");
+/**
+ * Key to de-duplicate when merging (date+time+opponent; source-agnostic so feeds
+ * can overlap). With an opponent resolver the opponent is the team it resolves
+ * to, so "KC Outlaws 12U - A1 Brown" and "Kansas City Outlaws 12U A1" are one game.
+ */
+export function gameDedupKey(g, resolve) {
+  const opponent = resolve?.(g)?.slug ?? (g.opponent || "").toLowerCase();
+  return [g.date, g.time || "", opponent].join("|");
+}
+
+/**
+ * Combine rows from several sources. Earlier lists win on conflicts; later ones
+ * only fill fields the earlier row left empty. Sorted by date+time.
+ * `resolve` (row → team) is passed on to gameDedupKey.
+ */
+export function mergeSchedules(lists, { resolve } = {}) {
+  const map = new Map();
+  for (const list of lists) {
+    for (const g of list) {
+      const k = gameDedupKey(g, resolve);
+      const prev = map.get(k);
+      map.set(k, prev ? { ...g, ...Object.fromEntries(Object.entries(prev).filter(([, v]) => v != null)) } : g);
+    }
+  }
+  return [...map.values()].sort((a, b) =>
+    (a.date + (a.time ?? "")).localeCompare(b.date + (b.time ?? ""))
+  );
 }
@@ -0,0 +1,200 @@
+// scripts/lib/tournament-index.mjs
+// GameSheet season index for scripts/find-tournament.mjs: turning season
+// payloads (and rows of scripts/tournaments_all.csv) into index entries, and
+// ranking entries against a search (keywords, city, association, date window).
+// Pure functions, no I/O.
+//
+//   entry: { id, title, association?, city?, region?, startDate?, endDate?,
+//            divisions?: [{ id, title }], source: "csv" | "probe", probedAt? }
+//
+// GameSheet seasons rarely carry a city or dates, so both fall back to the
+// title ("D15 Detroit Lakes - Kent Cup - Jan 2-4, 2026").
+
+export const GAMESHEET_API = "https://gamesheetstats.com/api/useSeasonDivisions/getSeason";
+
+export const seasonApiUrl = (id) => `${GAMESHEET_API}/${id}`;
+
+/** Public standings page for a season, filtered to one division when given */
+export function standingsUrl(seasonId, divisionId) {
+  const base = `https://gamesheetstats.com/seasons/${seasonId}/standings`;
+  return divisionId == null ? base : `${base}?filter%5Bdivision%5D=${divisionId}`;
+}
+
+const pick = (o, names) => {
+  for (const n of names) {
+    const v = o?.[n];
+    if (v != null && `${v}`.trim() !== "") return v;
+  }
+  return undefined;
+};
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const MONTH = "(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?";
+// "Jan 16-18, 2026", "Jan 16 - 18, 2026", "Feb 27-March 1, 2026", "Feb 7, 2026"
+const TITLE_DATES = new RegExp(`${MONTH}\\s+(\\d{1,2})(?:\\s*[-–]\\s*(?:${MONTH}\\s+)?(\\d{1,2}))?,?\\s+(\\d{4})`, "i");
+
+const ymd = (y, m, d) => `${y}-${String(m + 1).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+
+/** "2026-02-13T00:00:00Z" / "02/13/2026" → "2026-02-13" */
+export function toIsoDate(s) {
+  const str = String(s ?? "").trim();
+  let m = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(str);
+  if (m) return `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}`;
+  m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})/.exec(str);
+  if (m) return `${m[3]}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}`;
+  return undefined;
+}
+
+/** Dates written in a season title → { startDate, endDate } (either may be missing) */
+export function titleDates(title) {
+  const m = TITLE_DATES.exec(String(title ?? ""));
+  if (!m) return {};
+  const [, m1, d1, m2, d2, y] = m;
+  const startMonth = MONTHS.indexOf(m1.slice(0, 3).toLowerCase());
+  const endMonth = m2 ? MONTHS.indexOf(m2.slice(0, 3).toLowerCase()) : startMonth;
+  const year = Number(y);
+  // "Dec 30 - Jan 2, 2026": the year belongs to the end
+  const startYear = endMonth < startMonth ? year - 1 : year;
+  return {
+    startDate: ymd(startYear, startMonth, Number(d1)),
+    endDate: ymd(year, endMonth, Number(d2 ?? d1)),
+  };
+}
+
+/** The season title without its trailing dates: the tournament's name */
+export function titleName(title) {
+  const str = String(title ?? "").trim();
+  const m = TITLE_DATES.exec(str);
+  if (!m) return str;
+  return (str.slice(0, m.index) + str.slice(m.index + m[0].length)).replace(/[\s,–-]+$/, "").trim() || str;
+}
+
+function withTitleDates(e) {
+  const fromTitle = titleDates(e.title);
+  return { ...e, startDate: e.startDate ?? fromTitle.startDate, endDate: e.endDate ?? fromTitle.endDate ?? e.startDate };
+}
+
+/** A tournaments_all.csv row (Id, Url, Title, Organizer) → entry; null for blank titles */
+export function entryFromCsv(row) {
+  const id = Number(row.Id);
+  const title = String(row.Title ?? "").trim();
+  if (!Number.isInteger(id) || !title) return null;
+  return withTitleDates({ id, title, association: String(row.Organizer ?? "").trim() || undefined, source: "csv" });
+}
+
+/** A getSeason payload → entry; null when the id has no season */
+export function entryFromSeason(id, json) {
+  const title = String(pick(json, ["title", "name"]) ?? "").trim();
+  if (!title) return null;
+  const divisions = (pick(json, ["divisions", "seasonDivisions"]) ?? [])
+    .map((d) => ({ id: pick(d, ["id", "divisionId"]), title: String(pick(d, ["title", "name"]) ?? "").trim() }))
+    .filter((d) => d.id != null && d.title);
+  return withTitleDates({
+    id: Number(id),
+    title,
+    association: String(pick(json, ["associationTitle", "association"]) ?? "").trim() || undefined,
+    city: pick(json, ["city", "locationCity", "eventCity", "town"]),
+    region: pick(json, ["state", "province", "region", "stateProvince"]),
+    startDate: toIsoDate(pick(json, ["startDate", "beginDate", "dateStart", "start"])),
+    endDate: toIsoDate(pick(json, ["endDate", "finishDate", "dateEnd", "end"])),
+    divisions: divisions.length ? divisions : undefined,
+    source: "probe",
+  });
+}
+
+const words = (s) => String(s ?? "").toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+function editDistance(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const up = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = up;
+    }
+  }
+  return prev[b.length];
+}
+
+/**
+ * How well `needle` appears in `hay`, 0..1: 1 when all its words are there
+ * (as words or word prefixes), else the best spelling match per word
+ * ("PREDSident" ~ "Predsidents", "Motown" ~ "Mo-Town"). Below 0.8 a word
+ * counts as absent.
+ */
+export function fuzzyIn(needle, hay) {
+  const want = words(needle);
+  const have = words(hay);
+  if (!want.length || !have.length) return 0;
+  const joined = have.join("");
+  let total = 0;
+  for (const w of want) {
+    if (have.some((h) => h.startsWith(w)) || (w.length >= 4 && joined.includes(w))) {
+      total += 1;
+      continue;
+    }
+    let best = 0;
+    for (const h of have) {
+      const sim = 1 - editDistance(w, h.slice(0, w.length + 2)) / Math.max(w.length, Math.min(h.length, w.length + 2));
+      if (sim > best) best = sim;
+    }
+    total += best >= 0.8 ? best : 0;
+  }
+  return total / want.length;
+}
+
+const DAY = 24 * 3600 * 1000;
+const dayNum = (iso) => Date.parse(`${iso}T12:00:00Z`) / DAY;
+
+/** 1 when the entry's dates overlap the window, fading to 0 a week away; 0 without dates */
+export function dateScore(e, from, to) {
+  if (!e.startDate) return 0;
+  const [s, f] = [dayNum(e.startDate), dayNum(e.endDate ?? e.startDate)];
+  const [a, b] = [dayNum(from ?? to), dayNum(to ?? from)];
+  const gap = Math.max(0, a - f, s - b);
+  return Math.max(0, 1 - gap / 7);
+}
+
+const WEIGHTS = { keywords: 40, dates: 25, city: 20, association: 15 };
+
+/**
+ * Rank entries for a search. `query`: { keywords?: string[], city?, association?,
+ * from?, to? } (dates YYYY-MM-DD). Only the criteria given count; the score is
+ * 0..100 of those weights, and `why` lists what matched.
+ */
+export function searchIndex(entries, query, { limit = 10, minScore = 30 } = {}) {
+  const used = Object.keys(WEIGHTS).filter((k) =>
+    k === "keywords" ? query.keywords?.length : k === "dates" ? query.from || query.to : query[k]
+  );
+  const possible = used.reduce((n, k) => n + WEIGHTS[k], 0);
+  if (!possible) return [];
+
+  return entries
+    .map((e) => {
+      const parts = {};
+      if (used.includes("keywords")) {
+        const hay = `${e.title} ${e.association ?? ""}`;
+        parts.keywords = Math.max(...query.keywords.map((k) => fuzzyIn(k, hay)));
+      }
+      if (used.includes("dates")) parts.dates = dateScore(e, query.from, query.to);
+      if (used.includes("city")) parts.city = fuzzyIn(query.city, `${e.city ?? ""} ${e.title}`);
+      if (used.includes("association")) parts.association = fuzzyIn(query.association, e.association ?? "");
+      const score = Math.round((100 * used.reduce((n, k) => n + WEIGHTS[k] * parts[k], 0)) / possible);
+      const why = used.filter((k) => parts[k] >= 0.75);
+      return { entry: e, score, why };
+    })
+    .filter((r) => r.score >= minScore)
+    .sort((a, b) => b.score - a.score || (b.entry.startDate ?? "").localeCompare(a.entry.startDate ?? "") || b.entry.id - a.entry.id)
+    .slice(0, limit);
+}
+
+/** The division to link standings to: best fuzzy match on `want` (e.g. "12U A") */
+export function pickDivision(divisions, want) {
+  if (!divisions?.length || !want) return null;
+  const ranked = divisions
+    .map((d) => ({ d, s: fuzzyIn(want, d.title) }))
+    .sort((a, b) => b.s - a.s);
+  return ranked[0].s >= 0.75 ? ranked[0].d : null;
+}
@@ -0,0 +1,157 @@
+// scripts/lib/tournament-participants.mjs
+// A tournament division's participant list → tournament opponents, for
+// scripts/import-tournament-opponents.mjs. Parsers for the three sources (a
+// pasted team list, a GameSheet division payload, an MHR page with team links)
+// and the matcher that turns each name into a tracked team slug or an MHR team
+// id. Pure functions, so fixtures in scripts/fixtures/participants/ replay like
+// live pages (npm run test:participants).
+//
+//   participant: { name, mhrId? }
+//   match:       { name, status, slug?, mhrId?, mhrName?, score?, candidates? }
+//     status  tracked    a team file (use its slug)
+//             inline     an inline opponent we already track by MHR id
+//             mhr        a new MHR team id (from the source or a candidate page)
+//             ambiguous  candidates too close to call (listed for review)
+//             unmatched  nothing close
+
+import { createResolver, MIN_SCORE } from "../../src/lib/opponent-match.mjs";
+import { mhrTeamId } from "../../src/lib/inline-teams.mjs";
+import { toText } from "./mhr-parse.mjs";
+
+/** A candidate must beat the runner-up by this much to be taken without review */
+export const MIN_LEAD = 10;
+/** Below this a name is unmatched rather than ambiguous; candidates under 30 only share the age */
+export const MIN_REVIEW = 40;
+const MIN_LISTED = 30;
+
+const pick = (o, names) => {
+  for (const n of names) {
+    const v = o?.[n];
+    if (v != null && `${v}`.trim() !== "") return v;
+  }
+  return undefined;
+};
+
+const clean = (s) => String(s ?? "").replace(/\s+/g, " ").trim();
+
+const ENTITIES = { amp: "&", nbsp: " ", quot: '"', apos: "'", lt: "<", gt: ">" };
+const decode = (s) =>
+  String(s).replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (m, e) =>
+    e[0] === "#" ? String.fromCodePoint(parseInt(e.slice(1).replace(/^x/i, ""), /^#x/i.test(e) ? 16 : 10)) : ENTITIES[e.toLowerCase()] ?? m
+  );
+
+/**
+ * Pasted list, one team per line. Bullets, numbering and "(3-0-1)"-style
+ * records are dropped; a trailing MHR link or id ("Name | 12345",
+ * "Name, https://myhockeyrankings.com/team-info?t=12345") is kept as mhrId.
+ */
+export function parseTeamList(text) {
+  const out = [];
+  for (const raw of String(text ?? "").split(/\r?\n/)) {
+    let line = raw.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "").trim();
+    if (!line || line.startsWith("#")) continue;
+    let mhrId;
+    const tail = /\s*[|,\t]\s*(\S+)\s*$/.exec(line);
+    if (tail && (mhrTeamId(tail[1]) || /^\d{3,}$/.test(tail[1]))) {
+      mhrId = mhrTeamId(tail[1]) ?? tail[1];
+      line = line.slice(0, tail.index);
+    }
+    const name = clean(line.replace(/\s*\(\d+-\d+(?:-\d+)*\)\s*$/, ""));
+    if (name) out.push({ name, ...(mhrId && { mhrId }) });
+  }
+  return out;
+}
+
+/** Team links on an MHR page (event page, rankings, search results) → [{ name, mhrId }], one per id */
+export function parseMhrTeamLinks(html) {
+  const out = new Map();
+  const body = String(html ?? "").replace(/<script[\s\S]*?<\/script>/gi, " ");
+  const re = /<a\b[^>]*href\s*=\s*["']([^"']*team[-_]info[^"']*)["'][^>]*>([\s\S]*?)<\/a>/gi;
+  for (const m of body.matchAll(re)) {
+    const mhrId = mhrTeamId(decode(m[1]));
+    const name = clean(decode(toText(m[2])));
+    if (mhrId && name && !out.has(mhrId)) out.set(mhrId, { name, mhrId });
+  }
+  return [...out.values()];
+}
+
+const teamLabel = (t) => (typeof t === "string" ? t : pick(t, ["name", "title", "teamName", "displayName"]));
+
+/**
+ * Divisions in a GameSheet payload → [{ id, title, teams: [{ name }] }]. A
+ * division is any object with a `teams` (or `standings`/`participants`) list;
+ * a bare list of teams is one untitled division.
+ */
+export function gamesheetDivisions(json) {
+  const out = [];
+  const walk = (node, parent) => {
+    if (Array.isArray(node)) return node.forEach((n) => walk(n, parent));
+    if (!node || typeof node !== "object") return;
+    const list = pick(node, ["teams", "standings", "participants"]);
+    if (Array.isArray(list) && list.some((t) => teamLabel(t?.team ?? t))) {
+      const names = [...new Set(list.map((t) => clean(teamLabel(t?.team ?? t))).filter(Boolean))];
+      out.push({ id: pick(node, ["id", "divisionId"]) ?? parent?.id, title: clean(pick(node, ["title", "name"]) ?? parent?.title), teams: names.map((name) => ({ name })) });
+      return;
+    }
+    for (const v of Object.values(node)) walk(v, node.title || node.name ? { id: pick(node, ["id", "divisionId"]), title: pick(node, ["title", "name"]) } : parent);
+  };
+  if (Array.isArray(json) && json.every((t) => typeof t === "string" || (t && !pick(t, ["teams", "standings"]) && teamLabel(t)))) {
+    return [{ id: undefined, title: "", teams: json.map((t) => ({ name: clean(teamLabel(t)) })).filter((t) => t.name) }];
+  }
+  walk(json, null);
+  return out;
+}
+
+/** The division meant by `want` (an id, or words of its title like "12U A"); null when unclear */
+export function pickGamesheetDivision(divisions, want) {
+  if (divisions.length === 1 && !want) return divisions[0];
+  if (!want) return null;
+  const byId = divisions.find((d) => d.id != null && String(d.id) === String(want));
+  if (byId) return byId;
+  const norm = (s) => String(s).toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+  const exact = divisions.filter((d) => norm(d.title) === norm(want));
+  if (exact.length === 1) return exact[0];
+  const partial = divisions.filter((d) => ` ${norm(d.title)} `.includes(` ${norm(want)} `));
+  return partial.length === 1 ? partial[0] : null;
+}
+
+/**
+ * Match participants to teams.
+ *
+ *   teams:      team files [{ slug, name, aliases?, mhrUrl? }]
+ *   inline:     tracked inline opponents (collectInlineTeams)
+ *   candidates: [{ name, mhrId }] from MHR pages, for names we don't track
+ *   overrides:  opponent-overrides.json, for the site resolver
+ *   accept:     { [lowercased name]: mhrId } decisions from a previous review
+ */
+export function matchParticipants(participants, { teams = [], inline = [], candidates = [], overrides = {}, accept = {} } = {}) {
+  const tracked = createResolver([...teams, ...inline], { overrides });
+  const teamById = new Map(teams.map((t) => [mhrTeamId(t.mhrUrl), t]).filter(([id]) => id));
+  const inlineById = new Map(inline.map((t) => [t.mhrTeamId, t]));
+  const pool = createResolver(candidates.map((c) => ({ slug: `mhr-${c.mhrId}`, name: c.name, mhrId: c.mhrId })));
+
+  const byId = (name, mhrId, extra = {}) => {
+    const team = teamById.get(mhrId);
+    if (team) return { name, status: "tracked", slug: team.slug, mhrId, ...extra };
+    const known = inlineById.get(mhrId);
+    if (known) return { name, status: "inline", slug: known.slug, mhrId, mhrName: known.name, ...extra };
+    return { name, status: "mhr", mhrId, ...extra };
+  };
+
+  return participants.map((p) => {
+    const mhrId = accept[p.name.toLowerCase()] ?? p.mhrId;
+    if (mhrId) return byId(p.name, String(mhrId));
+
+    const hit = tracked.resolve(p.name);
+    if (hit) return hit.inline ? byId(p.name, hit.mhrTeamId) : { name: p.name, status: "tracked", slug: hit.slug };
+
+    const { candidates: ranked = [] } = pool.explain(p.name);
+    const [best, next] = ranked;
+    const top = ranked.slice(0, 3).filter((c) => c.score >= MIN_LISTED).map((c) => ({ mhrId: c.team.mhrId, name: c.team.name, score: c.score }));
+    if (best && best.score >= MIN_SCORE && (!next || best.score - next.score >= MIN_LEAD)) {
+      return byId(p.name, best.team.mhrId, { mhrName: best.team.name, score: best.score });
+    }
+    if (best && best.score >= MIN_REVIEW) return { name: p.name, status: "ambiguous", candidates: top };
+    return { name: p.name, status: "unmatched", candidates: top };
+  });
+}
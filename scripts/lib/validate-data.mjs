@@ -0,0 +1,478 @@
+// scripts/lib/validate-data.mjs
+// Checks for the data files the site reads — teams, tournaments, MHR history
+// and auto-schedules — plus cross-file problems, and the canonical form
+// `npm run validate:data -- --fix` rewrites them into. Each check returns
+// issues `{ level, message, fixable }` (level: "error" | "warn" | "note");
+// each canonicalizer returns the fixed data and what it changed.
+
+import { mergeSchedules } from "./schedule-normalize.mjs";
+import { mhrTeamId } from "../../src/lib/inline-teams.mjs";
+
+const YMD = /^\d{4}-\d{2}-\d{2}$/;
+const LOOSE_YMD = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+const HHMM = /^\d{2}:\d{2}$/;
+const HOME_AWAY = ["Home", "Away", "Neutral"];
+const HISTORY_KEYS = ["date", "rating", "stateRank", "nationalRank", "source"];
+const HISTORY_VALUES = ["rating", "stateRank", "nationalRank"];
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+const isStr = (v) => typeof v === "string" && v.trim() !== "";
+const isUrl = (v) => {
+  try { return /^https?:$/.test(new URL(v).protocol); } catch { return false; }
+};
+/** "85.3" → 85.3; anything else unchanged */
+const toNum = (v) => (typeof v === "string" && v.trim() !== "" && Number.isFinite(Number(v)) ? Number(v) : v);
+
+/** "2025-11-7" → "2025-11-07"; undefined when it isn't a real date */
+export function canonicalYmd(s) {
+  const m = LOOSE_YMD.exec(String(s ?? "").trim());
+  if (!m) return undefined;
+  const ymd = `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}`;
+  const d = new Date(`${ymd}T12:00:00Z`);
+  return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === ymd ? ymd : undefined;
+}
+
+const isWednesday = (ymd) => new Date(`${ymd}T12:00:00Z`).getUTCDay() === 3;
+
+function issue(list, level, message, fixable = false) {
+  list.push({ level, message, fixable });
+}
+
+function checkDate(out, label, v, { required = true } = {}) {
+  if (v === undefined && !required) return;
+  if (typeof v !== "string" || !canonicalYmd(v)) issue(out, "error", `${label}: not a date (${JSON.stringify(v)})`);
+  else if (!YMD.test(v)) issue(out, "warn", `${label}: "${v}" is not zero-padded YYYY-MM-DD`, true);
+}
+
+function checkFields(out, obj, spec, prefix = "") {
+  for (const [key, kind] of Object.entries(spec)) {
+    const v = obj[key];
+    const label = `${prefix}${key}`;
+    const required = kind.endsWith("!");
+    const type = kind.replace(/!$/, "");
+    if (v === undefined || v === null) {
+      if (required) issue(out, "error", `${label}: missing`);
+      continue;
+    }
+    if (type === "string" && typeof v !== "string") issue(out, "error", `${label}: expected a string`);
+    if (type === "url" && !isUrl(v)) issue(out, "error", `${label}: not an http(s) URL (${JSON.stringify(v)})`);
+    if (type === "number" || type === "int") {
+      if (isNum(toNum(v)) && !isNum(v)) issue(out, "warn", `${label}: number stored as a string`, true);
+      else if (!isNum(v)) issue(out, "error", `${label}: expected a number`);
+      else if (type === "int" && !Number.isInteger(v)) issue(out, "error", `${label}: expected a whole number`);
+    }
+    if (type === "strings" && !(Array.isArray(v) && v.every((s) => typeof s === "string"))) {
+      issue(out, "error", `${label}: expected a list of strings`);
+    }
+  }
+}
+
+// ---- teams ----------------------------------------------------------------
+
+const TEAM_SPEC = {
+  slug: "string!",
+  name: "string!",
+  league: "string",
+  division: "string",
+  record: "string",
+  rating: "number",
+  website: "url",
+  mhrUrl: "url",
+  mhrStateRank: "int",
+  mhrNationalRank: "int",
+  lastUpdated: "string",
+  note: "string",
+  aliases: "strings",
+};
+
+/** Issues for one src/content/teams/<slug>.json (`slug` = the file name) */
+export function checkTeam(team, slug) {
+  const out = [];
+  if (!team || typeof team !== "object" || Array.isArray(team)) {
+    issue(out, "error", "not a JSON object");
+    return out;
+  }
+  checkFields(out, team, TEAM_SPEC);
+  if (isStr(team.slug) && team.slug !== slug) issue(out, "error", `slug "${team.slug}" does not match the file name`);
+  if (isNum(team.rating) && team.rating <= 0) issue(out, "warn", `rating ${team.rating} (MHR shows 0 before a team has games)`);
+  if (isStr(team.record) && !/^\d+-\d+(-\d+)?$/.test(team.record)) issue(out, "warn", `record "${team.record}" is not W-L-T`);
+  return out;
+}
+
+export function canonicalTeam(team) {
+  const changes = [];
+  const next = { ...team };
+  for (const k of ["rating", "mhrStateRank", "mhrNationalRank"]) {
+    if (next[k] !== toNum(next[k])) {
+      next[k] = toNum(next[k]);
+      changes.push(`${k} as a number`);
+    }
+  }
+  return { data: next, changes };
+}
+
+// ---- tournaments ----------------------------------------------------------
+
+const TOURNAMENT_SPEC = {
+  name: "string!",
+  slug: "string!",
+  location: "string!",
+  website: "url",
+  infoUrl: "url",
+  standingsUrl: "url",
+  photosUrl: "url",
+  team: "string",
+};
+
+const OPPONENT_SPEC = {
+  slug: "string",
+  name: "string!",
+  website: "url",
+  mhrUrl: "url",
+  rating: "number",
+  mhrStateRank: "int",
+  mhrNationalRank: "int",
+  record: "string",
+};
+
+/**
+ * Issues for one src/content/tournaments/<slug>.json. `ctx.teamSlugs`,
+ * `ctx.teamIds` (MHR id → team slug) and `ctx.resolve` (the site's opponent
+ * resolver) check opponent references; `ctx.homeSlugs` (src/config/portal.json)
+ * the `team` field.
+ */
+export function checkTournament(t, slug, { teamSlugs = new Set(), teamIds = new Map(), resolve = () => null, homeSlugs } = {}) {
+  const out = [];
+  if (!t || typeof t !== "object" || Array.isArray(t)) {
+    issue(out, "error", "not a JSON object");
+    return out;
+  }
+  checkFields(out, t, TOURNAMENT_SPEC);
+  // Pages use the slug field (/tournaments/<slug>/), so a different file name only confuses
+  if (isStr(t.slug) && t.slug !== slug) issue(out, "note", `slug "${t.slug}" differs from the file name`);
+  checkDate(out, "startDate", t.startDate);
+  checkDate(out, "endDate", t.endDate);
+  const [from, to] = [canonicalYmd(t.startDate), canonicalYmd(t.endDate)];
+  if (from && to && to < from) issue(out, "error", `endDate ${t.endDate} is before startDate ${t.startDate}`);
+  if (t.venues !== undefined && !(Array.isArray(t.venues) && t.venues.every(isStr))) {
+    issue(out, "error", "venues: expected a list of rink names");
+  }
+  if (isStr(t.team) && homeSlugs && !homeSlugs.has(t.team)) {
+    issue(out, "error", `team "${t.team}" is not a home team in src/config/portal.json`);
+  }
+
+  const opponents = t.opponents ?? [];
+  if (!Array.isArray(opponents)) {
+    issue(out, "error", "opponents: expected a list");
+    return out;
+  }
+  const names = [];
+  opponents.forEach((op, i) => {
+    if (typeof op === "string") {
+      // Plain strings are team references; the page shows an unresolved one as a bare name
+      const team = resolve(op);
+      if (!team) issue(out, "warn", `opponents[${i}]: "${op}" matches no team`);
+      names.push(op, team?.slug, team?.name);
+    } else if (op && typeof op === "object") {
+      checkFields(out, op, OPPONENT_SPEC, `opponents[${i}].`);
+      if (isStr(op.slug) && !teamSlugs.has(op.slug)) {
+        issue(out, "note", `opponents[${i}]: slug "${op.slug}" has no team file (shown from inline fields only)`);
+      }
+      const teamSlug = teamIds.get(mhrTeamId(op.mhrUrl));
+      if (teamSlug && op.slug !== teamSlug) {
+        issue(out, "warn", `opponents[${i}]: "${op.name}" is MHR team ${teamSlug}; list "${teamSlug}" instead`);
+      }
+      names.push(op.slug, op.name);
+    } else {
+      issue(out, "error", `opponents[${i}]: expected a team slug or an object`);
+    }
+  });
+
+  // Pool entries must name an opponent, or the odds simulation drops them
+  const known = new Set(names.filter(Boolean).map((s) => String(s).toLowerCase()));
+  for (const pool of t.format?.pools ?? []) {
+    for (const ref of pool?.teams ?? []) {
+      if (!known.has(String(ref).toLowerCase())) issue(out, "warn", `format pool "${pool.name}": "${ref}" is not in opponents`);
+    }
+  }
+  return out;
+}
+
+export function canonicalTournament(t) {
+  const changes = [];
+  const next = { ...t };
+  for (const k of ["startDate", "endDate"]) {
+    const ymd = canonicalYmd(next[k]);
+    if (ymd && ymd !== next[k]) {
+      changes.push(`${k} ${next[k]} → ${ymd}`);
+      next[k] = ymd;
+    }
+  }
+  if (Array.isArray(next.opponents)) {
+    next.opponents = next.opponents.map((op) => {
+      if (!op || typeof op !== "object") return op;
+      const o = { ...op };
+      for (const k of ["rating", "mhrStateRank", "mhrNationalRank"]) {
+        if (o[k] !== toNum(o[k])) {
+          o[k] = toNum(o[k]);
+          changes.push(`${op.name} ${k} as a number`);
+        }
+      }
+      return o;
+    });
+  }
+  return { data: next, changes };
+}
+
+// ---- scouting reports -----------------------------------------------------
+
+const SCOUTING_SPEC = {
+  team: "string!",
+  date: "string!",
+  author: "string!",
+  summary: "string",
+  watchFor: "strings",
+  forecheck: "string",
+  breakout: "string",
+};
+
+/**
+ * Issues for one src/content/scouting/*.json. `ctx.teamSlugs` (every team with
+ * a page) and `ctx.resolve` check the team and the game's opponent.
+ */
+export function checkScouting(r, { teamSlugs = new Set(), resolve = () => null } = {}) {
+  const out = [];
+  if (!r || typeof r !== "object" || Array.isArray(r)) {
+    issue(out, "error", "not a JSON object");
+    return out;
+  }
+  checkFields(out, r, SCOUTING_SPEC);
+  checkDate(out, "date", r.date);
+  if (isStr(r.team) && !teamSlugs.has(r.team)) issue(out, "warn", `team "${r.team}" has no team page (the report is never shown)`);
+  if (r.game !== undefined) {
+    checkFields(out, r.game ?? {}, { opponent: "string!", tournament: "string", score: "string" }, "game.");
+    checkDate(out, "game.date", r.game?.date);
+    if (isStr(r.game?.opponent) && !resolve(r.game.opponent)) {
+      issue(out, "note", `game.opponent "${r.game.opponent}" matches no team (shown as plain text)`);
+    }
+  }
+  for (const [key, spec] of [
+    ["keyPlayers", { note: "string!" }],
+    ["goalies", { note: "string!" }],
+    ["video", { url: "url!", label: "string", at: "string" }],
+  ]) {
+    if (r[key] === undefined) continue;
+    if (!Array.isArray(r[key])) {
+      issue(out, "error", `${key}: expected a list`);
+      continue;
+    }
+    r[key].forEach((item, i) => checkFields(out, item ?? {}, spec, `${key}[${i}].`));
+  }
+  (r.keyPlayers ?? []).forEach((p, i) => {
+    if (p?.number === undefined) issue(out, "error", `keyPlayers[${i}].number: missing`);
+  });
+  return out;
+}
+
+export function canonicalScouting(r) {
+  const changes = [];
+  const next = { ...r };
+  const ymd = canonicalYmd(next.date);
+  if (ymd && ymd !== next.date) {
+    changes.push(`date ${next.date} → ${ymd}`);
+    next.date = ymd;
+  }
+  const gameYmd = canonicalYmd(next.game?.date);
+  if (gameYmd && gameYmd !== next.game.date) {
+    changes.push(`game.date ${next.game.date} → ${gameYmd}`);
+    next.game = { ...next.game, date: gameYmd };
+  }
+  return { data: next, changes };
+}
+
+// ---- MHR history ----------------------------------------------------------
+
+/** Rows of a history file: a plain array, or the older { history: [] } wrapper */
+export function historyRows(data) {
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.history)) return data.history;
+  return null;
+}
+
+const sameValues = (a, b) => HISTORY_VALUES.every((k) => a?.[k] === b?.[k]);
+
+/** Issues for one src/data/mhr-history/<slug>.json */
+export function checkHistory(data) {
+  const out = [];
+  const rows = historyRows(data);
+  if (!rows) {
+    issue(out, "error", "expected a list of { date, rating, stateRank?, nationalRank? }");
+    return out;
+  }
+  if (!Array.isArray(data)) issue(out, "warn", "wrapped in { history: [] } (the updaters write a plain list)", true);
+
+  const seen = new Map();
+  let prev;
+  let ratingOnly = 0;
+  rows.forEach((p, i) => {
+    const at = `[${i}]${p?.date ? ` ${p.date}` : ""}`;
+    if (!p || typeof p !== "object") {
+      issue(out, "error", `${at}: not an object`);
+      return;
+    }
+    checkDate(out, `${at} date`, p.date);
+    const extra = Object.keys(p).filter((k) => !HISTORY_KEYS.includes(k));
+    if (extra.length) issue(out, "warn", `${at}: unknown field(s) ${extra.join(", ")}`, true);
+    if (p.source !== undefined && typeof p.source !== "string") issue(out, "error", `${at}: source is not a string`);
+    for (const k of HISTORY_VALUES) {
+      if (p[k] === undefined) continue;
+      if (!isNum(toNum(p[k]))) issue(out, "error", `${at}: ${k} is not a number`);
+      else if (!isNum(p[k])) issue(out, "warn", `${at}: ${k} stored as a string`, true);
+    }
+    const rating = toNum(p.rating);
+    if (rating === undefined) issue(out, "warn", `${at}: no rating`, true);
+    else if (isNum(rating) && rating <= 0) issue(out, "warn", `${at}: rating ${rating} (no games rated yet)`, true);
+    else if (p.stateRank === undefined && p.nationalRank === undefined) ratingOnly++;
+
+    const ymd = canonicalYmd(p.date);
+    if (!ymd) return;
+    if (seen.has(ymd)) issue(out, "warn", `${at}: duplicate date (also row ${seen.get(ymd)})`, true);
+    else seen.set(ymd, i);
+    if (prev && ymd < prev.ymd) issue(out, "warn", `${at}: out of order (after ${prev.ymd})`, true);
+    // Off-day snapshots are only written when something changed (append-ranks-to-history.mjs)
+    if (prev && !isWednesday(ymd) && ymd !== prev.ymd && sameValues(p, prev.p)) {
+      issue(out, "warn", `${at}: non-Wednesday point repeats ${prev.ymd}`, true);
+    }
+    prev = { ymd, p };
+  });
+  if (ratingOnly) issue(out, "note", `${ratingOnly} early point(s) with a rating but no ranks`);
+
+  // Missed weekly snapshots (user-visible as flat stretches on the chart)
+  const dates = [...seen.keys()].sort();
+  for (let i = 1; i < dates.length; i++) {
+    const days = (Date.parse(dates[i]) - Date.parse(dates[i - 1])) / 86400000;
+    if (days > 13) issue(out, "note", `gap of ${days} days between ${dates[i - 1]} and ${dates[i]}`);
+  }
+  return out;
+}
+
+/**
+ * Canonical history: a plain list sorted by date with zero-padded dates,
+ * numeric fields only, zero/missing ratings and repeated off-day points
+ * dropped, and one point per date (later rows win field by field).
+ */
+export function canonicalHistory(data) {
+  const rows = historyRows(data) ?? [];
+  const changes = [];
+  if (!Array.isArray(data)) changes.push("unwrapped { history }");
+
+  const byDate = new Map();
+  for (const p of rows) {
+    const ymd = canonicalYmd(p?.date);
+    if (!ymd) {
+      changes.push(`dropped row without a date (${JSON.stringify(p)})`);
+      continue;
+    }
+    const point = { date: ymd };
+    for (const k of HISTORY_VALUES) {
+      const v = toNum(p[k]);
+      if (isNum(v)) point[k] = v;
+    }
+    if (typeof p.source === "string") point.source = p.source;
+    if (byDate.has(ymd)) changes.push(`merged duplicate ${ymd}`);
+    byDate.set(ymd, { ...byDate.get(ymd), ...point });
+  }
+  for (const [ymd, p] of byDate) {
+    if (p.rating > 0) continue;
+    changes.push(`dropped ${ymd} (rating ${JSON.stringify(p.rating ?? null)})`);
+    byDate.delete(ymd);
+  }
+
+  const sorted = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+  const next = [];
+  for (const p of sorted) {
+    const prev = next.at(-1);
+    if (prev && !isWednesday(p.date) && sameValues(p, prev)) {
+      changes.push(`dropped ${p.date} (repeats ${prev.date})`);
+      continue;
+    }
+    // Same key order as append-ranks-to-history.mjs writes
+    next.push(Object.fromEntries(HISTORY_KEYS.filter((k) => p[k] !== undefined).map((k) => [k, p[k]])));
+  }
+  if (!changes.length && JSON.stringify(next) !== JSON.stringify(rows)) changes.push("sorted / normalized fields");
+  return { data: next, changes };
+}
+
+// ---- auto-schedules -------------------------------------------------------
+
+/** Issues for one src/data/auto-schedule/<slug>.json */
+export function checkSchedule(rows) {
+  const out = [];
+  if (!Array.isArray(rows)) {
+    issue(out, "error", "expected a list of game rows");
+    return out;
+  }
+  const keys = new Map();
+  const ids = new Map();
+  let prev = "";
+  rows.forEach((g, i) => {
+    const at = `[${i}]${g?.date ? ` ${g.date}` : ""}`;
+    if (!g || typeof g !== "object") {
+      issue(out, "error", `${at}: not an object`);
+      return;
+    }
+    checkDate(out, `${at} date`, g.date);
+    if (g.time !== undefined && !(typeof g.time === "string" && HHMM.test(g.time))) {
+      issue(out, "error", `${at}: time ${JSON.stringify(g.time)} is not HH:MM`);
+    }
+    if (g.start !== undefined && isNaN(Date.parse(g.start))) issue(out, "error", `${at}: start is not an ISO timestamp`);
+    if (!isStr(g.opponent)) issue(out, "error", `${at}: opponent missing`);
+    if (g.homeAway !== undefined && !HOME_AWAY.includes(g.homeAway)) {
+      issue(out, "error", `${at}: homeAway "${g.homeAway}" (expected ${HOME_AWAY.join("/")})`);
+    }
+    if (g.leagueGame !== undefined && typeof g.leagueGame !== "boolean") issue(out, "error", `${at}: leagueGame is not true/false`);
+    if (g.source === "ics" && g.tournament !== undefined) {
+      issue(out, "warn", `${at}: tournament ${JSON.stringify(g.tournament)} is a title guess (now tournamentHint)`, true);
+    }
+
+    // Same key the site and update:schedules de-duplicate on
+    const k = [g.date, g.time ?? "", String(g.opponent ?? "").toLowerCase()].join("|");
+    if (keys.has(k)) issue(out, "warn", `${at}: duplicate of row ${keys.get(k)} (${g.opponent})`, true);
+    else keys.set(k, i);
+    if (g.sourceId) {
+      if (ids.has(g.sourceId)) issue(out, "warn", `${at}: sourceId also on row ${ids.get(g.sourceId)}`);
+      else ids.set(g.sourceId, i);
+    }
+    const sortKey = `${g.date}${g.time ?? ""}`;
+    if (sortKey < prev) issue(out, "warn", `${at}: out of order`, true);
+    prev = sortKey;
+  });
+  return out;
+}
+
+/**
+ * ICS rows written before tournamentHint carried their title guess in
+ * `tournament`, which the site would take as a tag. Feeds never tag a row
+ * (only CSV sources and manual games do), so it moves to the hint.
+ */
+function guessToHint(g) {
+  if (g?.source !== "ics" || !("tournament" in g)) return g;
+  const out = {};
+  for (const [k, v] of Object.entries(g)) {
+    if (k !== "tournament") out[k] = v;
+    else if (v && g.tournamentHint === undefined) out.tournamentHint = v;
+  }
+  return out;
+}
+
+/** Canonical schedule: merged duplicates, sorted by date+time (as update:schedules writes it) */
+export function canonicalSchedule(rows) {
+  const hinted = rows.map(guessToHint);
+  const moved = hinted.filter((g, i) => g !== rows[i]).length;
+  const next = mergeSchedules([hinted]);
+  const changes = [];
+  if (moved) changes.push(`moved ${moved} title guess(es) from tournament to tournamentHint`);
+  if (next.length < rows.length) changes.push(`merged ${rows.length - next.length} duplicate row(s)`);
+  if (JSON.stringify(next) !== JSON.stringify(hinted) && next.length === rows.length) changes.push("sorted by date/time");
+  return { data: next, changes };
+}
@@ -0,0 +1,128 @@
+// scripts/lib/winprob-fit.mjs
+// Samples and fitting for scripts/calibrate-winprob.mjs. Pure functions, so
+// npm run test:calibration checks them without the site's data.
+//
+// Model (mirrors src/lib/probability.ts):
+//   d      = ratingA - ratingB + home * homeAdvantage      (home = +1 / -1 / 0)
+//   P(win) = logistic((d - drawBand) / scale)
+//   P(loss)= logistic((-d - drawBand) / scale)
+//   P(tie) = 1 - P(win) - P(loss)
+
+import { historyKey } from "../../src/lib/inline-teams.mjs";
+
+/* ---------------- samples ---------------- */
+
+/** Latest usable rating on or before `date` (history is sorted ascending). */
+export function ratingOn(hist, date) {
+  let r;
+  for (const h of hist ?? []) {
+    if (!h?.date || h.date > date) break;
+    if (typeof h.rating === "number" && h.rating > 0) r = h.rating;
+  }
+  return r;
+}
+
+const HOME_SIGN = { Home: 1, Away: -1 };
+
+/**
+ * One sample per game in our logs (`logs`: slug → results rows) whose
+ * opponent resolves to a team with a rating history (`histories`: history
+ * file name → points, sorted; inline opponents are under mhr-<id>, see
+ * historyKey), each side at its rating current on the game date. A game in
+ * both teams' logs (same date, mirrored score) counts once.
+ */
+export function buildSamples(logs, histories, resolve) {
+  const samples = [];
+  for (const a of [...logs.keys()].sort()) {
+    const histA = histories.get(a) ?? [];
+    for (const g of logs.get(a)) {
+      const them = resolve(g);
+      if (!them?.slug || them.slug === a) continue;
+      const theirs = logs.get(them.slug);
+      const mirrored = theirs?.some(
+        (h) => h.date === g.date && h.scoreFor === g.scoreAgainst && h.scoreAgainst === g.scoreFor && resolve(h)?.slug === a
+      );
+      // Already counted from their log
+      if (mirrored && them.slug < a) continue;
+      const rA = ratingOn(histA, g.date), rB = ratingOn(histories.get(historyKey(them)), g.date);
+      if (rA == null || rB == null) continue;
+      samples.push({
+        a, b: them.slug, date: g.date, rA, rB,
+        home: HOME_SIGN[g.homeAway] ?? 0,
+        score: g.result === "W" ? 1 : g.result === "L" ? 0 : 0.5,
+      });
+    }
+  }
+  return samples;
+}
+
+/* ---------------- model ---------------- */
+
+// Same as DEFAULT_MODEL in src/lib/probability.ts
+export const DEFAULT_MODEL = { scale: 6, homeAdvantage: 0, drawBand: 1.75 };
+const logistic = (x) => 1 / (1 + Math.exp(-x));
+const EPS = 1e-9;
+
+export function predict(p, s) {
+  const d = s.rA - s.rB + s.home * p.homeAdvantage;
+  const win = logistic((d - p.drawBand) / p.scale);
+  const loss = logistic((-d - p.drawBand) / p.scale);
+  return { win, tie: Math.max(0, 1 - win - loss), loss };
+}
+
+/** Negative log-likelihood: 3-way when fitting a draw band, else on the expected score. */
+function nll(p, samples, draw) {
+  let sum = 0;
+  for (const s of samples) {
+    const o = predict(p, s);
+    if (draw) {
+      const hit = s.score === 1 ? o.win : s.score === 0 ? o.loss : o.tie;
+      sum -= Math.log(Math.max(hit, EPS));
+    } else {
+      const e = Math.min(Math.max(o.win + o.tie / 2, EPS), 1 - EPS);
+      sum -= s.score * Math.log(e) + (1 - s.score) * Math.log(1 - e);
+    }
+  }
+  return sum / samples.length;
+}
+
+/** Brier score and log-loss on the expected score (W=1, T=0.5, L=0) */
+export function metrics(p, samples) {
+  let brier = 0, logLoss = 0;
+  for (const s of samples) {
+    const o = predict(p, s);
+    const e = Math.min(Math.max(o.win + o.tie / 2, EPS), 1 - EPS);
+    brier += (e - s.score) ** 2;
+    logLoss -= s.score * Math.log(e) + (1 - s.score) * Math.log(1 - e);
+  }
+  return { brier: brier / samples.length, logLoss: logLoss / samples.length };
+}
+
+/**
+ * Coordinate descent over 1-D grids; small parameter count, no deps needed.
+ * Fits the scale, plus home ice and a tie band when asked; the rest stay at
+ * DEFAULT_MODEL.
+ */
+export function fit(samples, { home = false, draw = false } = {}) {
+  const p = { ...DEFAULT_MODEL };
+  const grids = {
+    scale: Array.from({ length: 291 }, (_, i) => 1 + i * 0.1),          // 1.0 … 30.0
+    homeAdvantage: Array.from({ length: 81 }, (_, i) => -2 + i * 0.05), // -2 … +2
+    drawBand: Array.from({ length: 101 }, (_, i) => i * 0.05),          // 0 … 5
+  };
+  const keys = ["scale", ...(home ? ["homeAdvantage"] : []), ...(draw ? ["drawBand"] : [])];
+
+  for (let round = 0; round < 8; round++) {
+    let moved = false;
+    for (const k of keys) {
+      let best = p[k], bestLoss = nll(p, samples, draw);
+      for (const v of grids[k]) {
+        const loss = nll({ ...p, [k]: v }, samples, draw);
+        if (loss < bestLoss - 1e-12) { best = v; bestLoss = loss; }
+      }
+      if (best !== p[k]) { p[k] = best; moved = true; }
+    }
+    if (!moved) break;
+  }
+  return p;
+}
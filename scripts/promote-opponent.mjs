@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/**
+ * Promote an inline tournament opponent (tracked by MHR team id, see
+ * src/lib/inline-teams.mjs) to a full team file in src/content/teams once we
+ * start facing it regularly. Writes the team file from the freshest inline
+ * entry (other names it was listed under become `aliases`), replaces every
+ * inline entry with that MHR id by the team slug in the tournament files, and
+ * moves its mhr-history from mhr-<id>.json to the team slug.
+ *
+ * Without a selector it lists the inline opponents it knows about.
+ *
+ * Run:
+ *   npm run promote:opponent
+ *   npm run promote:opponent -- --id=15250
+ *   npm run promote:opponent -- --name="KC Scouts" --as=kc-scouts-aa --league="MO Hockey" --division="12U AA"
+ *   npm run promote:opponent -- --slug=tulsa-jr-oilers-aa --dry
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+
+import { collectInlineTeams, historyKey, mhrTeamId } from "../src/lib/inline-teams.mjs";
+import { slugify } from "../src/lib/opponent-match.mjs";
+
+const TEAMS_DIR = "src/content/teams";
+const TOURN_DIR = "src/content/tournaments";
+const HIST_DIR = "src/data/mhr-history";
+
+function getArg(name) {
+  const p = `--${name}=`;
+  for (const a of process.argv.slice(2)) {
+    if (a.startsWith(p)) return a.slice(p.length);
+    if (a === `--${name}`) return true;
+  }
+  return undefined;
+}
+
+const DRY = !!getArg("dry");
+const str = (v) => (typeof v === "string" && v.trim() ? v.trim() : undefined);
+
+async function readJson(p, fallback = null) {
+  try { return JSON.parse(await fs.readFile(p, "utf8")); } catch { return fallback; }
+}
+
+async function writeJson(p, data) {
+  await fs.mkdir(path.dirname(p), { recursive: true });
+  await fs.writeFile(p, JSON.stringify(data, null, 2) + "\n", "utf8");
+}
+
+async function exists(p) {
+  try { await fs.access(p); return true; } catch { return false; }
+}
+
+async function loadDir(dir) {
+  const out = [];
+  for (const f of (await fs.readdir(dir)).filter((f) => f.endsWith(".json")).sort()) {
+    const data = await readJson(path.join(dir, f));
+    if (data) out.push({ file: path.join(dir, f), data });
+  }
+  return out;
+}
+
+function pickTarget(inline) {
+  const id = str(getArg("id"));
+  const slug = str(getArg("slug"));
+  const name = str(getArg("name"))?.toLowerCase();
+  if (id) return inline.filter((t) => t.mhrTeamId === id);
+  if (slug) return inline.filter((t) => t.slug === slug);
+  if (name) return inline.filter((t) => [t.name, ...t.aliases].some((n) => n.toLowerCase().includes(name)));
+  return null;
+}
+
+function listInline(inline) {
+  if (!inline.length) {
+    console.log("No inline tournament opponents with an MHR link.");
+    return;
+  }
+  console.log(`${inline.length} inline opponent(s) (promote with --id, --slug or --name):\n`);
+  for (const t of inline) {
+    const rating = typeof t.rating === "number" ? t.rating.toFixed(2) : "—";
+    console.log(`  #${t.mhrTeamId.padEnd(6)} ${t.slug}  (${t.name}, rating ${rating}, ${t.tournaments.length} tournament(s))`);
+  }
+}
+
+async function main() {
+  const teams = (await loadDir(TEAMS_DIR)).map((e) => e.data).filter((t) => t?.slug);
+  const tournaments = await loadDir(TOURN_DIR);
+  const inline = collectInlineTeams(tournaments.map((e) => e.data), teams);
+
+  const matches = pickTarget(inline);
+  if (!matches) return listInline(inline);
+  if (matches.length !== 1) {
+    console.error(matches.length ? "✗ More than one inline opponent matches:" : "✗ No inline opponent matches.");
+    for (const t of matches) console.error(`  #${t.mhrTeamId} ${t.slug} (${t.name})`);
+    process.exit(1);
+  }
+  const target = matches[0];
+
+  const slug = str(getArg("as")) ? slugify(getArg("as")) : target.slug;
+  const teamPath = path.join(TEAMS_DIR, `${slug}.json`);
+  if (teams.some((t) => t.slug === slug) || (await exists(teamPath))) {
+    console.error(`✗ ${teamPath} already exists; pick another slug with --as=`);
+    process.exit(1);
+  }
+
+  // Same field order as the existing team files
+  const team = {
+    name: target.name,
+    slug,
+    division: str(getArg("division")),
+    league: str(getArg("league")),
+    website: target.website,
+    mhrUrl: target.mhrUrl,
+    record: target.record,
+    rating: target.rating,
+    lastUpdated: target.lastUpdated?.slice(0, 10),
+    mhrStateRank: target.mhrStateRank,
+    mhrNationalRank: target.mhrNationalRank,
+    aliases: target.aliases.length ? target.aliases : undefined,
+  };
+  const teamData = Object.fromEntries(Object.entries(team).filter(([, v]) => v !== undefined));
+
+  // Inline entries with this MHR id → the new slug
+  const edits = [];
+  for (const t of tournaments) {
+    const opponents = t.data.opponents ?? [];
+    const next = opponents.map((op) => (op && typeof op === "object" && mhrTeamId(op.mhrUrl) === target.mhrTeamId ? slug : op));
+    const replaced = next.filter((op, i) => op !== opponents[i]).length;
+    if (replaced) edits.push({ t, next, replaced });
+  }
+
+  // Inline history is kept by MHR id; a team file's goes by its slug
+  const fromHist = path.join(HIST_DIR, `${historyKey(target)}.json`);
+  const toHist = path.join(HIST_DIR, `${slug}.json`);
+  const moveHist = await exists(fromHist);
+  if (moveHist && (await exists(toHist))) {
+    console.error(`✗ ${toHist} already exists; move or merge it first`);
+    process.exit(1);
+  }
+
+  const verb = DRY ? "would write" : "wrote";
+  if (!DRY) await writeJson(teamPath, teamData);
+  console.log(`✓ ${verb} ${teamPath} (${target.name}, MHR #${target.mhrTeamId})`);
+  for (const { t, next, replaced } of edits) {
+    if (!DRY) await writeJson(t.file, { ...t.data, opponents: next });
+    console.log(`✓ ${DRY ? "would replace" : "replaced"} ${replaced} inline entr${replaced === 1 ? "y" : "ies"} in ${t.file} with "${slug}"`);
+  }
+  if (moveHist) {
+    if (!DRY) await fs.rename(fromHist, toHist);
+    console.log(`✓ ${DRY ? "would move" : "moved"} ${fromHist} → ${toHist}`);
+  }
+  if (!team.league || !team.division) {
+    console.log(`• No --league/--division: the team stays out of league tables until ${teamPath} has them.`);
+  }
+  console.log("• Next: npm run update:mhr (refreshes it with the other teams from now on)");
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
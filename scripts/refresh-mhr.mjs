@@ -0,0 +1,355 @@
+#!/usr/bin/env node
+/**
+ * Refresh rating, record, mhrStateRank and mhrNationalRank from MyHockeyRankings
+ * for every team file (src/content/teams) and every inline tournament opponent
+ * (tracked by MHR team id, src/lib/inline-teams.mjs) in one run.
+ *
+ * Pages come through scripts/lib/mhr-fetch.mjs: one shared Chromium for the
+ * run, a page cache in .cache/mhr keyed by MHR id (--ttl hours, default 12),
+ * retries with backoff and a few teams in flight at once. Each id is fetched
+ * once; inline values go to every entry with that id in current tournaments
+ * (past ones only with --include-past).
+ *
+ * Scraped values go through scripts/lib/mhr-sanity.mjs first: a record that
+ * loses games, a rating jump beyond --max-rating-jump (default 2, per week since
+ * the stored values were last updated) or a rank out of line with rating order
+ * among our team files is not written but held in src/data/mhr-quarantine.json
+ * for review (npm run review:quarantine).
+ *
+ * Ends with a run report — updated / unchanged / parse-suspicious / failed per
+ * team — in reports/mhr-refresh.json and .md (--report-dir to move it). Exits
+ * non-zero when more teams failed than --max-failures (default 0), after
+ * writing everything that did refresh.
+ *
+ * Requirements (for client-rendered ranks; plain HTML is used without it):
+ *   npm i -D playwright-chromium
+ * In CI:
+ *   npx playwright install --with-deps chromium
+ *
+ * Run:
+ *   npm run update:mhr
+ *   npm run update:mhr -- --only=teams                  # or --only=inline
+ *   npm run update:mhr -- --team=rockets-a1,kc-scouts-aa --no-cache
+ *   npm run update:mhr -- --tournament=tulsa --include-past
+ *   npm run update:mhr -- --concurrency=3 --retries=3 --delay=500 --ttl=24
+ *   npm run update:mhr -- --max-failures=2             # tolerate a couple of dead pages
+ *   npm run update:mhr -- --dry --debug                 # --debug saves .debug/<slug>-mhr-text.txt
+ *   npm run update:mhr -- --record                      # save every page to scripts/fixtures/replay
+ *   npm run update:mhr -- --replay --dry                # ...and run from them with no network
+ *   npm run update:mhr -- --replay --now=2025-10-29T12:00:00Z   # same dates every run
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+
+import { parseMhrText, regionHintsFromName } from "./lib/mhr-parse.mjs";
+import { createMhrFetcher, mapPool } from "./lib/mhr-fetch.mjs";
+import { summarize, renderReportMarkdown } from "./lib/refresh-report.mjs";
+import { checkScrape, updateQuarantine, DEFAULT_LIMITS } from "./lib/mhr-sanity.mjs";
+import { setupRecordReplay, now } from "./lib/record-replay.mjs";
+import { collectInlineTeams, mhrTeamId } from "../src/lib/inline-teams.mjs";
+
+const TEAMS_DIR = "src/content/teams";
+const TOURN_DIR = "src/content/tournaments";
+const QUARANTINE_FILE = "src/data/mhr-quarantine.json";
+const DEFAULT_YEAR = new Date().getUTCFullYear();
+
+function getArg(name) {
+  const p = `--${name}=`;
+  for (const a of process.argv.slice(2)) {
+    if (a.startsWith(p)) return a.slice(p.length);
+    if (a === `--${name}`) return true;
+  }
+  return undefined;
+}
+
+function numArg(name, fallback) {
+  const v = Number(getArg(name));
+  return Number.isFinite(v) && v >= 0 ? v : fallback;
+}
+
+const DRY = !!getArg("dry");
+const DEBUG = !!getArg("debug");
+const ONLY = getArg("only");
+const TEAM_ARG = getArg("team");
+const TOURN_ARG = getArg("tournament");
+const INCLUDE_PAST = !!getArg("include-past");
+const REPORT_DIR = typeof getArg("report-dir") === "string" ? getArg("report-dir") : "reports";
+const MAX_FAILURES = numArg("max-failures", 0);
+const LIMITS = {
+  maxRatingJump: numArg("max-rating-jump", DEFAULT_LIMITS.maxRatingJump),
+  rankTolerance: numArg("rank-tolerance", DEFAULT_LIMITS.rankTolerance),
+};
+
+function todayISO() { return now().toISOString().slice(0, 10); }
+
+async function readJson(p, fallback = null) {
+  try { return JSON.parse(await fs.readFile(p, "utf8")); } catch { return fallback; }
+}
+
+async function writeJson(p, data) {
+  await fs.mkdir(path.dirname(p), { recursive: true });
+  await fs.writeFile(p, JSON.stringify(data, null, 2) + "\n", "utf8");
+}
+
+async function loadDir(dir) {
+  const out = [];
+  for (const f of (await fs.readdir(dir)).filter((f) => f.endsWith(".json")).sort()) {
+    const data = await readJson(path.join(dir, f));
+    if (data) out.push({ file: path.join(dir, f), data });
+  }
+  return out;
+}
+
+function buildMhrUrl(team) {
+  if (team?.mhrUrl) return String(team.mhrUrl);
+  const id = team?.mhrTeamId ?? team?.mhrId;
+  if (!id) return null;
+  const y = team?.mhrYear ?? DEFAULT_YEAR;
+  return `https://myhockeyrankings.com/team_info.php?y=${encodeURIComponent(y)}&t=${encodeURIComponent(id)}`;
+}
+
+/** Region labels to try for the state rank: explicit fields first, then "(TX)" in the name. */
+function regionHints(team) {
+  return [team?.state, team?.mhrState, team?.region, team?.division, team?.location, ...regionHintsFromName(team?.name)];
+}
+
+/** Tournament has ended (endDate, else startDate, before today) */
+function isPast(t) {
+  const end = t.endDate ?? t.startDate;
+  return typeof end === "string" && end < now().toLocaleDateString("en-CA");
+}
+
+/* ---------------- parsed page → field values ---------------- */
+
+const safeNumber = (n) =>
+  (typeof n === "number" && Number.isFinite(n) && n > 0) ? n : undefined;
+
+/** Values worth writing, keyed by the team-file field names */
+function valuesFrom(text, hints) {
+  const info = parseMhrText(text, hints);
+  const values = {
+    rating: safeNumber(info.rating), // guard against bogus 0
+    record: info.record && /^\d+-\d+-\d+$/.test(info.record) ? info.record : undefined,
+    mhrStateRank: safeNumber(info.stateRank),
+    mhrNationalRank: safeNumber(info.nationalRank),
+  };
+  return Object.fromEntries(Object.entries(values).filter(([, v]) => v !== undefined));
+}
+
+/** Why a parse looks wrong: nothing found, or a value the team had is gone */
+function suspiciousReasons(values, before) {
+  if (!Object.keys(values).length) return ["no rating, record or rank found on the page"];
+  const lost = ["rating", "record", "mhrStateRank", "mhrNationalRank"].filter((k) => before[k] != null && values[k] === undefined);
+  return lost.length ? [`${lost.join(", ")} missing from the page (had ${lost.map((k) => before[k]).join(", ")})`] : [];
+}
+
+function diff(before, values) {
+  const changes = {};
+  for (const [k, v] of Object.entries(values)) {
+    if (String(before[k]) !== String(v)) changes[k] = [before[k], v];
+  }
+  return changes;
+}
+
+/* ---------------- targets ---------------- */
+
+async function loadTargets() {
+  const teamFiles = (await loadDir(TEAMS_DIR)).filter((e) => e.data?.slug);
+  const tournaments = await loadDir(TOURN_DIR);
+  const wanted = typeof TEAM_ARG === "string" ? new Set(TEAM_ARG.split(",").map((s) => s.trim())) : null;
+  const targets = [];
+
+  if (ONLY !== "inline") {
+    for (const { file, data } of teamFiles) {
+      if (wanted && !wanted.has(data.slug)) continue;
+      const url = buildMhrUrl(data);
+      if (!url) {
+        console.log(`⏭  ${data.slug}: no mhrUrl or id`);
+        continue;
+      }
+      targets.push({ kind: "team", slug: data.slug, name: data.name ?? data.slug, url, before: data, hints: regionHints(data), file });
+    }
+  }
+
+  if (ONLY !== "teams") {
+    // Slugs as the site names them (all tournaments); entries refreshed only in current ones
+    const inline = collectInlineTeams(tournaments.map((e) => e.data), teamFiles.map((e) => e.data));
+    const active = tournaments.filter((e) =>
+      (INCLUDE_PAST || !isPast(e.data)) &&
+      (typeof TOURN_ARG !== "string" || path.basename(e.file).toLowerCase().includes(TOURN_ARG.toLowerCase()))
+    );
+    for (const t of inline) {
+      if (wanted && !wanted.has(t.slug)) continue;
+      const entries = [];
+      for (const e of active) {
+        for (const op of e.data.opponents ?? []) {
+          if (op && typeof op === "object" && mhrTeamId(op.mhrUrl) === t.mhrTeamId) entries.push({ tournament: e, op });
+        }
+      }
+      if (!entries.length) continue;
+      targets.push({
+        kind: "inline",
+        slug: t.slug,
+        name: t.name,
+        url: t.mhrUrl,
+        before: t,
+        hints: [...new Set(entries.flatMap(({ op }) => regionHints(op)))],
+        entries,
+      });
+    }
+  }
+  // Stored values of our team files: what scraped ranks are checked against
+  const peers = teamFiles.map(({ data }) => ({
+    slug: data.slug,
+    league: data.league,
+    rating: data.rating,
+    mhrStateRank: data.mhrStateRank,
+    mhrNationalRank: data.mhrNationalRank,
+  }));
+  return { targets, tournaments, peers };
+}
+
+/* ---------------- one team ---------------- */
+
+async function refreshOne(fetcher, target, peers) {
+  const base = { kind: target.kind, slug: target.slug, name: target.name, mhrTeamId: mhrTeamId(target.url) ?? null, url: target.url };
+  let page;
+  try {
+    page = await fetcher.get(target.url);
+  } catch (e) {
+    return { entry: { ...base, status: "failed", error: e.message, attempts: e.attempts ?? 1, changes: {} } };
+  }
+  if (DEBUG) {
+    await fs.mkdir(".debug", { recursive: true });
+    await fs.writeFile(`.debug/${target.slug}-mhr-text.txt`, page.text, "utf8");
+  }
+
+  const values = valuesFrom(page.text, target.hints);
+  // Don't let a broken page stand in for MHR until the cache expires
+  if (!Object.keys(values).length) await fetcher.forget(target.url);
+  // Inline opponents can be from any state or country: no rank-order check
+  const sanity = checkScrape(target.before, values, { peers: target.kind === "team" ? peers : [], limits: LIMITS, now: now() });
+  const { accepted } = sanity;
+  const reasons = [...suspiciousReasons(values, target.before), ...sanity.flagged.map((f) => `${f.reason} (quarantined)`)];
+  const changes = diff(target.before, accepted);
+  const files = [];
+
+  if (Object.keys(accepted).length) {
+    if (target.kind === "team" && Object.keys(changes).length) {
+      const next = { ...target.before, ...accepted, lastUpdated: todayISO() };
+      if (!DRY) await writeJson(target.file, next);
+      files.push(target.file);
+    }
+    if (target.kind === "inline") {
+      // updatedFromMHRAt = when MHR was read (the cache time for cached pages)
+      for (const { tournament, op } of target.entries) {
+        const before = JSON.stringify(op);
+        Object.assign(op, accepted, { updatedFromMHRAt: page.fetchedAt });
+        if (JSON.stringify(op) !== before) {
+          tournament.dirty = true;
+          if (!files.includes(tournament.file)) files.push(tournament.file);
+        }
+      }
+    }
+  }
+
+  const status = reasons.length ? "suspicious" : Object.keys(changes).length ? "updated" : "unchanged";
+  const entry = {
+    ...base,
+    status,
+    changes,
+    ...(reasons.length ? { reasons } : {}),
+    ...(sanity.flagged.length ? { quarantined: sanity.flagged } : {}),
+    mode: page.mode,
+    cached: page.cached,
+    attempts: page.attempts,
+    files,
+  };
+  // Where an accepted quarantine value would go (review-quarantine.mjs)
+  const owner = { ...base, files: target.entries ? [...new Set(target.entries.map((e) => e.tournament.file))] : [target.file] };
+  return { entry, owner, sanity };
+}
+
+function logEntry(e) {
+  const what = Object.entries(e.changes).map(([k, [, v]]) => `${k} ${typeof v === "number" && !Number.isInteger(v) ? v.toFixed(2) : v}`).join(", ");
+  const via = e.cached ? " (cached)" : "";
+  if (e.status === "failed") console.warn(`✗ ${e.slug}: ${e.error} after ${e.attempts} attempt(s)`);
+  else if (e.status === "suspicious") console.warn(`! ${e.slug}: ${e.reasons.join("; ")}${what ? ` [${what}]` : ""}${via}`);
+  else if (e.status === "updated") console.log(`✓ ${e.slug}: ${what}${via}`);
+  else console.log(`• ${e.slug}: no change${via}`);
+}
+
+async function main() {
+  const tape = setupRecordReplay();
+  const startedAt = now();
+  const t0 = Date.now();
+  const { targets, tournaments, peers } = await loadTargets();
+  if (!targets.length) {
+    console.log("No MHR teams to refresh.");
+    return;
+  }
+
+  // Record/replay bypass the page cache; replay has nothing to wait for
+  const fetcher = createMhrFetcher({
+    ttlHours: getArg("no-cache") || tape ? 0 : numArg("ttl", 12),
+    retries: tape === "replay" ? 0 : numArg("retries", 2),
+    delayMs: tape === "replay" ? 0 : numArg("delay", 1000),
+    browser: !getArg("no-browser"),
+    log: (msg) => console.log(msg),
+  });
+  const concurrency = Math.max(1, numArg("concurrency", 2));
+  console.log(`Refreshing ${targets.length} MHR team(s), ${concurrency} at a time${DRY ? " (dry run)" : ""}`);
+
+  let results;
+  try {
+    results = await mapPool(targets, concurrency, async (t) => {
+      const r = await refreshOne(fetcher, t, peers);
+      logEntry(r.entry);
+      return r;
+    });
+  } finally {
+    await fetcher.close();
+  }
+
+  // Tournament files are shared by several inline teams: write each once
+  for (const t of tournaments.filter((t) => t.dirty)) {
+    if (!DRY) await writeJson(t.file, t.data);
+  }
+
+  // Held-back values for review; fields that passed this run drop out
+  const before = await readJson(QUARANTINE_FILE, []);
+  let quarantine = before;
+  const seenAt = now().toISOString();
+  for (const { owner, sanity } of results) {
+    if (sanity) quarantine = updateQuarantine(quarantine, owner, sanity, seenAt);
+  }
+  if (!DRY && JSON.stringify(quarantine) !== JSON.stringify(before)) await writeJson(QUARANTINE_FILE, quarantine);
+
+  const entries = results.map((r) => r.entry);
+  const report = {
+    startedAt: startedAt.toISOString(),
+    durationMs: Date.now() - t0,
+    dryRun: DRY,
+    summary: { ...summarize(entries), quarantined: quarantine.length },
+    entries,
+  };
+  await writeJson(path.join(REPORT_DIR, "mhr-refresh.json"), report);
+  await fs.writeFile(path.join(REPORT_DIR, "mhr-refresh.md"), renderReportMarkdown(report), "utf8");
+
+  const s = report.summary;
+  console.log(
+    `\n${s.updated} updated, ${s.unchanged} unchanged, ${s.suspicious} suspicious, ${s.failed} failed` +
+      ` → ${path.join(REPORT_DIR, "mhr-refresh.md")}` +
+      (quarantine.length ? `\n! ${quarantine.length} value(s) in ${QUARANTINE_FILE}; review with npm run review:quarantine` : "")
+  );
+  if (s.failed > MAX_FAILURES) {
+    console.error(`✗ ${s.failed} team(s) failed to refresh (allowed: ${MAX_FAILURES}); see the report`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
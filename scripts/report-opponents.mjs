@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * List schedule opponents the site can't link to a team, so mappings get fixed
+ * before game day instead of showing up as plain "TBD"-style names.
+ *
+ * Scans every src/data/auto-schedule/<slug>.json, manual games in
+ * src/content/games, and string opponents in tournament files, and resolves
+ * each opponent exactly like the pages do (src/lib/opponent-match.mjs: sourceId
+ * overrides, slugs, team names + `aliases`, then fuzzy scoring).
+ *
+ * Reported:
+ *   ✗ unmatched         — best score below the link cutoff (60)
+ *   ? low confidence    — linked, but with a fuzzy score under --threshold
+ * Each shows the top candidates it considered with their scores.
+ *
+ * Fix by adding the schedule's spelling to the team's `aliases`, or pin a single
+ * event by sourceId in src/data/opponent-overrides.json.
+ *
+ * Run:
+ *   npm run report:opponents
+ *   npm run report:opponents -- --threshold=90     # stricter "low confidence" cutoff (default 80)
+ *   npm run report:opponents -- --upcoming         # only games from today on
+ *   npm run report:opponents -- --all              # also list confident matches
+ *   npm run report:opponents -- --json
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import { createResolver, MIN_SCORE } from "../src/lib/opponent-match.mjs";
+import { collectInlineTeams } from "../src/lib/inline-teams.mjs";
+
+const TEAMS_DIR = "src/content/teams";
+const GAMES_DIR = "src/content/games";
+const TOURNAMENTS_DIR = "src/content/tournaments";
+const AUTO_DIR = "src/data/auto-schedule";
+const OVERRIDES_FILE = "src/data/opponent-overrides.json";
+
+function getArg(name) {
+  const p = `--${name}=`;
+  for (const a of process.argv.slice(2)) {
+    if (a.startsWith(p)) return a.slice(p.length);
+    if (a === `--${name}`) return true;
+  }
+  return undefined;
+}
+
+const THRESHOLD = Number.isFinite(+getArg("threshold")) && +getArg("threshold") > 0 ? +getArg("threshold") : 80;
+const UPCOMING = !!getArg("upcoming");
+const SHOW_ALL = !!getArg("all");
+const AS_JSON = !!getArg("json");
+const CANDIDATES = 3;
+
+// Schedule rows that aren't games (ICS calendars mix these in)
+const NOT_A_GAME = /\b(travel day|practice|tryouts?|team (?:meeting|photos?)|off ice|dryland|bye)\b/i;
+
+async function readJson(p, fallback = null) { try { return JSON.parse(await fs.readFile(p, "utf8")); } catch { return fallback; } }
+
+async function readJsonDir(dir) {
+  let files = [];
+  try { files = (await fs.readdir(dir)).filter((f) => f.endsWith(".json")); } catch { return []; }
+  const out = [];
+  for (const f of files) out.push({ file: path.join(dir, f), data: await readJson(path.join(dir, f), null) });
+  return out;
+}
+
+/** Every opponent reference with where it came from. */
+async function collectRows() {
+  const rows = [];
+  for (const { file, data } of await readJsonDir(AUTO_DIR)) {
+    for (const g of Array.isArray(data) ? data : []) rows.push({ ...g, from: file });
+  }
+  for (const { file, data } of await readJsonDir(GAMES_DIR)) {
+    if (data?.opponent) rows.push({ ...data, from: file });
+  }
+  for (const { file, data } of await readJsonDir(TOURNAMENTS_DIR)) {
+    for (const op of data?.opponents ?? []) {
+      if (typeof op === "string") rows.push({ opponent: op, date: data.startDate, from: file });
+    }
+  }
+  return rows;
+}
+
+const today = new Date().toISOString().slice(0, 10);
+
+async function main() {
+  const teamFiles = (await readJsonDir(TEAMS_DIR)).map((t) => t.data).filter((t) => t?.slug);
+  // Same team list as the site: team files plus inline tournament opponents
+  const tournaments = (await readJsonDir(TOURNAMENTS_DIR)).map((t) => t.data).filter(Boolean);
+  const teams = [...teamFiles, ...collectInlineTeams(tournaments, teamFiles)];
+  const overrides = (await readJson(OVERRIDES_FILE, {})) ?? {};
+  const resolver = createResolver(teams, { overrides });
+
+  const rows = (await collectRows())
+    .filter((g) => String(g.opponent ?? "").trim() || g.opponentSlug)
+    .filter((g) => !NOT_A_GAME.test(g.opponent ?? ""))
+    .filter((g) => !UPCOMING || !g.date || g.date >= today);
+
+  // One entry per distinct opponent label (sourceId overrides are per row, so resolve each)
+  const byLabel = new Map();
+  for (const g of rows) {
+    const r = resolver.explain(g);
+    const label = r.raw || g.opponentSlug;
+    const e = byLabel.get(label) ?? { label, games: 0, dates: [], from: new Set(), results: [] };
+    e.games++;
+    if (g.date) e.dates.push(g.date);
+    e.from.add(g.from);
+    e.results.push(r);
+    byLabel.set(label, e);
+  }
+
+  const report = [...byLabel.values()].map((e) => {
+    // Worst resolution for the label decides its status
+    const worst = e.results.reduce((a, b) => (!b.team || (a.team && b.score < a.score) ? b : a));
+    const status = !worst.team ? "unmatched" : worst.via === "fuzzy" && worst.score < THRESHOLD ? "low" : "ok";
+    const dates = e.dates.sort();
+    return {
+      opponent: e.label,
+      status,
+      via: worst.via,
+      team: worst.team?.slug ?? null,
+      score: Number.isFinite(worst.score) ? worst.score : null,
+      games: e.games,
+      next: dates.find((d) => d >= today) ?? null,
+      last: dates[dates.length - 1] ?? null,
+      candidates: worst.candidates.filter((c) => c.score > 0).slice(0, CANDIDATES).map((c) => ({ slug: c.team.slug, name: c.team.name, score: c.score })),
+      from: [...e.from],
+    };
+  });
+
+  const order = { unmatched: 0, low: 1, ok: 2 };
+  report.sort((a, b) => order[a.status] - order[b.status] || String(a.next ?? a.last).localeCompare(String(b.next ?? b.last)));
+  const shown = SHOW_ALL ? report : report.filter((r) => r.status !== "ok");
+
+  if (AS_JSON) {
+    console.log(JSON.stringify({ threshold: THRESHOLD, minScore: MIN_SCORE, opponents: shown }, null, 2));
+  } else {
+    for (const r of shown) {
+      const mark = r.status === "unmatched" ? "✗" : r.status === "low" ? "?" : "✓";
+      const when = r.next ? `next ${r.next}` : r.last ? `last ${r.last}` : "";
+      const linked = r.team ? ` → ${r.team} (${r.via}${r.via === "fuzzy" ? ` ${r.score}` : ""})` : "";
+      console.log(`${mark} "${r.opponent}"${linked} — ${r.games} game(s)${when ? `, ${when}` : ""}`);
+      if (r.status !== "ok") {
+        for (const c of r.candidates) console.log(`    ${String(c.score).padStart(4)}  ${c.slug}  (${c.name})`);
+        if (!r.candidates.length) console.log("       —  no team scored above 0");
+        console.log(`    in ${r.from.join(", ")}`);
+      }
+    }
+    const n = (s) => report.filter((r) => r.status === s).length;
+    console.log(`\n${report.length} opponent name(s): ${n("ok")} linked, ${n("low")} low confidence (< ${THRESHOLD}), ${n("unmatched")} unmatched.`);
+    if (n("low") || n("unmatched")) {
+      console.log("Fix with `aliases` on the team file, or pin a sourceId in src/data/opponent-overrides.json.");
+    }
+  }
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
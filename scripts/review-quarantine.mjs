@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Review scraped MHR values the refresh held back (src/data/mhr-quarantine.json,
+ * written by refresh-mhr.mjs when a value fails the checks in
+ * scripts/lib/mhr-sanity.mjs). Without flags it lists them; --accept writes a
+ * value into the team file (or the inline tournament entries it came from),
+ * --reject drops it. Either way the entry leaves the quarantine.
+ *
+ * Selectors are comma-separated `<slug>` (all of its fields), `<slug>:<field>`
+ * or `all`.
+ *
+ * Run:
+ *   npm run review:quarantine
+ *   npm run review:quarantine -- --accept=rockets-a1:rating
+ *   npm run review:quarantine -- --reject=kirkwood-a1 --dry
+ *   npm run review:quarantine -- --accept=all
+ *   npm run review:quarantine -- --accept=all --now=2026-03-04T12:00:00Z   # date lastUpdated then
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+
+import { mhrTeamId } from "../src/lib/inline-teams.mjs";
+import { setupRecordReplay, now } from "./lib/record-replay.mjs";
+
+const QUARANTINE_FILE = "src/data/mhr-quarantine.json";
+
+function getArg(name) {
+  const p = `--${name}=`;
+  for (const a of process.argv.slice(2)) {
+    if (a.startsWith(p)) return a.slice(p.length);
+    if (a === `--${name}`) return true;
+  }
+  return undefined;
+}
+
+const DRY = !!getArg("dry");
+
+function todayISO() { return now().toISOString().slice(0, 10); }
+
+async function readJson(p, fallback = null) {
+  try { return JSON.parse(await fs.readFile(p, "utf8")); } catch { return fallback; }
+}
+
+async function writeJson(p, data) {
+  await fs.mkdir(path.dirname(p), { recursive: true });
+  await fs.writeFile(p, JSON.stringify(data, null, 2) + "\n", "utf8");
+}
+
+const fmt = (v) => (v === undefined || v === null ? "—" : typeof v === "number" && !Number.isInteger(v) ? v.toFixed(2) : String(v));
+
+/** Quarantine entries matching a --accept / --reject value */
+function select(list, arg) {
+  if (typeof arg !== "string") return [];
+  const picks = arg.split(",").map((s) => s.trim()).filter(Boolean);
+  return list.filter((q) =>
+    picks.some((p) => {
+      if (p === "all") return true;
+      const [slug, field] = p.split(":");
+      return q.slug === slug && (!field || q.field === field);
+    })
+  );
+}
+
+function list(quarantine) {
+  if (!quarantine.length) {
+    console.log(`Nothing in ${QUARANTINE_FILE}.`);
+    return;
+  }
+  console.log(`${quarantine.length} held-back value(s) (--accept / --reject with <slug>[:<field>] or all):\n`);
+  for (const q of quarantine) {
+    console.log(`  ${q.slug}:${q.field}  ${fmt(q.current)} → ${fmt(q.scraped)}  [${q.kind}]`);
+    console.log(`      ${q.reason}`);
+    console.log(`      seen ${q.seen}× (${q.firstSeen.slice(0, 10)} – ${q.lastSeen.slice(0, 10)})  ${q.url}`);
+  }
+}
+
+/** Write one accepted value where the refresh would have; returns the files touched */
+async function apply(q) {
+  const touched = [];
+  for (const file of q.files ?? []) {
+    const data = await readJson(file);
+    if (!data) {
+      console.warn(`  ! ${file}: missing or invalid JSON`);
+      continue;
+    }
+    if (q.kind === "team") {
+      if (!DRY) await writeJson(file, { ...data, [q.field]: q.scraped, lastUpdated: todayISO() });
+      touched.push(file);
+      continue;
+    }
+    let hit = false;
+    for (const op of data.opponents ?? []) {
+      if (op && typeof op === "object" && mhrTeamId(op.mhrUrl) === q.mhrTeamId) {
+        op[q.field] = q.scraped;
+        hit = true;
+      }
+    }
+    if (hit) {
+      if (!DRY) await writeJson(file, data);
+      touched.push(file);
+    }
+  }
+  return touched;
+}
+
+async function main() {
+  setupRecordReplay();
+  const quarantine = (await readJson(QUARANTINE_FILE, [])) ?? [];
+  const accept = select(quarantine, getArg("accept"));
+  const reject = select(quarantine, getArg("reject")).filter((q) => !accept.includes(q));
+  if (!getArg("accept") && !getArg("reject")) return list(quarantine);
+  if (!accept.length && !reject.length) {
+    console.error("✗ No quarantined value matches; run without flags to list them.");
+    process.exit(1);
+  }
+
+  for (const q of accept) {
+    const files = await apply(q);
+    if (files.length) {
+      console.log(`✓ ${DRY ? "would accept" : "accepted"} ${q.slug} ${q.field} ${fmt(q.scraped)} → ${files.join(", ")}`);
+    } else {
+      console.warn(`! ${q.slug} ${q.field}: no file to write it to; dropped from the quarantine`);
+    }
+  }
+  for (const q of reject) console.log(`• ${DRY ? "would reject" : "rejected"} ${q.slug} ${q.field} ${fmt(q.scraped)}`);
+
+  const rest = quarantine.filter((q) => !accept.includes(q) && !reject.includes(q));
+  if (!DRY) await writeJson(QUARANTINE_FILE, rest);
+  console.log(`\n${rest.length} value(s) left in ${QUARANTINE_FILE}`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * Start a new season: archive this season's data under archive/<season>/ and
+ * reset the tree for the next one (the season lives in src/config/portal.json).
+ *
+ *   moved to the archive   tournaments, manual games, scouting reports,
+ *                          auto-schedules, schedule change logs, results,
+ *                          digests, mhr-history, mhr-snapshot, schedule drops,
+ *                          the MHR quarantine, GameSheet player stats
+ *   copied to the archive  team files, portal.json, schedule sources,
+ *                          opponent overrides
+ *   carried forward        team files (and so the home teams) with their MHR
+ *                          ids: the season fields (record, rating, ranks,
+ *                          note, lastUpdated) are cleared and `y=` in mhrUrl
+ *                          moves to the new season's year
+ *
+ * Refuses to run when archive/<season>/ already exists. Schedule feed links
+ * (scripts/config/schedule-sources.mjs) are per season and have to be updated
+ * by hand; so do home team divisions when the kids age up.
+ *
+ * Run:
+ *   npm run season:rollover -- --dry
+ *   npm run season:rollover
+ *   npm run season:rollover -- --to=2026-27
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+
+const PORTAL_FILE = "src/config/portal.json";
+const TEAMS_DIR = "src/content/teams";
+const ARCHIVE_DIR = "archive";
+
+/** Season data: archived, then removed (directories are recreated empty when `keepDir`) */
+const MOVE = [
+  { path: "src/content/tournaments", keepDir: true },
+  { path: "src/content/games" },
+  { path: "src/content/scouting", keepDir: true },
+  { path: "src/data/auto-schedule" },
+  { path: "src/data/schedule-changes" },
+  { path: "src/data/results" },
+  { path: "src/data/digests" },
+  { path: "src/data/mhr-history" },
+  { path: "src/data/mhr-snapshot" },
+  { path: "src/data/schedule-drops" },
+  { path: "src/data/mhr-quarantine.json" },
+  { path: "src/data/players" },
+];
+
+/** Kept in place, archived as they were at the end of the season */
+const COPY = [TEAMS_DIR, PORTAL_FILE, "scripts/config/schedule-sources.mjs", "src/data/opponent-overrides.json"];
+
+/** Team file fields that describe one season */
+const SEASON_FIELDS = ["record", "rating", "mhrStateRank", "mhrNationalRank", "note", "lastUpdated"];
+
+function getArg(name) {
+  const p = `--${name}=`;
+  for (const a of process.argv.slice(2)) {
+    if (a.startsWith(p)) return a.slice(p.length);
+    if (a === `--${name}`) return true;
+  }
+  return undefined;
+}
+
+const DRY = !!getArg("dry");
+
+async function readJson(p, fallback = null) {
+  try { return JSON.parse(await fs.readFile(p, "utf8")); } catch { return fallback; }
+}
+
+async function writeJson(p, data) {
+  await fs.mkdir(path.dirname(p), { recursive: true });
+  await fs.writeFile(p, JSON.stringify(data, null, 2) + "\n", "utf8");
+}
+
+async function exists(p) {
+  try { await fs.access(p); return true; } catch { return false; }
+}
+
+/** "2025-26" → "2026-27" */
+function nextSeason(label) {
+  const y = Number(label.slice(0, 4)) + 1;
+  return `${y}-${String((y + 1) % 100).padStart(2, "0")}`;
+}
+
+async function archive(src, dest) {
+  if (!DRY) await fs.cp(src, path.join(dest, src), { recursive: true });
+}
+
+async function main() {
+  const portal = await readJson(PORTAL_FILE);
+  if (!portal?.season?.label) throw new Error(`${PORTAL_FILE}: no season.label`);
+  const from = portal.season.label;
+  const to = typeof getArg("to") === "string" ? getArg("to") : nextSeason(from);
+  if (!/^\d{4}-\d{2}$/.test(to) || to <= from) throw new Error(`--to=${to}: expected a season after ${from} like ${nextSeason(from)}`);
+  const year = Number(to.slice(0, 4));
+
+  const dest = path.join(ARCHIVE_DIR, from);
+  if (await exists(dest)) {
+    console.error(`✗ ${dest} already exists; ${from} looks rolled over already.`);
+    process.exit(1);
+  }
+  console.log(`Season ${from} → ${to}${DRY ? " (dry run)" : ""}; archiving to ${dest}/\n`);
+
+  for (const src of COPY) {
+    if (!(await exists(src))) continue;
+    await archive(src, dest);
+    console.log(`✓ archived ${src}`);
+  }
+  for (const { path: src, keepDir } of MOVE) {
+    if (!(await exists(src))) {
+      console.log(`⏭  ${src}: nothing to archive`);
+      continue;
+    }
+    await archive(src, dest);
+    if (!DRY) {
+      await fs.rm(src, { recursive: true, force: true });
+      if (keepDir) {
+        await fs.mkdir(src, { recursive: true });
+        await fs.writeFile(path.join(src, ".gitkeep"), "", "utf8");
+      }
+    }
+    console.log(`✓ moved ${src}`);
+  }
+
+  console.log("");
+  for (const f of (await fs.readdir(TEAMS_DIR)).filter((f) => f.endsWith(".json")).sort()) {
+    const file = path.join(TEAMS_DIR, f);
+    const team = await readJson(file);
+    if (!team) {
+      console.warn(`! ${file}: missing or invalid JSON`);
+      continue;
+    }
+    const next = Object.fromEntries(Object.entries(team).filter(([k]) => !SEASON_FIELDS.includes(k)));
+    let note = "";
+    if (team.mhrUrl && /[?&]y=\d{4}\b/.test(team.mhrUrl)) {
+      next.mhrUrl = team.mhrUrl.replace(/([?&]y=)\d{4}\b/, `$1${year}`);
+    } else if (team.mhrUrl) {
+      note = " (mhrUrl has no y=; left as is)";
+    } else {
+      note = " (no mhrUrl)";
+    }
+    if (!DRY) await writeJson(file, next);
+    console.log(`${note ? "•" : "✓"} ${team.slug ?? f}: season fields cleared${note || `, y=${year}`}`);
+  }
+
+  if (!DRY) await writeJson(PORTAL_FILE, { ...portal, season: { ...portal.season, label: to, mhrYear: year } });
+  console.log(`\n✓ ${PORTAL_FILE}: season ${to} (MHR y=${year})`);
+
+  console.log(`
+Next:
+  - update the feed links in scripts/config/schedule-sources.mjs for ${to}
+  - check the home teams' divisions in ${PORTAL_FILE} and the team files
+  - npm run update:mhr && npm run update:schedules`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * Check the win-probability calibration (scripts/lib/winprob-fit.mjs): which
+ * games become samples and at which ratings, and that the fit recovers the
+ * scale, home ice and tie band of games drawn from a known model. No network.
+ *
+ * Run:
+ *   npm run test:calibration
+ */
+import assert from "node:assert/strict";
+import { createResolver } from "../src/lib/opponent-match.mjs";
+import { collectInlineTeams } from "../src/lib/inline-teams.mjs";
+import { buildSamples, fit, metrics, predict, ratingOn, DEFAULT_MODEL } from "./lib/winprob-fit.mjs";
+
+const TEAMS = [
+  { slug: "chesterfield-a1", name: "Chesterfield Falcons 12U A1" },
+  { slug: "kansascity-a1", name: "Kansas City Outlaws 12U A1", aliases: ["KC Outlaws 12U - A1 Brown"] },
+  { slug: "st-peters-a1", name: "St. Peters Spirit 12U A1" },
+];
+const TOURNAMENTS = [
+  { slug: "tulsa-showdown", startDate: "2025-10-24", opponents: [{ name: "Tulsa Jr Oilers 12U AA", mhrUrl: "https://myhockeyrankings.com/team_info.php?y=2025&t=34768" }] },
+];
+const resolver = createResolver([...TEAMS, ...collectInlineTeams(TOURNAMENTS, TEAMS)]);
+const resolve = (g) => resolver.resolve(g);
+
+const game = (date, opponent, scoreFor, scoreAgainst, extra = {}) => ({
+  date, opponent, result: scoreFor > scoreAgainst ? "W" : scoreFor < scoreAgainst ? "L" : "T", scoreFor, scoreAgainst, ...extra,
+});
+
+// History files by name, as calibrate-winprob reads src/data/mhr-history
+const HISTORIES = new Map([
+  ["chesterfield-a1", [{ date: "2025-10-01", rating: 88 }, { date: "2025-10-22", rating: 0 }, { date: "2025-11-05", rating: 89.5 }]],
+  ["kansascity-a1", [{ date: "2025-10-01", rating: 86 }, { date: "2025-11-05", rating: 87 }]],
+  ["mhr-34768", [{ date: "2025-10-22", rating: 83.2 }]],
+]);
+
+/** Deterministic draws (mulberry32) */
+function rng(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** `n` games drawn from model `p` over rating gaps of -8…+8 */
+function simulate(p, n, seed) {
+  const rnd = rng(seed);
+  return Array.from({ length: n }, (_, i) => {
+    const s = { rA: 80 + rnd() * 16 - 8, rB: 80, home: [1, -1, 0][i % 3] };
+    const o = predict(p, s);
+    const u = rnd();
+    return { ...s, score: u < o.win ? 1 : u < o.win + o.tie ? 0.5 : 0 };
+  });
+}
+
+const CASES = [
+  {
+    name: "ratings are the latest usable point on or before the game date",
+    run() {
+      const hist = HISTORIES.get("chesterfield-a1");
+      assert.equal(ratingOn(hist, "2025-09-30"), undefined);
+      assert.equal(ratingOn(hist, "2025-10-01"), 88);
+      assert.equal(ratingOn(hist, "2025-10-25"), 88, "a zero rating is skipped");
+      assert.equal(ratingOn(hist, "2025-12-01"), 89.5);
+      assert.equal(ratingOn(undefined, "2025-12-01"), undefined);
+    },
+  },
+  {
+    name: "our log plus the opponent's history: inline opponents and teams without a log count",
+    run() {
+      const logs = new Map([
+        ["chesterfield-a1", [
+          game("2025-10-25", "Tulsa Jr Oilers 12U AA", 4, 1, { homeAway: "Neutral" }),
+          game("2025-11-08", "KC Outlaws 12U - A1 Brown", 2, 2, { homeAway: "Home" }),
+          // No history for them, and a name that resolves to nothing
+          game("2025-11-09", "St. Peters Spirit 12U A1", 3, 0),
+          game("2025-11-09", "Lakeland Jr. Mocs Red", 1, 0),
+          // Before our first rating
+          game("2025-09-20", "KC Outlaws 12U - A1 Brown", 0, 1),
+        ]],
+      ]);
+      assert.deepEqual(buildSamples(logs, HISTORIES, resolve), [
+        { a: "chesterfield-a1", b: "tulsa-jr-oilers-12u-aa", date: "2025-10-25", rA: 88, rB: 83.2, home: 0, score: 1 },
+        { a: "chesterfield-a1", b: "kansascity-a1", date: "2025-11-08", rA: 89.5, rB: 87, home: 1, score: 0.5 },
+      ]);
+    },
+  },
+  {
+    name: "a game in both logs counts once; one only in theirs still counts",
+    run() {
+      const logs = new Map([
+        ["chesterfield-a1", [game("2025-11-08", "KC Outlaws 12U - A1 Brown", 3, 2, { homeAway: "Home" })]],
+        ["kansascity-a1", [
+          game("2025-11-08", "Chesterfield Falcons 12U A1", 2, 3, { homeAway: "Away" }),
+          game("2025-11-09", "Chesterfield Falcons 12U A1", 1, 4),
+        ]],
+      ]);
+      const samples = buildSamples(logs, HISTORIES, resolve);
+      assert.deepEqual(samples.map((s) => `${s.a} v ${s.b} ${s.date} ${s.score}`), [
+        "chesterfield-a1 v kansascity-a1 2025-11-08 1",
+        "kansascity-a1 v chesterfield-a1 2025-11-09 0",
+      ]);
+    },
+  },
+  {
+    name: "the fit recovers the scale of games drawn from a known curve, and beats the default",
+    run() {
+      const truth = { ...DEFAULT_MODEL, scale: 3 };
+      const samples = simulate(truth, 1500, 7);
+      const p = fit(samples);
+      assert.ok(Math.abs(p.scale - 3) <= 0.6, `scale ${p.scale}`);
+      assert.equal(p.drawBand, DEFAULT_MODEL.drawBand, "the default tie band unless --draw");
+      assert.ok(DEFAULT_MODEL.drawBand > 0, "ties are possible without a fitted model");
+      assert.ok(metrics(p, samples).brier < metrics(DEFAULT_MODEL, samples).brier);
+    },
+  },
+  {
+    name: "--home and --draw recover home ice and a tie band",
+    run() {
+      const truth = { scale: 4, homeAdvantage: 1, drawBand: 2 };
+      const samples = simulate(truth, 2000, 11);
+      assert.ok(samples.filter((s) => s.score === 0.5).length > 200, "the truth has ties");
+      const p = fit(samples, { home: true, draw: true });
+      assert.ok(Math.abs(p.scale - 4) <= 1, `scale ${p.scale}`);
+      assert.ok(Math.abs(p.homeAdvantage - 1) <= 0.5, `home ${p.homeAdvantage}`);
+      assert.ok(Math.abs(p.drawBand - 2) <= 0.6, `draw band ${p.drawBand}`);
+    },
+  },
+];
+
+function main() {
+  let failures = 0;
+  for (const c of CASES) {
+    try {
+      c.run();
+      console.log(`✓ ${c.name}`);
+    } catch (e) {
+      failures++;
+      console.warn(`✗ ${c.name}: ${e?.message ?? e}`);
+    }
+  }
+
+  if (failures) {
+    console.error(`\n${failures} of ${CASES.length} calibration case(s) failed.`);
+    process.exit(1);
+  }
+  console.log(`\nAll ${CASES.length} calibration cases passed.`);
+}
+
+main();
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * Check the GameSheet box score parser and season totals
+ * (scripts/lib/gamesheet-boxscore.mjs) on the saved payloads in
+ * scripts/fixtures/gamesheet/ and a few inline games: save % from shots and
+ * saves, which roster lines count as goalies, skater lines from goal/penalty
+ * events, and one team's season across both payloads. No network.
+ *
+ * Run:
+ *   npm run test:gamesheet
+ */
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { findGames, hasBoxScore, parseBoxScore, teamGame, aggregatePlayers } from "./lib/gamesheet-boxscore.mjs";
+
+const FIXTURE_DIR = "scripts/fixtures/gamesheet";
+
+async function readFixture(f) {
+  return JSON.parse(await fs.readFile(path.join(FIXTURE_DIR, f), "utf8"));
+}
+
+/** `team`'s game lines from payloads, as update:players builds them */
+function linesFor(payloads, team) {
+  const lines = [];
+  for (const data of payloads) {
+    for (const g of findGames(data).filter(hasBoxScore).map(parseBoxScore)) {
+      for (const side of ["home", "visitor"]) {
+        if (g[side].name === team) lines.push(teamGame(g, side));
+      }
+    }
+  }
+  return lines;
+}
+
+const byNumber = (list) => Object.fromEntries(list.map((p) => [p.number, p]));
+
+/** A game with only the home side filled in */
+const game = (home) => ({ id: 1, date: "2026-01-10", homeTeam: { name: "Home", ...home }, visitorTeam: { name: "Away" } });
+
+const CASES = [
+  {
+    name: "save % is saves over shots, with saves derived from goals against when missing",
+    async run() {
+      const division = await readFixture("division-boxscores.json");
+      // Rob Dunn: 22 shots / 1 GA (no saves field) and 18 shots / 16 saves
+      const [dunn] = aggregatePlayers(linesFor([division], "Rockets 12U A1")).goalies;
+      assert.deepEqual(
+        { number: dunn.number, gp: dunn.gp, shotsAgainst: dunn.shotsAgainst, saves: dunn.saves, goalsAgainst: dunn.goalsAgainst, savePct: dunn.savePct },
+        { number: "31", gp: 2, shotsAgainst: 40, saves: 37, goalsAgainst: 3, savePct: 0.925 }
+      );
+      const [cole] = aggregatePlayers(linesFor([division], "Affton 12U A1")).goalies;
+      assert.equal(cole.savePct, 0.903, "28 / 31 rounds to three places");
+    },
+  },
+  {
+    name: "a goalie with no shots has no save %, and shotless games don't dilute it",
+    run() {
+      const noShots = parseBoxScore(game({ goalies: [{ number: "1", name: "Al Vo", goalsAgainst: 4 }] }));
+      const [g] = aggregatePlayers([teamGame(noShots, "home")]).goalies;
+      assert.equal(g.savePct, null);
+      assert.equal(g.goalsAgainst, 4);
+
+      const withShots = parseBoxScore({ ...game({ goalies: [{ number: "1", name: "Al Vo", shotsAgainst: 20, saves: 18 }] }), id: 2, date: "2026-01-17" });
+      const [both] = aggregatePlayers([teamGame(noShots, "home"), teamGame(withShots, "home")]).goalies;
+      assert.equal(both.gp, 2);
+      assert.equal(both.shotsAgainst, 20);
+      assert.equal(both.savePct, 0.9);
+      assert.equal(both.goalsAgainst, 4, "goals against still counts every game");
+    },
+  },
+  {
+    name: "roster lines marked G are goalies, unless the side has its own goalie list",
+    async run() {
+      const roster = parseBoxScore(game({
+        players: [
+          { jersey: "9", name: "Jo Smith", pos: "F", g: 1 },
+          { jersey: "1", name: "Tim Gray", pos: "G", sa: 12, ga: 1 },
+          { jersey: "30", name: "Max Cole", position: "Goaltender" },
+        ],
+      }));
+      assert.deepEqual(roster.skaters.map((p) => p.number), ["9"]);
+      assert.deepEqual(roster.goalies.map((p) => [p.number, p.shotsAgainst, p.saves]), [["1", 12, 11], ["30", undefined, undefined]]);
+
+      // Game 2: Tim Gray (G) is on the home roster next to a goalie list with Rob Dunn
+      const division = await readFixture("division-boxscores.json");
+      const g = parseBoxScore(findGames(division).find((x) => x.id === 2840044));
+      const home = teamGame(g, "home");
+      assert.deepEqual(home.skaters.map((p) => p.name), ["Jo Smith", "Ari Bell"]);
+      assert.deepEqual(home.goalies.map((p) => p.name), ["Rob Dunn"]);
+      assert.deepEqual(teamGame(g, "visitor").goalies.map((p) => p.name), ["Ty Moss"]);
+    },
+  },
+  {
+    name: "goal and penalty events become skater lines, by side, team name or team id",
+    async run() {
+      const events = await readFixture("game-events.json");
+      const [g] = findGames(events).map(parseBoxScore);
+      assert.equal(g.date, "2026-02-21");
+      const rockets = byNumber(teamGame(g, "visitor").skaters);
+      assert.deepEqual(Object.keys(rockets).sort(), ["17", "4", "9"]);
+      assert.deepEqual([rockets["9"].goals, rockets["9"].assists, rockets["9"].pim], [1, 1, 0]);
+      assert.deepEqual([rockets["4"].goals, rockets["4"].assists, rockets["4"].pim], [0, 2, 2]);
+      assert.equal(rockets["17"].goals, 1, "credited through the team id");
+      const kirkwood = teamGame(g, "home");
+      assert.deepEqual(kirkwood.skaters.map((p) => [p.name, p.goals, p.pim]), [["Nia Holt", 1, 2]]);
+      assert.deepEqual(kirkwood.goalies, []);
+    },
+  },
+  {
+    name: "a season across payloads: one line per jersey, games without a box score skipped",
+    async run() {
+      const lines = linesFor([await readFixture("division-boxscores.json"), await readFixture("game-events.json")], "Rockets 12U A1");
+      assert.equal(lines.length, 3);
+      const { skaters, goalies } = aggregatePlayers(lines);
+      // Jo Smith and Ari Bell both have 6 points; more goals first
+      assert.deepEqual(
+        skaters.map((p) => [p.number, p.gp, p.goals, p.assists, p.pim]),
+        [["9", 3, 4, 2, 2], ["4", 3, 1, 5, 8], ["17", 2, 2, 0, 0]]
+      );
+      assert.deepEqual(goalies.map((p) => [p.number, p.gp]), [["31", 2]]);
+    },
+  },
+];
+
+async function main() {
+  let failures = 0;
+  for (const c of CASES) {
+    try {
+      await c.run();
+      console.log(`✓ ${c.name}`);
+    } catch (e) {
+      failures++;
+      console.warn(`✗ ${c.name}: ${e?.message ?? e}`);
+    }
+  }
+
+  if (failures) {
+    console.error(`\n${failures} of ${CASES.length} GameSheet case(s) failed.`);
+    process.exit(1);
+  }
+  console.log(`\nAll ${CASES.length} GameSheet cases passed.`);
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
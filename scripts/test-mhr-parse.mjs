@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Replay the captured MHR page corpus through scripts/lib/mhr-parse.mjs and
+ * compare against scripts/fixtures/mhr/expected.json. Fails (exit 1) on drift.
+ *
+ * Fixtures are normalized page text (`.txt`, e.g. a `--debug` dump) or raw
+ * legacy HTML (`.html`). Each entry in expected.json names the fixture file,
+ * the team name (used for "(TX)"-style region hints) and the expected values
+ * (`games` = completed games found in the MHR game list). `null` means
+ * "must not be found".
+ *
+ * Run:
+ *   npm run test:mhr
+ *   node scripts/test-mhr-parse.mjs --update   # rewrite expected.json after a reviewed parser change
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import { normalizeText, toText, parseMhrText, parseMhrGames, regionHintsFromName } from "./lib/mhr-parse.mjs";
+
+const FIXTURE_DIR = "scripts/fixtures/mhr";
+const EXPECTED_FILE = path.join(FIXTURE_DIR, "expected.json");
+const FIELDS = ["rating", "record", "stateRank", "nationalRank", "games"];
+const UPDATE = process.argv.includes("--update");
+
+async function parseFixture(file, name) {
+  const raw = await fs.readFile(path.join(FIXTURE_DIR, file), "utf8");
+  const text = file.endsWith(".html") ? toText(raw) : normalizeText(raw);
+  // `games` is the number of completed games in the "Game Scores" list
+  const got = { ...parseMhrText(text, regionHintsFromName(name)), games: parseMhrGames(text, 2025).length };
+  return Object.fromEntries(FIELDS.map((k) => [k, got[k] ?? null]));
+}
+
+async function main() {
+  const expected = JSON.parse(await fs.readFile(EXPECTED_FILE, "utf8"));
+  const onDisk = (await fs.readdir(FIXTURE_DIR)).filter((f) => /\.(txt|html)$/.test(f));
+
+  let failures = 0;
+  for (const f of onDisk) {
+    if (!expected[f]) {
+      console.warn(`! ${f}: no entry in expected.json`);
+      failures++;
+    }
+  }
+
+  for (const [file, entry] of Object.entries(expected)) {
+    let got;
+    try {
+      got = await parseFixture(file, entry.name);
+    } catch (e) {
+      console.warn(`✗ ${file}: ${e?.message ?? e}`);
+      failures++;
+      continue;
+    }
+
+    if (UPDATE) {
+      entry.expected = got;
+      continue;
+    }
+
+    const diffs = FIELDS.filter((k) => (entry.expected?.[k] ?? null) !== got[k]);
+    if (diffs.length) {
+      failures++;
+      console.log(`✗ ${file} (${entry.name})`);
+      for (const k of diffs) console.log(`    ${k}: expected ${JSON.stringify(entry.expected?.[k] ?? null)}, got ${JSON.stringify(got[k])}`);
+    } else {
+      console.log(`✓ ${file}`);
+    }
+  }
+
+  if (UPDATE) {
+    await fs.writeFile(EXPECTED_FILE, JSON.stringify(expected, null, 2) + "\n", "utf8");
+    console.log(`Rewrote ${EXPECTED_FILE} (${Object.keys(expected).length} fixtures).`);
+    return;
+  }
+
+  if (failures) {
+    console.error(`\n${failures} fixture(s) failed. If MHR changed its layout, fix the parser; if the change is intended, re-run with --update and review the diff.`);
+    process.exit(1);
+  }
+  console.log(`\nAll ${Object.keys(expected).length} MHR fixtures parsed as expected.`);
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
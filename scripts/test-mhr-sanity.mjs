@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+/**
+ * Check the plausibility gate in front of the MHR refresh
+ * (scripts/lib/mhr-sanity.mjs): which scraped values are written and which are
+ * quarantined, and how the quarantine list is cleared and refreshed. No network.
+ *
+ * Run:
+ *   npm run test:sanity
+ */
+import assert from "node:assert/strict";
+import { checkScrape, updateQuarantine, ratingJumpAllowance, recordGames } from "./lib/mhr-sanity.mjs";
+
+const NOW = new Date("2026-03-11T12:00:00Z");
+const LAST_WEEK = "2026-03-04";
+
+// Our team files as the refresh sees them: rated 90 > 88 > 86, ranked in that order
+const PEERS = [
+  { slug: "rockets-a1", league: "MO Hockey", rating: 90, mhrStateRank: 3, mhrNationalRank: 100 },
+  { slug: "kirkwood-a1", league: "MO Hockey", rating: 88, mhrStateRank: 5, mhrNationalRank: 150 },
+  { slug: "springfield-a1", league: "MO Hockey", rating: 86, mhrStateRank: 8, mhrNationalRank: 220 },
+  { slug: "kansascity-a1", league: "KS Hockey", rating: 85, mhrStateRank: 2, mhrNationalRank: 260 },
+];
+const BEFORE = { slug: "affton-a1", league: "MO Hockey", rating: 87, record: "10-5-2", mhrStateRank: 6, mhrNationalRank: 180, lastUpdated: LAST_WEEK };
+
+const check = (values, opts = {}) => checkScrape(BEFORE, values, { peers: PEERS, now: NOW, ...opts });
+const flaggedFields = (r) => r.flagged.map((f) => f.field);
+
+const CASES = [
+  {
+    name: "a record can grow or stay, not lose games",
+    run() {
+      assert.equal(recordGames("10-5-2"), 17);
+      assert.equal(recordGames("10-5"), undefined);
+      assert.deepEqual(check({ record: "11-5-2" }).accepted, { record: "11-5-2" });
+      assert.deepEqual(check({ record: "10-5-2" }).accepted, { record: "10-5-2" });
+      const r = check({ record: "9-5-2" });
+      assert.deepEqual(r.accepted, {});
+      assert.deepEqual(r.flagged, [{ field: "record", value: "9-5-2", current: "10-5-2", reason: "record 9-5-2 has 16 games, fewer than the 17 in 10-5-2" }]);
+      // Nothing to compare with: accepted
+      assert.deepEqual(checkScrape({}, { record: "1-0-0" }).accepted, { record: "1-0-0" });
+    },
+  },
+  {
+    name: "rating jump: at maxRatingJump passes, over it is quarantined",
+    run() {
+      // Ranks left out so only the rating is judged
+      assert.deepEqual(check({ rating: 89 }).accepted, { rating: 89 });
+      assert.deepEqual(check({ rating: 85 }).accepted, { rating: 85 });
+      const up = check({ rating: 89.01 });
+      assert.deepEqual(flaggedFields(up), ["rating"]);
+      assert.match(up.flagged[0].reason, /87\.00 → 89\.01 moves more than 2$/);
+      assert.deepEqual(flaggedFields(check({ rating: 84.5 })), ["rating"]);
+      assert.deepEqual(check({ rating: 88.5 }, { limits: { maxRatingJump: 1 } }).flagged[0].field, "rating");
+    },
+  },
+  {
+    name: "rating jump allowance grows with the weeks since lastUpdated",
+    run() {
+      assert.equal(ratingJumpAllowance(LAST_WEEK, 2, NOW), 2);
+      assert.equal(ratingJumpAllowance("2026-03-11", 2, NOW), 2, "same day still allows one week");
+      assert.equal(ratingJumpAllowance("2026-02-11", 2, NOW), 8);
+      assert.equal(ratingJumpAllowance(undefined, 2, NOW), 2);
+      assert.equal(ratingJumpAllowance("not a date", 2, NOW), 2);
+
+      const stale = { ...BEFORE, lastUpdated: "2026-02-11" };
+      const r = checkScrape(stale, { rating: 80 }, { now: NOW });
+      assert.deepEqual(r.accepted, { rating: 80 }, "a 7-point move after four weeks is ordinary");
+      const far = checkScrape(stale, { rating: 78.9 }, { now: NOW });
+      assert.match(far.flagged[0].reason, /moves more than 8 \(2 a week since 2026-02-11\)$/);
+    },
+  },
+  {
+    name: "national rank must agree with rating order among team files",
+    run() {
+      // 87 sits between kirkwood (88, #150) and springfield (86, #220)
+      assert.deepEqual(check({ rating: 87, mhrNationalRank: 190 }).accepted, { rating: 87, mhrNationalRank: 190 });
+      const ahead = check({ rating: 87, mhrNationalRank: 120 });
+      assert.deepEqual(flaggedFields(ahead), ["mhrNationalRank"]);
+      assert.match(ahead.flagged[0].reason, /^national rank #120 is ahead of kirkwood-a1 \(#150, rating 88\.00\)/);
+      const behind = check({ rating: 87, mhrNationalRank: 240 });
+      assert.match(behind.flagged[0].reason, /^national rank #240 is behind springfield-a1/);
+      // Within rankTolerance of a peer's rating, either order is fine
+      assert.deepEqual(check({ rating: 87.6, mhrNationalRank: 160 }).flagged, []);
+      // Checked against the rating being kept, not a quarantined one
+      const both = check({ rating: 95, mhrNationalRank: 190 });
+      assert.deepEqual(flaggedFields(both), ["rating"]);
+      assert.equal(both.accepted.mhrNationalRank, 190);
+    },
+  },
+  {
+    name: "state rank is only compared within the same league",
+    run() {
+      const r = check({ rating: 87, mhrStateRank: 4 });
+      assert.deepEqual(flaggedFields(r), ["mhrStateRank"]);
+      assert.match(r.flagged[0].reason, /^state rank #4 is ahead of kirkwood-a1 \(#5/);
+      // kansascity-a1 (KS, #2, lower rating) is another state: #6 is fine
+      assert.deepEqual(check({ rating: 87, mhrStateRank: 6 }).flagged, []);
+      // No league (inline opponents): no state check at all
+      const { league, ...noLeague } = BEFORE;
+      assert.deepEqual(checkScrape(noLeague, { mhrStateRank: 1 }, { peers: PEERS, now: NOW }).flagged, []);
+    },
+  },
+  {
+    name: "quarantine: new entries, seen counts, refreshed values, cleared fields, other teams kept",
+    run() {
+      const team = { slug: "affton-a1", kind: "team", name: "Affton 12U A1", mhrTeamId: "123", url: "https://myhockeyrankings.com/team_info.php?t=123" };
+      const other = { slug: "zz-other", field: "rating", scraped: 50, seen: 3 };
+      const flag = (value) => ({ accepted: { record: "11-5-2" }, flagged: [{ field: "rating", value, current: 87, reason: "jump" }] });
+
+      let q = updateQuarantine([other], team, flag(95), "2026-03-11T00:00:00Z");
+      assert.equal(q.length, 2);
+      const first = q.find((e) => e.slug === "affton-a1");
+      assert.deepEqual(first, { ...team, field: "rating", current: 87, scraped: 95, reason: "jump", firstSeen: "2026-03-11T00:00:00Z", lastSeen: "2026-03-11T00:00:00Z", seen: 1 });
+
+      q = updateQuarantine(q, team, flag(95), "2026-03-12T00:00:00Z");
+      const again = q.find((e) => e.slug === "affton-a1");
+      assert.equal(again.seen, 2, "same value again counts up");
+      assert.equal(again.firstSeen, "2026-03-11T00:00:00Z");
+      assert.equal(again.lastSeen, "2026-03-12T00:00:00Z");
+
+      q = updateQuarantine(q, team, flag(96), "2026-03-13T00:00:00Z");
+      const changed = q.find((e) => e.slug === "affton-a1");
+      assert.equal(changed.seen, 1, "a different value starts over");
+      assert.equal(changed.scraped, 96);
+      assert.equal(changed.firstSeen, "2026-03-13T00:00:00Z");
+
+      q = updateQuarantine(q, team, { accepted: { rating: 88 }, flagged: [] }, "2026-03-14T00:00:00Z");
+      assert.deepEqual(q, [other], "a rating that passes clears the entry; other teams stay");
+    },
+  },
+];
+
+function main() {
+  let failures = 0;
+  for (const c of CASES) {
+    try {
+      c.run();
+      console.log(`✓ ${c.name}`);
+    } catch (e) {
+      failures++;
+      console.warn(`✗ ${c.name}: ${e?.message ?? e}`);
+    }
+  }
+
+  if (failures) {
+    console.error(`\n${failures} of ${CASES.length} sanity case(s) failed.`);
+    process.exit(1);
+  }
+  console.log(`\nAll ${CASES.length} sanity cases passed.`);
+}
+
+main();
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/**
+ * Run the MHR refresh end to end from the recordings in scripts/fixtures/replay
+ * (see scripts/lib/record-replay.mjs): no network, a pinned clock, and a temp
+ * copy of src/content so the tree is never written. Checks what the run writes
+ * and quarantines, its exit code and report, and that two runs write the same
+ * bytes.
+ *
+ * The recordings are three Tulsa Showdown opponents' pages (the same text as
+ * scripts/fixtures/mhr/tulsa-showdown-op3..5.txt); the other two opponents
+ * have none, so they fail like dead links.
+ *
+ * Run:
+ *   npm run test:replay
+ */
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const REFRESH = path.join(ROOT, "scripts/refresh-mhr.mjs");
+const REPLAY_DIR = path.join(ROOT, "scripts/fixtures/replay");
+const TOURNAMENT = "src/content/tournaments/tulsa-showdown.json";
+const QUARANTINE = "src/data/mhr-quarantine.json";
+const NOW = "2025-10-29T12:00:00.000Z";
+
+/** Fresh copy of the team and tournament files in a temp dir */
+async function makeCopy() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "mhr-replay-"));
+  for (const sub of ["src/content/teams", "src/content/tournaments"]) {
+    await fs.cp(path.join(ROOT, sub), path.join(dir, sub), { recursive: true });
+  }
+  return dir;
+}
+
+/** refresh-mhr replayed inside `dir` */
+function refresh(dir, extra = []) {
+  const args = [REFRESH, `--replay=${REPLAY_DIR}`, "--only=inline", "--tournament=tulsa", "--include-past", `--now=${NOW}`, ...extra];
+  const r = spawnSync(process.execPath, args, { cwd: dir, encoding: "utf8", timeout: 60000 });
+  if (r.error) throw r.error;
+  return r;
+}
+
+async function readJson(dir, file) {
+  return JSON.parse(await fs.readFile(path.join(dir, file), "utf8"));
+}
+
+const opponent = (t, id) => t.opponents.find((op) => op.mhrUrl?.endsWith(`t=${id}`));
+
+/** Temp copies made by the cases, removed at the end */
+const made = [];
+async function copy() {
+  const dir = await makeCopy();
+  made.push(dir);
+  return dir;
+}
+
+const CASES = [
+  {
+    name: "accepted values are written with the pinned date; records that lose games are quarantined",
+    async run() {
+      const dir = await copy();
+      const r = refresh(dir, ["--max-failures=2"]);
+      assert.equal(r.status, 0, r.stderr || r.stdout);
+      const t = await readJson(dir, TOURNAMENT);
+
+      const oilers = opponent(t, 34768);
+      assert.equal(oilers.rating, 83.19);
+      assert.equal(oilers.mhrNationalRank, 362);
+      assert.equal(oilers.record, "3-10-1", "2-9-0 has fewer games: kept");
+      assert.equal(oilers.updatedFromMHRAt, NOW);
+
+      // 82.92 → 85.96 two days after the last update is more than one week's 2 points
+      const scouts = opponent(t, 15250);
+      assert.equal(scouts.rating, 82.92);
+      assert.equal(scouts.record, "6-5-0");
+      assert.equal(scouts.mhrNationalRank, 225);
+
+      const hogs = opponent(t, 5839);
+      assert.equal(hogs.rating, 81.11);
+      assert.equal(hogs.record, "3-7-2");
+
+      // No recording: left as they were
+      const before = await readJson(ROOT, TOURNAMENT);
+      assert.deepEqual(opponent(t, 15676), opponent(before, 15676));
+      assert.deepEqual(opponent(t, 19762), opponent(before, 19762));
+
+      const q = await readJson(dir, QUARANTINE);
+      assert.deepEqual(
+        q.map((e) => `${e.mhrTeamId} ${e.field} ${e.scraped}`).sort(),
+        ["15250 rating 85.96", "15250 record 2-4-0", "34768 record 2-9-0", "5839 record 1-4-2"]
+      );
+      assert.ok(q.every((e) => e.firstSeen === NOW && e.lastSeen === NOW));
+    },
+  },
+  {
+    name: "teams with no recording fail the run unless --max-failures allows them",
+    async run() {
+      const dir = await copy();
+      const r = refresh(dir);
+      assert.equal(r.status, 1);
+      assert.match(r.stdout + r.stderr, /2 team\(s\) failed to refresh \(allowed: 0\)/);
+      const report = await readJson(dir, "reports/mhr-refresh.json");
+      assert.equal(report.startedAt, NOW);
+      assert.equal(report.summary.failed, 2);
+      assert.equal(report.summary.suspicious, 3);
+      assert.deepEqual(
+        report.entries.filter((e) => e.status === "failed").map((e) => e.slug).sort(),
+        ["oklahoma-city-blazers-12u-aa", "texas-jr-brahmas-12u-aa"]
+      );
+    },
+  },
+  {
+    name: "two replays write the same bytes",
+    async run() {
+      const a = await copy(), b = await copy();
+      refresh(a, ["--max-failures=2"]);
+      refresh(b, ["--max-failures=2"]);
+      for (const file of [TOURNAMENT, QUARANTINE, "reports/mhr-refresh.md"]) {
+        assert.equal(await fs.readFile(path.join(a, file), "utf8"), await fs.readFile(path.join(b, file), "utf8"), file);
+      }
+    },
+  },
+  {
+    name: "--dry writes no content or quarantine",
+    async run() {
+      const dir = await copy();
+      refresh(dir, ["--max-failures=2", "--dry"]);
+      assert.deepEqual(await readJson(dir, TOURNAMENT), await readJson(ROOT, TOURNAMENT));
+      await assert.rejects(fs.access(path.join(dir, QUARANTINE)));
+    },
+  },
+];
+
+async function main() {
+  let failures = 0;
+  try {
+    for (const c of CASES) {
+      try {
+        await c.run();
+        console.log(`✓ ${c.name}`);
+      } catch (e) {
+        failures++;
+        console.warn(`✗ ${c.name}: ${e?.message ?? e}`);
+      }
+    }
+  } finally {
+    for (const dir of made) await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  if (failures) {
+    console.error(`\n${failures} of ${CASES.length} replay case(s) failed.`);
+    process.exit(1);
+  }
+  console.log(`\nAll ${CASES.length} replay cases passed.`);
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
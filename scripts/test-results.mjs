@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * Check the game logs behind head-to-head records: how update:results turns
+ * a drop row into a record (scripts/lib/results-log.mjs: scheduled games with
+ * no score are skipped, the result follows the score), how rows merge into an
+ * existing log, and which games headToHead() (src/lib/results.ts) counts.
+ * No network.
+ *
+ * results.ts uses import.meta.glob, so it is loaded through Vite, like the
+ * site build does.
+ *
+ * Run:
+ *   npm run test:results
+ */
+import assert from "node:assert/strict";
+import { createServer } from "vite";
+import { createResolver } from "../src/lib/opponent-match.mjs";
+import { toRecord, mergeLog } from "./lib/results-log.mjs";
+
+const TEAMS = [
+  { slug: "chesterfield-a1", name: "Chesterfield Falcons 12U A1" },
+  { slug: "kansascity-a1", name: "Kansas City Outlaws 12U A1", aliases: ["KC Outlaws 12U - A1 Brown"] },
+  { slug: "st-peters-a1", name: "St. Peters Spirit 12U A1", aliases: ["STP 12U - A1 Heller"] },
+];
+const resolver = createResolver(TEAMS);
+const resolve = (g) => resolver.resolve(g);
+
+const game = (date, opponent, scoreFor, scoreAgainst, extra = {}) => ({
+  date, opponent, result: scoreFor > scoreAgainst ? "W" : scoreFor < scoreAgainst ? "L" : "T", scoreFor, scoreAgainst, ...extra,
+});
+
+const CASES = [
+  {
+    name: "toRecord: a drop row without both scores is a scheduled game, not a 0-0 tie",
+    run() {
+      for (const [f, a] of [[null, null], [3, null], [undefined, 2], ["", "1"], [" ", 2], ["n/a", 2]]) {
+        assert.equal(toRecord({ date: "2026-02-08", opponent: "KC Outlaws", scoreFor: f, scoreAgainst: a }, "json"), null, `${f} / ${a}`);
+      }
+      assert.equal(toRecord({ date: "2/8/2026", opponent: "KC Outlaws", scoreFor: 3, scoreAgainst: 2 }, "csv"), null, "not a YYYY-MM-DD date");
+    },
+  },
+  {
+    name: "toRecord: result from the score unless given, numbers from CSV text, optional fields kept",
+    run() {
+      assert.deepEqual(
+        toRecord({ date: "2026-02-08", time: "13:40", opponent: " KC Outlaws 12U - A1 Brown ", homeAway: "Neutral", venue: "MUHC", scoreFor: "4", scoreAgainst: "2", tournament: "" }, "csv"),
+        { date: "2026-02-08", time: "13:40", opponent: "KC Outlaws 12U - A1 Brown", result: "W", scoreFor: 4, scoreAgainst: 2, source: "csv", homeAway: "Neutral", venue: "MUHC" }
+      );
+      assert.equal(toRecord({ date: "2026-02-08", opponent: "x", scoreFor: 0, scoreAgainst: 0 }, "json").result, "T", "a real 0-0");
+      // A shootout loss recorded as a 2-2 score keeps its given result
+      assert.equal(toRecord({ date: "2026-02-08", opponent: "x", scoreFor: 2, scoreAgainst: 2, result: "L" }, "json").result, "L");
+      const bare = toRecord({ date: "2026-02-08", time: "1:40pm", homeAway: "home", scoreFor: 1, scoreAgainst: 3 }, "json");
+      assert.deepEqual(bare, { date: "2026-02-08", opponent: "TBD", result: "L", scoreFor: 1, scoreAgainst: 3, source: "json" });
+    },
+  },
+  {
+    name: "mergeLog: one row per game across spellings, later imports correct scores, sorted",
+    run() {
+      const existing = [
+        game("2026-02-21", "STP 12U - A1 Heller", 1, 1, { time: "23:00", source: "mhr" }),
+        game("2026-02-08", "KC Outlaws 12U - A1 Brown", 2, 2, { time: "13:40", source: "mhr", venue: "MUHC" }),
+      ];
+      const incoming = [
+        game("2026-02-08", "Kansas City Outlaws 12U A1", 3, 2, { time: "13:40", source: "csv" }),
+        game("2026-02-14", "Lakeland Jr. Mocs Red", 5, 0, { time: "20:00", source: "csv" }),
+        game("2026-02-14", "Lakeland Jr. Mocs Red", 2, 1, { time: "09:00", source: "csv" }),
+      ];
+      const log = mergeLog(existing, incoming, resolve);
+      assert.deepEqual(log.map((g) => `${g.date} ${g.time} ${g.result} ${g.scoreFor}-${g.scoreAgainst}`), [
+        "2026-02-08 13:40 W 3-2",
+        "2026-02-14 09:00 W 2-1",
+        "2026-02-14 20:00 W 5-0",
+        "2026-02-21 23:00 T 1-1",
+      ]);
+      // The correction keeps fields only the earlier row had
+      assert.equal(log[0].venue, "MUHC");
+      assert.deepEqual(mergeLog(log, incoming, resolve), log, "re-running changes nothing");
+    },
+  },
+  {
+    name: "headToHead: games against them by any spelling, confirmed by their log when there is one",
+    run({ headToHead }) {
+      const ours = [
+        game("2026-01-10", "KC Outlaws 12U - A1 Brown", 3, 2),
+        game("2026-01-11", "Kansas City Outlaws 12U A1", 1, 1),
+        game("2026-01-12", "STP 12U - A1 Heller", 4, 0),
+        game("2026-01-13", "KC Outlaws 12U - A1 Brown", 2, 5),
+      ];
+      const opts = { us: "chesterfield-a1", them: "kansascity-a1", resolve };
+      assert.deepEqual(headToHead(ours, [], opts).map((g) => g.date), ["2026-01-10", "2026-01-11", "2026-01-13"], "no log of theirs");
+
+      const theirs = [
+        game("2026-01-10", "Chesterfield Falcons 12U A1", 2, 3),
+        game("2026-01-11", "Chesterfield Falcons 12U A1", 1, 1),
+        // Same day, but the score isn't the mirror of ours
+        game("2026-01-13", "Chesterfield Falcons 12U A1", 5, 3),
+      ];
+      assert.deepEqual(headToHead(ours, theirs, opts).map((g) => g.date), ["2026-01-10", "2026-01-11"]);
+      // Mirrored score against someone else that day
+      assert.deepEqual(headToHead(ours, [game("2026-01-10", "STP 12U - A1 Heller", 2, 3)], opts), []);
+    },
+  },
+  {
+    name: "headToHead: an unresolved label counts when it equals their name",
+    run({ headToHead }) {
+      const ours = [game("2026-01-10", "Lakeland Jr. Mocs Red", 3, 2), game("2026-01-11", "Lakeland Jr Mocs", 1, 2)];
+      const h2h = headToHead(ours, [], { us: "chesterfield-a1", them: "lakeland-jr-mocs-red", themName: "Lakeland Jr Mocs Red", resolve });
+      assert.deepEqual(h2h.map((g) => g.date), ["2026-01-10"]);
+    },
+  },
+];
+
+async function main() {
+  const server = await createServer({
+    configFile: false,
+    logLevel: "error",
+    appType: "custom",
+    server: { middlewareMode: true, hmr: false },
+    optimizeDeps: { noDiscovery: true },
+  });
+  let failures = 0;
+  try {
+    const results = await server.ssrLoadModule("/src/lib/results.ts");
+    for (const c of CASES) {
+      try {
+        c.run(results);
+        console.log(`✓ ${c.name}`);
+      } catch (e) {
+        failures++;
+        console.warn(`✗ ${c.name}: ${e?.message ?? e}`);
+      }
+    }
+  } finally {
+    await server.close();
+  }
+
+  if (failures) {
+    console.error(`\n${failures} of ${CASES.length} results case(s) failed.`);
+    process.exit(1);
+  }
+  console.log(`\nAll ${CASES.length} results cases passed.`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
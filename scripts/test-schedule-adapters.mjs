@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * Replay saved schedule responses (scripts/fixtures/schedules/) through the
+ * source adapters and compare the normalized rows with expected.json. No network.
+ *
+ * Each case lists one or more sources (`file` relative to the fixture dir);
+ * with `"mode": "merge"` the rows go through mergeSchedules like
+ * update:schedules does in merge mode, de-duplicating on the opponent team
+ * when the case names a `teams` file to resolve opponents against.
+ *
+ * Run:
+ *   npm run test:schedules
+ *   node scripts/test-schedule-adapters.mjs --update   # rewrite expected rows after a reviewed change
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseSource } from "./lib/schedule-adapters.mjs";
+import { mergeSchedules } from "./lib/schedule-normalize.mjs";
+import { createResolver } from "../src/lib/opponent-match.mjs";
+
+const FIXTURE_DIR = "scripts/fixtures/schedules";
+const EXPECTED_FILE = path.join(FIXTURE_DIR, "expected.json");
+const UPDATE = process.argv.includes("--update");
+
+async function runCase(c) {
+  const lists = [];
+  for (const src of c.sources) {
+    const body = await fs.readFile(path.join(FIXTURE_DIR, src.file), "utf8");
+    lists.push(parseSource(src, body));
+  }
+  let resolve;
+  if (c.teams) {
+    const resolver = createResolver(JSON.parse(await fs.readFile(path.join(FIXTURE_DIR, c.teams), "utf8")));
+    resolve = (g) => resolver.resolve(g);
+  }
+  const rows = c.mode === "merge" ? mergeSchedules(lists, { resolve }) : lists.flat();
+  // Compare as JSON so undefined fields drop out like they do on disk
+  return JSON.parse(JSON.stringify(rows));
+}
+
+function firstDiff(want, got) {
+  if (want.length !== got.length) return `expected ${want.length} row(s), got ${got.length}`;
+  for (let i = 0; i < want.length; i++) {
+    const keys = new Set([...Object.keys(want[i]), ...Object.keys(got[i])]);
+    for (const k of keys) {
+      if (JSON.stringify(want[i][k]) !== JSON.stringify(got[i][k])) {
+        return `row ${i} ${k}: expected ${JSON.stringify(want[i][k])}, got ${JSON.stringify(got[i][k])}`;
+      }
+    }
+  }
+  return null;
+}
+
+async function main() {
+  const expected = JSON.parse(await fs.readFile(EXPECTED_FILE, "utf8"));
+
+  let failures = 0;
+  for (const c of expected.cases) {
+    let got;
+    try {
+      got = await runCase(c);
+    } catch (e) {
+      console.warn(`✗ ${c.name}: ${e?.message ?? e}`);
+      failures++;
+      continue;
+    }
+
+    if (UPDATE) {
+      c.expected = got;
+      continue;
+    }
+
+    const diff = firstDiff(c.expected ?? [], got);
+    if (diff) {
+      failures++;
+      console.warn(`✗ ${c.name}: ${diff}`);
+    } else {
+      console.log(`✓ ${c.name} (${got.length} row(s))`);
+    }
+  }
+
+  if (UPDATE) {
+    await fs.writeFile(EXPECTED_FILE, JSON.stringify(expected, null, 2) + "\n", "utf8");
+    console.log(`✓ updated ${EXPECTED_FILE}`);
+    return;
+  }
+
+  if (failures) {
+    console.error(`\n${failures} schedule fixture case(s) failed.`);
+    process.exit(1);
+  }
+  console.log(`\nAll ${expected.cases.length} schedule fixture cases parsed as expected.`);
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
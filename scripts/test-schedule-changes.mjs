@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * Check the schedule change log and its notifications: diffSchedules and the
+ * change text (scripts/lib/schedule-diff.mjs), and notify() with a webhook and
+ * an SMTP server stood up on localhost (scripts/lib/notify.mjs). No network.
+ *
+ * Run:
+ *   npm run test:changes
+ */
+import assert from "node:assert/strict";
+import http from "node:http";
+import net from "node:net";
+import { diffSchedules, describeChange, summarizeChanges } from "./lib/schedule-diff.mjs";
+import { notify, notifiersFromEnv } from "./lib/notify.mjs";
+
+const TZ = "America/Chicago";
+
+const row = (sourceId, date, time, opponent, extra = {}) => ({
+  date, time, start: `${date}T${time}:00.000Z`, opponent, homeAway: "Home", sourceId, ...extra,
+});
+
+const PREV = [
+  row("g1", "2026-02-08", "13:40", "KC Outlaws 12U - A1 Brown", { venue: "MUHC Shanahan" }),
+  row("g2", "2026-02-21", "23:00", "STP 12U - A1 Heller", { venue: "Centene Community Ice Center" }),
+  row("g3", "2026-03-01", "18:00", "Kirkwood 12U A1"),
+  row("g4", "2026-03-07", "16:15", "Affton 12U A1"),
+];
+
+/** Listen on a free localhost port; resolves with the port. */
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+}
+
+const CASES = [
+  {
+    name: "same rows, no changes",
+    run() {
+      assert.deepEqual(diffSchedules(PREV, structuredClone(PREV)), []);
+    },
+  },
+  {
+    name: "added, cancelled, time and rink changes by sourceId, in game order",
+    run() {
+      const next = [
+        row("g1", "2026-02-08", "14:10", "KC Outlaws 12U - A1 Brown", { venue: "MUHC Shanahan" }),
+        row("g2", "2026-02-21", "23:00", "STP 12U - A1 Heller", { venue: "Hardee's Iceplex" }),
+        row("g4", "2026-03-07", "16:15", "Affton 12U A1"),
+        row("g5", "2026-03-14", "23:30", "Springfield 12U A1"),
+      ];
+      const changes = diffSchedules(PREV, next);
+      assert.deepEqual(changes.map((c) => `${c.type} ${c.game.sourceId}`), ["time g1", "venue g2", "cancelled g3", "added g5"]);
+      assert.deepEqual(changes[0].before, { date: "2026-02-08", time: "13:40", start: "2026-02-08T13:40:00.000Z" });
+      assert.equal(changes[0].after.time, "14:10");
+      assert.deepEqual(changes[1].after, { venue: "Hardee's Iceplex" });
+    },
+  },
+  {
+    name: "rows without a sourceId: a time change reads as cancelled + added",
+    run() {
+      const { sourceId, ...a } = PREV[2];
+      const changes = diffSchedules([a], [{ ...a, time: "19:00", start: "2026-03-01T19:00:00.000Z" }]);
+      assert.deepEqual(changes.map((c) => c.type), ["cancelled", "added"]);
+    },
+  },
+  {
+    name: "change text in the local time zone, and the run summary",
+    run() {
+      const next = [row("g1", "2026-02-08", "14:10", "KC Outlaws 12U - A1 Brown", { venue: "MUHC Shanahan" }), PREV[1], PREV[3]];
+      const changes = diffSchedules(PREV, next);
+      assert.equal(describeChange(changes[0], TZ), "Time changed: KC Outlaws 12U - A1 Brown — Sun, Feb 8, 7:40 AM → Sun, Feb 8, 8:10 AM");
+      assert.equal(describeChange(changes[1], TZ), "Cancelled: Kirkwood 12U A1 — Sun, Mar 1, 12:00 PM");
+      const allDay = { type: "added", game: { date: "2026-02-12", time: "00:00", opponent: "POSSIBLE TRAVEL DAY", venue: "Nashville" } };
+      assert.equal(describeChange(allDay, TZ), "New: POSSIBLE TRAVEL DAY — Thu, Feb 12 @ Nashville");
+      assert.equal(summarizeChanges([...changes, allDay]), "1 new, 1 cancelled, 1 time changed");
+    },
+  },
+  {
+    name: "no channels configured, nothing sent; a failing channel is reported, not thrown",
+    async run() {
+      assert.deepEqual(notifiersFromEnv({}), []);
+      assert.deepEqual(notifiersFromEnv({ NOTIFY_SMTP_URL: "smtp://mail.example" }), [], "SMTP needs NOTIFY_EMAIL_TO");
+      const results = await notify({ subject: "s", text: "t" }, [
+        { name: "down", send: async () => { throw new Error("boom"); } },
+        { name: "up", send: async () => {} },
+      ]);
+      assert.deepEqual(results, [{ name: "down", ok: false, error: "boom" }, { name: "up", ok: true }]);
+    },
+  },
+  {
+    name: "webhook posts subject, text and data as JSON",
+    async run() {
+      const got = [];
+      const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (d) => (body += d));
+        req.on("end", () => {
+          got.push({ method: req.method, body: JSON.parse(body) });
+          res.writeHead(got.length === 1 ? 204 : 500).end();
+        });
+      });
+      const port = await listen(server);
+      try {
+        const [webhook] = notifiersFromEnv({ NOTIFY_WEBHOOK_URL: `http://127.0.0.1:${port}/hook` });
+        const msg = { subject: "Chesterfield 12U A1 schedule: 1 new", text: "• New: Affton", data: { team: "chesterfield-a1" } };
+        assert.deepEqual(await notify(msg, [webhook]), [{ name: "webhook", ok: true }]);
+        assert.equal(got[0].method, "POST");
+        assert.equal(got[0].body.text, "Chesterfield 12U A1 schedule: 1 new\n• New: Affton");
+        assert.deepEqual(got[0].body.data, { team: "chesterfield-a1" });
+        const [failed] = await notify(msg, [webhook]);
+        assert.equal(failed.ok, false);
+        assert.match(failed.error, /webhook 500/);
+      } finally {
+        server.close();
+      }
+    },
+  },
+  {
+    name: "email goes through a plain SMTP conversation with dot-stuffing",
+    async run() {
+      const lines = [];
+      const server = net.createServer((socket) => {
+        let buf = "", inData = false;
+        socket.write("220 test ESMTP\r\n");
+        socket.on("data", (d) => {
+          buf += d.toString("utf8");
+          let i;
+          while ((i = buf.indexOf("\r\n")) >= 0) {
+            const line = buf.slice(0, i);
+            buf = buf.slice(i + 2);
+            lines.push(line);
+            if (inData) {
+              if (line === ".") { inData = false; socket.write("250 queued\r\n"); }
+              continue;
+            }
+            if (/^EHLO/.test(line)) socket.write("250-test\r\n250 AUTH PLAIN\r\n");
+            else if (line === "DATA") { inData = true; socket.write("354 go\r\n"); }
+            else if (/^AUTH/.test(line)) socket.write("235 ok\r\n");
+            else if (line === "QUIT") socket.end("221 bye\r\n");
+            else socket.write("250 ok\r\n");
+          }
+        });
+      });
+      const port = await listen(server);
+      try {
+        const [email] = notifiersFromEnv({ NOTIFY_SMTP_URL: `smtp://coach:pw@127.0.0.1:${port}`, NOTIFY_EMAIL_TO: "a@x.test, b@x.test" });
+        const results = await notify({ subject: "Schedule — 1 new", text: "• New: Affton\n.hidden line" }, [email]);
+        assert.deepEqual(results, [{ name: "email", ok: true }]);
+        assert.ok(lines.includes(`AUTH PLAIN ${Buffer.from("\u0000coach\u0000pw").toString("base64")}`));
+        assert.ok(lines.includes("MAIL FROM:<scouting-portal@127.0.0.1>"));
+        assert.ok(lines.includes("RCPT TO:<a@x.test>") && lines.includes("RCPT TO:<b@x.test>"));
+        assert.ok(lines.includes(`Subject: =?UTF-8?B?${Buffer.from("Schedule — 1 new").toString("base64")}?=`));
+        assert.ok(lines.includes("..hidden line"), "a leading dot is doubled");
+      } finally {
+        server.close();
+      }
+    },
+  },
+];
+
+async function main() {
+  let failures = 0;
+  for (const c of CASES) {
+    try {
+      await c.run();
+      console.log(`✓ ${c.name}`);
+    } catch (e) {
+      failures++;
+      console.warn(`✗ ${c.name}: ${e?.message ?? e}`);
+    }
+  }
+
+  if (failures) {
+    console.error(`\n${failures} of ${CASES.length} schedule change case(s) failed.`);
+    process.exit(1);
+  }
+  console.log(`\nAll ${CASES.length} schedule change cases passed.`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Check how schedule rows are linked to tournament files
+ * (src/lib/tournament-match.mjs): an explicit tag, a row on a tournament's
+ * dates at a rink in its city, state or listed venues, a row with no venue, and a
+ * home league game on a tournament weekend, which stays unlinked unless its
+ * title hint names the tournament. Also the move of old title guesses from
+ * `tournament` to `tournamentHint` (npm run validate:data -- --fix). No network.
+ *
+ * Run:
+ *   npm run test:tournament-match
+ */
+import assert from "node:assert/strict";
+import { createTournamentLinker, venueFit, hintNames } from "../src/lib/tournament-match.mjs";
+import { canonicalSchedule, checkSchedule } from "./lib/validate-data.mjs";
+
+// Shaped like src/content/tournaments (one with unpadded dates)
+const PREDS = { slug: "predsidents", name: "PREDSidents Day Classic", startDate: "2026-02-13", endDate: "2026-02-16", location: "Nashville, TN" };
+const VETERANS = { slug: "veterans-cup", name: "St. Louis Veterans Cup", startDate: "2025-11-7", endDate: "2025-11-9", location: "St. Louis, MO" };
+const MOTOWN = {
+  slug: "motown-cup",
+  name: "Motown-Cup",
+  startDate: "2026-01-16",
+  endDate: "2026-01-19",
+  location: "Detroit, MI",
+  venues: ["USA Hockey Arena", "Troy Sports Center"],
+};
+// Same weekend as Motown, across the state
+const GR = { slug: "grand-rapids-classic", name: "Grand Rapids Classic", startDate: "2026-01-17", endDate: "2026-01-18", location: "Grand Rapids, MI" };
+
+const { link, tagged } = createTournamentLinker([PREDS, VETERANS, MOTOWN, GR]);
+
+// Rows as update:schedules writes them (src/data/auto-schedule/chesterfield-a1.json)
+const ANTIOCH = "Ford Ice Center Antioch 5264 Hickory Hollow Pkwy Nashville TN 37013";
+const QUEENY = "Queeny 550 Weidman Rd Ballwin MO 63011";
+const row = (date, venue, extra = {}) => ({ date, time: "14:45", opponent: "Lakeland Jr. Mocs Red", homeAway: "Neutral", venue, source: "ics", ...extra });
+
+const CASES = [
+  {
+    name: "an explicit tag links by slug, name or file name, whatever the dates say",
+    run() {
+      assert.equal(link(row("2025-11-08", QUEENY, { tournament: "veterans-cup" })), VETERANS);
+      assert.equal(link(row("2025-11-08", QUEENY, { tournament: "St. Louis Veterans Cup" })), VETERANS);
+      assert.equal(link(row("2025-11-08", QUEENY, { tournament: "stlouis-veterans-cup" })), VETERANS, "the tournament's file name");
+      // Tagged for one tournament while another one's on
+      assert.equal(link(row("2026-02-14", ANTIOCH, { tournament: "motown-cup" })), MOTOWN);
+      assert.equal(tagged("Motown Cup"), MOTOWN, "slugified name");
+      assert.equal(tagged("Winter Classic"), null);
+    },
+  },
+  {
+    name: "on a tournament's dates, a rink in its city (or at least its state) links",
+    run() {
+      assert.equal(venueFit(ANTIOCH, PREDS), "city");
+      assert.equal(link(row("2026-02-13", ANTIOCH)), PREDS);
+      assert.equal(link(row("2026-02-16", "Nashville  Nashville TN ")), PREDS, "last day, city-only location");
+      assert.equal(link(row("2026-02-17", ANTIOCH)), null, "the day after");
+      // Same state still agrees; another state doesn't
+      assert.equal(link(row("2025-11-07", "Centene Community Ice Center 750 Casino Center Dr Maryland Heights MO 63043")), VETERANS);
+      assert.equal(link(row("2025-11-07", "Line Creek Community Center, Kansas City, KS")), null);
+      assert.equal(venueFit("Ford Ice Center Bellevue, Franklin, TN 37064", PREDS), "state");
+    },
+  },
+  {
+    name: "a listed venue beats a same-weekend tournament matched only by state",
+    run() {
+      const troy = row("2026-01-17", "Troy Sports Center 1819 E Big Beaver Rd Troy MI 48083");
+      assert.equal(venueFit(troy.venue, MOTOWN), "venue");
+      assert.equal(venueFit(troy.venue, GR), "state");
+      assert.equal(link(troy), MOTOWN);
+      assert.equal(link(row("2026-01-17", "Patterson Ice Center, Grand Rapids, MI")), GR);
+    },
+  },
+  {
+    name: "a row with no venue on a tournament weekend links",
+    run() {
+      assert.equal(venueFit(undefined, PREDS), "unknown");
+      assert.equal(link(row("2026-02-14", undefined)), PREDS);
+      assert.equal(link(row("2026-02-14", "  ")), PREDS);
+      assert.equal(link(row("2026-02-18", undefined)), null, "no tournament on");
+    },
+  },
+  {
+    name: "a home league game elsewhere on a tournament weekend stays unlinked unless its hint names the tournament",
+    run() {
+      const league = row("2026-02-14", QUEENY, { opponent: "STP 12U - A1 Heller", leagueGame: true });
+      assert.equal(venueFit(QUEENY, PREDS), "elsewhere");
+      assert.equal(link(league), null);
+      assert.equal(link({ ...league, tournamentHint: "tournament" }), null, "the generic guess names nothing");
+      assert.equal(link({ ...league, tournamentHint: "Winter Classic" }), null);
+      assert.equal(hintNames("PREDSidents Day Classic", PREDS), true);
+      assert.equal(link({ ...league, tournamentHint: "PREDSidents Day Classic" }), PREDS);
+      // An old-style guess in `tournament` that names no file counts as a hint too
+      assert.equal(link({ ...league, tournament: "PREDSidents Day Classic" }), PREDS, "slugifies to the name");
+      assert.equal(link({ ...league, tournament: "Preds Day Cup" }), null);
+    },
+  },
+  {
+    name: "the row's local day decides, not its UTC date",
+    run() {
+      // 2026-02-17 01:00 UTC is the evening of the 16th in Nashville
+      const late = row("2026-02-17", ANTIOCH, { time: "01:00" });
+      assert.equal(link(late), null);
+      assert.equal(link(late, "2026-02-16"), PREDS);
+    },
+  },
+  {
+    name: "validate:data --fix moves ICS title guesses from tournament to tournamentHint",
+    run() {
+      const rows = [
+        { date: "2026-01-17", time: "15:00", opponent: "Honeybaked", homeAway: "Neutral", leagueGame: false, tournament: "Motown Cup", venue: "Troy", source: "ics", sourceId: "a" },
+        { date: "2026-01-18", time: "15:00", opponent: "Belle Tire", homeAway: "Neutral", leagueGame: false, tournament: null, source: "ics", sourceId: "b" },
+        { date: "2026-01-19", time: "15:00", opponent: "Little Caesars", homeAway: "Neutral", leagueGame: false, tournament: "motown-cup", source: "csv" },
+      ];
+      assert.deepEqual(
+        checkSchedule(rows).filter((i) => /title guess/.test(i.message)).map((i) => [i.message, i.fixable]),
+        [['[0] 2026-01-17: tournament "Motown Cup" is a title guess (now tournamentHint)', true], ["[1] 2026-01-18: tournament null is a title guess (now tournamentHint)", true]]
+      );
+      const { data, changes } = canonicalSchedule(rows);
+      assert.deepEqual(changes, ["moved 2 title guess(es) from tournament to tournamentHint"]);
+      assert.deepEqual(Object.keys(data[0]), ["date", "time", "opponent", "homeAway", "leagueGame", "tournamentHint", "venue", "source", "sourceId"]);
+      assert.equal(data[0].tournamentHint, "Motown Cup");
+      assert.ok(!("tournament" in data[1]) && !("tournamentHint" in data[1]));
+      assert.equal(data[2].tournament, "motown-cup", "CSV tags are explicit");
+      assert.deepEqual(canonicalSchedule(data).changes, []);
+    },
+  },
+];
+
+function main() {
+  let failures = 0;
+  for (const c of CASES) {
+    try {
+      c.run();
+      console.log(`✓ ${c.name}`);
+    } catch (e) {
+      failures++;
+      console.warn(`✗ ${c.name}: ${e?.message ?? e}`);
+    }
+  }
+
+  if (failures) {
+    console.error(`\n${failures} of ${CASES.length} tournament linking case(s) failed.`);
+    process.exit(1);
+  }
+  console.log(`\nAll ${CASES.length} tournament linking cases passed.`);
+}
+
+main();
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Check scripts/lib/tournament-participants.mjs: the three participant list
+ * parsers on the saved sources in scripts/fixtures/participants/ (a pasted
+ * list, a GameSheet division payload, MHR pages), and where the matcher draws
+ * its lines: tracked and inline teams first, then an MHR candidate only with a
+ * MIN_SCORE match that leads the runner-up by MIN_LEAD, "ambiguous" down to
+ * MIN_REVIEW and "unmatched" below it. No network.
+ *
+ * Run:
+ *   npm run test:participants
+ */
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { MIN_SCORE } from "../src/lib/opponent-match.mjs";
+import { collectInlineTeams } from "../src/lib/inline-teams.mjs";
+import {
+  MIN_LEAD,
+  MIN_REVIEW,
+  gamesheetDivisions,
+  matchParticipants,
+  parseMhrTeamLinks,
+  parseTeamList,
+  pickGamesheetDivision,
+} from "./lib/tournament-participants.mjs";
+
+const FIXTURE_DIR = "scripts/fixtures/participants";
+
+const read = (f) => fs.readFile(path.join(FIXTURE_DIR, f), "utf8");
+
+const TEAMS = [
+  { slug: "chesterfield-a1", name: "Chesterfield 12U A1", mhrUrl: "https://myhockeyrankings.com/team-info?y=2025&t=10001" },
+  { slug: "rockets-a1", name: "St. Louis Rockets 12U A1", mhrUrl: "https://myhockeyrankings.com/team-info?y=2025&t=18220" },
+];
+const TOURNAMENTS = [
+  {
+    slug: "earlier-cup",
+    startDate: "2025-11-07",
+    opponents: ["chesterfield-a1", { name: "Tulsa Jr. Oilers 12U A", mhrUrl: "https://myhockeyrankings.com/team-info?y=2025&t=15250" }],
+  },
+];
+const INLINE = collectInlineTeams(TOURNAMENTS, TEAMS);
+
+const match = (names, candidates = [], accept = {}) =>
+  matchParticipants(names.map((n) => (typeof n === "string" ? { name: n } : n)), { teams: TEAMS, inline: INLINE, candidates, accept });
+const one = (name, candidates) => match([name], candidates)[0];
+
+const CASES = [
+  {
+    name: "pasted list: bullets, numbering and records dropped, a trailing link or id kept",
+    async run() {
+      assert.deepEqual(parseTeamList(await read("team-list.txt")), [
+        { name: "St. Louis Rockets 12U A1" },
+        { name: "Tulsa Jr Oilers 12U A", mhrId: "15250" },
+        { name: "Amherst Knights 12u AAA" },
+        { name: "Canton Wolves 12U AA" },
+        { name: "Oklahoma City Blazers 12U A", mhrId: "20411" },
+        { name: "Wichita Jr Thunder 12U A" },
+        { name: "Dallas Stars Elite 12U" },
+      ]);
+    },
+  },
+  {
+    name: "MHR pages: one entry per linked team id",
+    async run() {
+      assert.deepEqual(parseMhrTeamLinks(await read("mhr-event.html")).map((t) => t.mhrId), ["18220", "15250", "20411"]);
+      const ranked = parseMhrTeamLinks(await read("mhr-rankings.html"));
+      assert.equal(ranked.length, 6);
+      assert.deepEqual(ranked.find((t) => t.mhrId === "31002"), { name: "Wichita Jr Thunder 12U A Red", mhrId: "31002" });
+    },
+  },
+  {
+    name: "GameSheet divisions: picked by id or exact title, not by a title that fits several",
+    async run() {
+      const divisions = gamesheetDivisions(JSON.parse(await read("gamesheet-divisions.json")));
+      assert.deepEqual(divisions.map((d) => `${d.id} ${d.title} (${d.teams.length})`), ["71620 10U A (1)", "71625 12U A (5)", "71630 12U AA (2)"]);
+      assert.equal(pickGamesheetDivision(divisions, "71630")?.title, "12U AA");
+      assert.equal(pickGamesheetDivision(divisions, "12U A")?.id, 71625);
+      assert.equal(pickGamesheetDivision(divisions, "12U"), null);
+      assert.equal(pickGamesheetDivision(divisions), null, "several divisions and none asked for");
+    },
+  },
+  {
+    name: "team files and tracked inline opponents win before any MHR candidate",
+    async run() {
+      const candidates = parseMhrTeamLinks(await read("mhr-rankings.html"));
+      assert.deepEqual(match(["St. Louis Rockets 12U A1", "Tulsa Jr Oilers 12U A"], candidates), [
+        { name: "St. Louis Rockets 12U A1", status: "tracked", slug: "rockets-a1" },
+        { name: "Tulsa Jr Oilers 12U A", status: "inline", slug: "tulsa-jr-oilers-12u-a", mhrId: "15250", mhrName: "Tulsa Jr. Oilers 12U A" },
+      ]);
+      // An id from the source maps to the team file that links it
+      assert.deepEqual(match([{ name: "Chesterfield", mhrId: "10001" }])[0], { name: "Chesterfield", status: "tracked", slug: "chesterfield-a1", mhrId: "10001" });
+    },
+  },
+  {
+    name: `an MHR candidate is taken only ${MIN_LEAD}+ points clear of the runner-up`,
+    run() {
+      const black = { mhrId: "1", name: "Wichita Jr Thunder 12U A2 Black" };
+      // One name word short of Black: 6 points behind
+      const close = one("Wichita Jr Thunder 12U A2", [black, { mhrId: "2", name: "Wichita Thunder 12U A2 Red" }]);
+      assert.equal(close.status, "ambiguous");
+      const [a, b] = close.candidates;
+      assert.ok(a.score >= MIN_SCORE && a.score - b.score < MIN_LEAD, `${a.score} vs ${b.score}`);
+
+      // Two words short: 12 points behind
+      const clear = one("Wichita Jr Thunder 12U A2", [black, { mhrId: "3", name: "Wichita 12U A2 Red" }]);
+      assert.equal(clear.status, "mhr");
+      assert.equal(clear.mhrId, "1");
+      assert.ok(clear.score >= MIN_SCORE);
+    },
+  },
+  {
+    name: `below MIN_SCORE a lone candidate is ambiguous down to ${MIN_REVIEW}, unmatched under it`,
+    run() {
+      const candidates = [{ mhrId: "4", name: "Dallas Stars Elite 12U AA" }, { mhrId: "5", name: "Lincoln Stars 12U A" }];
+      const review = one("Dallas Stars Elite 12U", candidates);
+      assert.equal(review.status, "ambiguous");
+      assert.ok(review.candidates[0].score >= MIN_REVIEW && review.candidates[0].score < MIN_SCORE, `${review.candidates[0].score}`);
+      assert.ok(review.candidates[0].score - review.candidates[1].score >= MIN_LEAD, "a clear lead alone isn't enough");
+
+      const miss = one("Dallas Stars 12U", candidates);
+      assert.equal(miss.status, "unmatched");
+      assert.ok(miss.candidates[0].score < MIN_REVIEW);
+      // Still listed for the review, down to 30 (same age only scores less)
+      assert.deepEqual(miss.candidates.map((c) => c.mhrId), ["4", "5"]);
+      assert.deepEqual(one("Dallas Elite", candidates), { name: "Dallas Elite", status: "unmatched", candidates: [] });
+    },
+  },
+  {
+    name: "a review decision settles an ambiguous name",
+    async run() {
+      const candidates = parseMhrTeamLinks(await read("mhr-rankings.html"));
+      assert.equal(one("Wichita Jr Thunder 12U A", candidates).status, "ambiguous", "Black and Red score the same");
+      assert.deepEqual(match(["Wichita Jr Thunder 12U A"], candidates, { "wichita jr thunder 12u a": "31002" })[0], {
+        name: "Wichita Jr Thunder 12U A",
+        status: "mhr",
+        mhrId: "31002",
+      });
+    },
+  },
+];
+
+async function main() {
+  let failures = 0;
+  for (const c of CASES) {
+    try {
+      await c.run();
+      console.log(`✓ ${c.name}`);
+    } catch (e) {
+      failures++;
+      console.warn(`✗ ${c.name}: ${e?.message ?? e}`);
+    }
+  }
+
+  if (failures) {
+    console.error(`\n${failures} of ${CASES.length} participant case(s) failed.`);
+    process.exit(1);
+  }
+  console.log(`\nAll ${CASES.length} participant cases passed.`);
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
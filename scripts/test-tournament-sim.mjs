@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * Check the tournament odds simulator (src/lib/tournament-sim.ts) on small
+ * fixed-seed fields: pool winners, crossover seeding, wildcards and byes,
+ * tiebreakers, tied pool games, and that the odds add up. Ratings are far enough apart that
+ * the favourites win under any fitted win-probability model, so the checks
+ * hold with or without src/data/winprob-model.json. No network.
+ *
+ * The simulator is TypeScript that uses import.meta.glob (via probability.ts),
+ * so it is loaded through Vite, like the site build does.
+ *
+ * Run:
+ *   npm run test:sim
+ */
+import assert from "node:assert/strict";
+import { createServer } from "vite";
+
+const RUNS = 300;
+const SURE = 0.97; // "always", leaving room for the odd upset
+
+const team = (key, rating) => ({ key, name: key, rating });
+const byKey = (sim) => Object.fromEntries(sim.results.map((r) => [r.team.key, r]));
+const sum = (xs) => xs.reduce((s, x) => s + x, 0);
+const close = (a, b, what) => assert.ok(Math.abs(a - b) < 1e-9, `${what}: ${a} ≠ ${b}`);
+
+const CASES = [
+  {
+    name: "same seed key, same odds; a different key reshuffles",
+    run({ simulateTournament }) {
+      const field = [team("a", 90), team("b", 89), team("c", 88), team("d", 87)];
+      const format = { simulations: RUNS };
+      const one = simulateTournament(field, format, "seed-1");
+      assert.deepEqual(simulateTournament(field, format, "seed-1"), one);
+      assert.notDeepEqual(simulateTournament(field, format, "seed-2").results, one.results);
+    },
+  },
+  {
+    name: "odds add up: one champion, one winner per pool, every bracket spot filled",
+    run({ simulateTournament }) {
+      const field = ["a", "b", "c", "d", "e", "f"].map((k, i) => team(k, 90 - i));
+      const sim = simulateTournament(
+        field,
+        { pools: [{ name: "A", teams: ["a", "c", "e"] }, { name: "B", teams: ["b", "d", "f"] }], advancePerPool: 2, simulations: RUNS },
+        "sums"
+      );
+      close(sum(sim.results.map((r) => r.reach[1])), 1, "champion odds");
+      close(sum(sim.results.map((r) => r.poolWin)), 2, "pool winners");
+      close(sum(sim.results.map((r) => r.advance)), 4, "playoff spots");
+      close(sum(sim.results.map((r) => r.reach[2])), 2, "finalists");
+      assert.deepEqual(sim.stages, [2, 1]);
+    },
+  },
+  {
+    name: "crossover seeding: pool winners meet in the final, runners-up go out in the semis",
+    run({ simulateTournament }) {
+      const field = [team("a1", 1000), team("a2", 500), team("a3", 0), team("b1", 900), team("b2", 400), team("b3", -100)];
+      const sim = byKey(
+        simulateTournament(
+          field,
+          { pools: [{ name: "A", teams: ["a1", "a2", "a3"] }, { name: "B", teams: ["b1", "b2", "b3"] }], advancePerPool: 2, simulations: RUNS },
+          "crossover"
+        )
+      );
+      assert.ok(sim.a1.poolWin >= SURE && sim.b1.poolWin >= SURE, "top seeds win their pools");
+      assert.ok(sim.a3.advance === 0 && sim.b3.advance === 0, "third place is out");
+      // A1 v B2 and B1 v A2: the final is A1 v B1 (with "overall" seeding too, but
+      // never A1 v A2, which would put a runner-up in the final)
+      assert.ok(sim.a1.reach[2] >= SURE && sim.b1.reach[2] >= SURE, "pool winners reach the final");
+      assert.ok(sim.a2.reach[2] <= 1 - SURE && sim.b2.reach[2] <= 1 - SURE, "runners-up lose the semis");
+      assert.ok(sim.a1.reach[1] >= SURE, "strongest team wins");
+    },
+  },
+  {
+    name: "wildcard goes to the best non-advancing record; a short bracket gives the top seed a bye",
+    run({ simulateTournament }) {
+      // Pool A's runner-up has two wins, pool B's only one: A's takes the one wildcard
+      const field = [team("a1", 1000), team("a2", 500), team("a3", 0), team("a4", -500), team("b1", 900), team("b2", 400), team("b3", -100)];
+      const sim = byKey(
+        simulateTournament(
+          field,
+          {
+            pools: [{ name: "A", teams: ["a1", "a2", "a3", "a4"] }, { name: "B", teams: ["b1", "b2", "b3"] }],
+            advancePerPool: 1,
+            wildcards: 1,
+            simulations: RUNS,
+          },
+          "wildcard"
+        )
+      );
+      assert.ok(sim.a2.advance >= SURE, "a2 takes the wildcard");
+      assert.ok(sim.b2.advance <= 1 - SURE, "b2 misses out");
+      // Seeds a1, b1, a2 in a bracket of four: a1 has the bye, b1 beats a2
+      assert.ok(sim.a1.reach[2] >= SURE && sim.b1.reach[2] >= SURE, "bye and semi winner reach the final");
+      assert.equal(sim.a2.reach[1], 0);
+    },
+  },
+  {
+    name: "tiebreakers: head-to-head settles a two-way tie, wins a three-way one",
+    run({ simulateTournament }) {
+      // No points for anything, so every pool finishes level and the tiebreakers decide
+      const flat = { pointsWin: 0, pointsTie: 0, advancePerPool: 1, simulations: RUNS };
+      const two = byKey(simulateTournament([team("x", 200), team("y", 0)], { ...flat, tiebreakers: ["head-to-head"] }, "h2h"));
+      assert.ok(two.x.poolWin >= SURE, "x beat y, so x wins the tie");
+
+      const three = byKey(
+        simulateTournament([team("p", 400), team("q", 200), team("r", 0)], { ...flat, tiebreakers: ["head-to-head", "wins"] }, "three")
+      );
+      assert.ok(three.p.poolWin >= SURE, "head-to-head skipped, p has the most wins");
+    },
+  },
+  {
+    name: "pool games between even teams end tied as often as the model's tie band says",
+    run({ playPoolGame, makeRng, outcomeProbs }) {
+      const rnd = makeRng(7);
+      const games = Array.from({ length: 2000 }, () => playPoolGame(85, 85, rnd));
+      const tied = games.filter(([a, b]) => a === b).length / games.length;
+      const { tie } = outcomeProbs(85, 85);
+      assert.ok(Math.abs(tied - tie) < 0.03, `${(tied * 100).toFixed(1)}% tied, model says ${(tie * 100).toFixed(1)}%`);
+    },
+  },
+  {
+    name: "unrated teams play at the field average; unknown pool entries are reported",
+    run({ simulateTournament }) {
+      const sim = simulateTournament(
+        [team("a", 80), team("b", 90), { key: "c", name: "c" }],
+        { pools: [{ name: "A", teams: ["a", "b", "c", "Nobody FC"] }], simulations: 50 },
+        "unrated"
+      );
+      const c = byKey(sim).c;
+      assert.equal(c.rating, 85);
+      assert.equal(c.estimated, true);
+      assert.deepEqual(sim.unmatched, ["Nobody FC"]);
+    },
+  },
+];
+
+async function main() {
+  const server = await createServer({
+    configFile: false,
+    logLevel: "error",
+    appType: "custom",
+    server: { middlewareMode: true, hmr: false },
+    optimizeDeps: { noDiscovery: true },
+  });
+  let failures = 0;
+  try {
+    const sim = {
+      ...(await server.ssrLoadModule("/src/lib/tournament-sim.ts")),
+      ...(await server.ssrLoadModule("/src/lib/probability.ts")),
+    };
+    for (const c of CASES) {
+      try {
+        c.run(sim);
+        console.log(`✓ ${c.name}`);
+      } catch (e) {
+        failures++;
+        console.warn(`✗ ${c.name}: ${e?.message ?? e}`);
+      }
+    }
+  } finally {
+    await server.close();
+  }
+
+  if (failures) {
+    console.error(`\n${failures} of ${CASES.length} simulator case(s) failed.`);
+    process.exit(1);
+  }
+  console.log(`\nAll ${CASES.length} simulator cases passed.`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
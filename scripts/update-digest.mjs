@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * Weekly MHR movement digest. Compares the latest snapshot in
+ * src/data/mhr-history/*.json with the prior week's for every tracked team
+ * (team files plus inline tournament opponents, whose history is under
+ * mhr-<id>.json, see historyKey) and writes src/data/digests/<date>.json (rendered at /digest/<date>/ and in
+ * /digest/rss.xml). Flags big rating swings, state/national rank jumps and
+ * teams passing each other in their league table; new digests with alerts go
+ * out through the notifiers configured in the environment (scripts/lib/notify.mjs).
+ *
+ * Run after update:teamsranks (append-ranks-to-history.mjs):
+ *   npm run update:digest
+ *   npm run update:digest -- --date=2026-03-04      # digest for a past snapshot
+ *   npm run update:digest -- --backfill             # one digest per week of history (no notifications)
+ *   npm run update:digest -- --rating=0.3 --state=1 --national=10   # alert thresholds
+ *   npm run update:digest -- --force --no-notify
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+
+import { buildDigest, snapshotDates, priorDate, DEFAULT_THRESHOLDS, MIN_GAP_DAYS, addDays } from "./lib/digest.mjs";
+import { notify, notifiersFromEnv } from "./lib/notify.mjs";
+import { collectInlineTeams, historyKey } from "../src/lib/inline-teams.mjs";
+
+const TEAMS_DIR = "src/content/teams";
+const TOURN_DIR = "src/content/tournaments";
+const HIST_DIR = "src/data/mhr-history";
+const OUT_DIR = "src/data/digests";
+
+function getArg(name) {
+  const p = `--${name}=`;
+  for (const a of process.argv.slice(2)) {
+    if (a.startsWith(p)) return a.slice(p.length);
+    if (a === `--${name}`) return true;
+  }
+  return undefined;
+}
+
+async function readJson(p, fallback = null) {
+  try { return JSON.parse(await fs.readFile(p, "utf8")); } catch { return fallback; }
+}
+
+async function writeJson(p, data) {
+  await fs.mkdir(path.dirname(p), { recursive: true });
+  await fs.writeFile(p, JSON.stringify(data, null, 2) + "\n", "utf8");
+}
+
+function thresholdsFromArgs() {
+  const out = {};
+  for (const k of Object.keys(DEFAULT_THRESHOLDS)) {
+    const v = getArg(k);
+    if (typeof v === "string" && Number.isFinite(Number(v))) out[k] = Number(v);
+  }
+  return out;
+}
+
+/** Team files and inline tournament opponents, with histories keyed by slug */
+async function loadInputs() {
+  const files = [];
+  for (const f of (await fs.readdir(TEAMS_DIR)).filter((f) => f.endsWith(".json"))) {
+    const team = await readJson(path.join(TEAMS_DIR, f));
+    if (!team?.slug) {
+      console.warn(`⏭  ${f}: invalid team JSON (missing slug)`);
+      continue;
+    }
+    files.push(team);
+  }
+  const tournaments = [];
+  for (const f of (await fs.readdir(TOURN_DIR).catch(() => [])).filter((f) => f.endsWith(".json"))) {
+    const t = await readJson(path.join(TOURN_DIR, f));
+    if (t) tournaments.push(t);
+  }
+
+  const teams = [];
+  const histories = {};
+  for (const team of [...files, ...collectInlineTeams(tournaments, files)]) {
+    teams.push({ slug: team.slug, name: team.name ?? team.slug, league: team.league, division: team.division });
+    const hist = await readJson(path.join(HIST_DIR, `${historyKey(team)}.json`), []);
+    histories[team.slug] = Array.isArray(hist) ? hist : [];
+  }
+  return { teams, histories };
+}
+
+/** Dates to build: one (latest or --date), or one per week of history with --backfill */
+function digestDates(dates) {
+  if (getArg("backfill")) {
+    const out = [];
+    for (const d of dates) {
+      const last = out.at(-1) ?? dates[0];
+      if (d === dates[0] || d >= addDays(last, MIN_GAP_DAYS)) out.push(d);
+    }
+    // Always include the latest snapshot
+    if (dates.length && out.at(-1) !== dates.at(-1)) out.push(dates.at(-1));
+    return out.filter((d) => priorDate(dates, d));
+  }
+  const want = getArg("date");
+  return [typeof want === "string" ? want : dates.at(-1)].filter(Boolean);
+}
+
+async function main() {
+  const { teams, histories } = await loadInputs();
+  const dates = snapshotDates(histories);
+  if (!dates.length) {
+    console.log(`No history in ${HIST_DIR}; nothing to digest.`);
+    return;
+  }
+
+  const thresholds = thresholdsFromArgs();
+  const backfill = !!getArg("backfill");
+  const force = !!getArg("force");
+  const notifiers = getArg("no-notify") || backfill ? [] : notifiersFromEnv();
+
+  for (const date of digestDates(dates)) {
+    const file = path.join(OUT_DIR, `${date}.json`);
+    const digest = buildDigest({ teams, histories, date, thresholds });
+    if (!digest.prevDate) {
+      console.log(`⏭  ${date}: no earlier snapshot to compare with`);
+      continue;
+    }
+
+    const prev = await readJson(file, null);
+    const same = prev && JSON.stringify({ ...prev, generatedAt: undefined }) === JSON.stringify({ ...digest, generatedAt: undefined });
+    if (prev && (same || !force)) {
+      console.log(`• ${date}: digest ${same ? "unchanged" : "exists (use --force to rebuild)"}`);
+      continue;
+    }
+
+    await writeJson(file, { ...digest, generatedAt: new Date().toISOString() });
+    console.log(`✓ ${date} (vs ${digest.prevDate}): ${digest.alerts.length} alert(s), ${digest.teams.length} team(s) -> ${file}`);
+    for (const a of digest.alerts) console.log(`    • ${a.text}`);
+
+    // Only brand-new digests notify (a --force rebuild already went out)
+    if (prev || !digest.alerts.length || !notifiers.length) continue;
+    const results = await notify({
+      subject: `MHR weekly digest ${date}: ${digest.alerts.length} alert(s)`,
+      text: digest.alerts.map((a) => `• ${a.text}`).join("\n"),
+      data: { date, prevDate: digest.prevDate, alerts: digest.alerts },
+    }, notifiers);
+    for (const r of results) {
+      if (r.ok) console.log(`  ✓ notified via ${r.name}`);
+      else console.warn(`  ! ${r.name} notification failed: ${r.error}`);
+    }
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * Import final scores into per-team game logs: src/data/results/<slug>.json
+ *
+ * Sources:
+ *   - MHR game list (default): every team in src/content/teams with an mhrUrl.
+ *     Rendered in one shared Playwright browser for the run (the list is filled
+ *     in client-side; scripts/lib/mhr-fetch.mjs), else legacy HTML.
+ *   - Local drop: --from=<file.csv|file.json> for a single --team=<slug>.
+ *     Columns/keys: date,time,opponent,homeAway,venue,scoreFor,scoreAgainst[,result,tournament]
+ *     (`result` is derived from the score when omitted.)
+ *
+ * Rows without both scores (a scheduled game in a drop) are skipped. Rows are
+ * merged into the existing log by date|time|opponent (the team the opponent
+ * resolves to, so two spellings of one game are one row), so re-running is
+ * safe and a later import corrects an earlier score (scripts/lib/results-log.mjs).
+ *
+ * Run:
+ *   npm run update:results
+ *   npm run update:results -- --team=chesterfield-a1
+ *   npm run update:results -- --team=chesterfield-a1 --from=tmp/results.csv
+ *   npm run update:results -- --dry-run
+ *   npm run update:results -- --record        # or --replay (scripts/lib/record-replay.mjs)
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fetchHtml, toText, parseMhrGames, seasonYearFromUrl } from "./lib/mhr-parse.mjs";
+import { createMhrFetcher } from "./lib/mhr-fetch.mjs";
+import { parseCsv } from "./lib/csv.mjs";
+import { toRecord, mergeLog } from "./lib/results-log.mjs";
+import { setupRecordReplay, now } from "./lib/record-replay.mjs";
+import { createResolver } from "../src/lib/opponent-match.mjs";
+import { collectInlineTeams } from "../src/lib/inline-teams.mjs";
+
+const TEAMS_DIR = "src/content/teams";
+const TOURN_DIR = "src/content/tournaments";
+const RESULTS_DIR = "src/data/results";
+const OVERRIDES_FILE = "src/data/opponent-overrides.json";
+
+function getArg(name) {
+  const p = `--${name}=`;
+  for (const a of process.argv.slice(2)) {
+    if (a.startsWith(p)) return a.slice(p.length);
+    if (a === `--${name}`) return true;
+  }
+  return undefined;
+}
+
+const ARG_TEAM = getArg("team");
+const ARG_FROM = getArg("from");
+const DRY_RUN = !!getArg("dry-run");
+const DEBUG = !!getArg("debug");
+
+async function readJson(p, fallback = null) { try { return JSON.parse(await fs.readFile(p, "utf8")); } catch { return fallback; } }
+async function writeJson(p, data) { await fs.mkdir(path.dirname(p), { recursive: true }); await fs.writeFile(p, JSON.stringify(data, null, 2) + "\n", "utf8"); }
+
+async function loadDir(dir) {
+  const out = [];
+  for (const f of (await fs.readdir(dir).catch(() => [])).filter((f) => f.endsWith(".json")).sort()) {
+    const data = await readJson(path.join(dir, f));
+    if (data) out.push(data);
+  }
+  return out;
+}
+
+/** The site's opponent resolver: team files, inline tournament opponents and sourceId overrides */
+async function loadResolver() {
+  const teams = await loadDir(TEAMS_DIR);
+  const inline = collectInlineTeams(await loadDir(TOURN_DIR), teams);
+  return createResolver([...teams, ...inline], { overrides: (await readJson(OVERRIDES_FILE, {})) ?? {} });
+}
+
+async function writeLog(slug, incoming, resolve) {
+  const file = path.join(RESULTS_DIR, `${slug}.json`);
+  const existing = await readJson(file, []) ?? [];
+  const next = mergeLog(existing, incoming, resolve);
+  if (JSON.stringify(next) === JSON.stringify(existing)) return { changed: false, total: next.length };
+  if (!DRY_RUN) await writeJson(file, next);
+  return { changed: true, total: next.length, added: next.length - existing.length };
+}
+
+/* ---------------- sources ---------------- */
+
+async function fromFile(file) {
+  const raw = await fs.readFile(file, "utf8");
+  const source = file.toLowerCase().endsWith(".json") ? "json" : "csv";
+  const rows = source === "json" ? JSON.parse(raw) : parseCsv(raw);
+  if (!Array.isArray(rows)) throw new Error(`${file}: expected an array of rows`);
+  return rows.map((r) => toRecord(r, source)).filter(Boolean);
+}
+
+/** The game list as rendered text; plain HTML when there is no browser */
+function renderText(fetcher, url) {
+  return fetcher.render(url, { kind: "mhr-results", ready: /Game Scores/i, fallback: async () => toText(await fetchHtml(url)) });
+}
+
+async function fromMhr(fetcher, team) {
+  const text = await renderText(fetcher, team.mhrUrl);
+  const seasonYear = seasonYearFromUrl(team.mhrUrl) ?? now().getUTCFullYear();
+  if (DEBUG) {
+    await fs.mkdir(".debug", { recursive: true });
+    await fs.writeFile(`.debug/${team.slug}-results-text.txt`, text, "utf8");
+  }
+  return parseMhrGames(text, seasonYear).map((g) => ({ ...g, source: "mhr" }));
+}
+
+/* ---------------- main ---------------- */
+
+async function main() {
+  setupRecordReplay();
+  const resolver = await loadResolver();
+  const resolve = (g) => resolver.resolve(g);
+  if (ARG_FROM) {
+    if (typeof ARG_TEAM !== "string") throw new Error("--from requires --team=<slug>");
+    const rows = await fromFile(String(ARG_FROM));
+    const res = await writeLog(ARG_TEAM, rows, resolve);
+    console.log(`${res.changed ? "✓" : "•"} ${ARG_TEAM}: ${rows.length} row(s) from ${ARG_FROM} → ${res.total} game(s) in log${DRY_RUN ? " (dry run)" : ""}`);
+    return;
+  }
+
+  const files = (await fs.readdir(TEAMS_DIR)).filter((f) => f.endsWith(".json"));
+  const fetcher = createMhrFetcher({ log: (msg) => console.warn(msg) });
+  let changed = 0;
+  try {
+    for (const f of files) {
+      const team = await readJson(path.join(TEAMS_DIR, f), null);
+      if (!team?.slug) continue;
+      if (typeof ARG_TEAM === "string" && team.slug !== ARG_TEAM) continue;
+      if (!team.mhrUrl) {
+        console.log(`⏭  ${team.slug}: no mhrUrl`);
+        continue;
+      }
+
+      try {
+        const games = await fromMhr(fetcher, team);
+        if (!games.length) {
+          console.log(`⏭  ${team.slug}: no completed games found`);
+          continue;
+        }
+        const res = await writeLog(team.slug, games, resolve);
+        if (res.changed) {
+          changed++;
+          console.log(`✓ ${team.slug}: ${res.total} game(s) in log (${res.added >= 0 ? `+${res.added}` : res.added})${DRY_RUN ? " (dry run)" : ""}`);
+        } else {
+          console.log(`• ${team.slug}: no change`);
+        }
+      } catch (e) {
+        console.warn(`! ${team.slug}: ${e?.message ?? e}`);
+      }
+      await new Promise((r) => setTimeout(r, 300)); // gentle throttle
+    }
+  } finally {
+    await fetcher.close();
+  }
+  if (changed === 0) console.log("No result logs changed.");
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
@@ -1,19 +1,66 @@
 #!/usr/bin/env node
+/**
+ * Build src/data/auto-schedule/<slug>.json from the sources in
+ * scripts/config/schedule-sources.mjs.
+ *
+ * Source types (adapters in scripts/lib/schedule-adapters.mjs):
+ *   ics           Crossbar / generic ICS feed
+ *   sportsengine  SportsEngine-style team calendar (ICS, games mixed with practices)
+ *   gamesheet     GameSheet season schedule JSON
+ *   csv           date,time,opponent[,homeAway,venue,league,tournament]
+ * Each source reads its `url`, or a saved `file` instead (offline / replay).
+ *
+ * Modes: "first" (default) keeps the first source that returns games;
+ * "merge" combines every source, de-duplicated by gameDedupKey on the
+ * opponent the site's resolver matches (so feeds may spell it differently).
+ *
+ * Changes against the previous file (matched by sourceId: added, cancelled,
+ * time changed, venue changed) are prepended to
+ * src/data/schedule-changes/<slug>.json (shown on /schedule) and sent through
+ * the notifiers configured in the environment (scripts/lib/notify.mjs).
+ * If every source fails, or in merge mode any one does (its games would read
+ * as cancelled), the previous file is kept as is and nothing is diffed or sent.
+ *
+ * Run:
+ *   npm run update:schedules
+ *   npm run update:schedules -- --team=chesterfield-a1
+ *   npm run update:schedules -- --merge        # merge mode for every team
+ *   npm run update:schedules -- --no-notify    # record changes, send nothing
+ *   npm run update:schedules -- --record       # or --replay (scripts/lib/record-replay.mjs)
+ */
 import fs from "node:fs/promises";
 import path from "node:path";
 import process from "node:process";
-// Node 18+ has global fetch; no need for node-fetch
-// import fetch from "node-fetch";
-
-// node-ical is CommonJS; default-import then destructure
-import icalPkg from "node-ical";
-const ical = icalPkg.default ?? icalPkg;
-const { parseICS } = ical;
 
 import { scheduleSources } from "./config/schedule-sources.mjs";
-import { normalizeEvent, gameDedupKey } from "./lib/schedule-normalize.mjs";
+import { createResolver } from "../src/lib/opponent-match.mjs";
+import { collectInlineTeams } from "../src/lib/inline-teams.mjs";
+import { mergeSchedules } from "./lib/schedule-normalize.mjs";
+import { loadSourceBody, parseSource } from "./lib/schedule-adapters.mjs";
+import { diffSchedules, describeChange, summarizeChanges } from "./lib/schedule-diff.mjs";
+import { notify, notifiersFromEnv } from "./lib/notify.mjs";
+import { setupRecordReplay, now } from "./lib/record-replay.mjs";
 
 const OUT_DIR = path.resolve("src/data/auto-schedule");
+const TEAMS_DIR = path.resolve("src/content/teams");
+const TOURN_DIR = path.resolve("src/content/tournaments");
+const OVERRIDES_FILE = path.resolve("src/data/opponent-overrides.json");
+const CHANGES_DIR = path.resolve("src/data/schedule-changes");
+const KEEP_CHANGE_RUNS = 50;
+const NO_NOTIFY = !!getArg("no-notify");
+
+function getArg(name) {
+  const p = `--${name}=`;
+  for (const a of process.argv.slice(2)) {
+    if (a.startsWith(p)) return a.slice(p.length);
+    if (a === `--${name}`) return true;
+  }
+  return undefined;
+}
+
+async function readJson(p, fallback = null) {
+  try { return JSON.parse(await fs.readFile(p, "utf8")); } catch { return fallback; }
+}
 
 async function ensureDir(p) {
   await fs.mkdir(p, { recursive: true });
@@ -24,82 +71,106 @@ async function writeJson(file, data) {
   await fs.writeFile(file, JSON.stringify(data, null, 2) + "\n", "utf8");
 }
 
-function normalizeIcsUrl(u) {
-  return u.replace(/^webcal:/i, "https:");
+async function readDir(dir) {
+  let files = [];
+  try { files = (await fs.readdir(dir)).filter((f) => f.endsWith(".json")).sort(); } catch { return []; }
+  return (await Promise.all(files.map((f) => readJson(path.join(dir, f), null)))).filter(Boolean);
 }
 
-async function fetchICS(url) {
-  const normalized = normalizeIcsUrl(url);
-  const res = await fetch(normalized, { headers: { "user-agent": "scouting-portal/1.0" } });
-  if (!res.ok) throw new Error(`ICS fetch failed ${res.status} ${res.statusText}`);
-  const text = await res.text();
-  return parseICS(text);
+/** The site's opponent resolver: team files, inline tournament opponents and sourceId overrides */
+async function loadResolver() {
+  const teams = (await readDir(TEAMS_DIR)).filter((t) => t?.slug);
+  const inline = collectInlineTeams(await readDir(TOURN_DIR), teams);
+  return createResolver([...teams, ...inline], { overrides: (await readJson(OVERRIDES_FILE, {})) ?? {} });
 }
 
-async function fromIcs(url, selfName) {
-  const parsed = await fetchICS(url);
-  const events = Object.values(parsed).filter((v) => v && v.type === "VEVENT");
-  const normalized = events.map((e) =>
-    normalizeEvent(
-      {
-        id: e.uid ?? e.summary,
-        title: e.summary,
-        start: e.start?.toISOString(),
-        end: e.end?.toISOString(),
-        location: e.location,
-        url: e.url,
-        source: "ics",
-      },
-      selfName,
-      "ics"
-    )
-  );
-  return normalized;
+/** A team's config: a plain source list (first-wins) or { mode, sources }. */
+function teamConfig(teamSlug) {
+  const cfg = scheduleSources[teamSlug] ?? [];
+  const { mode = "first", sources = [] } = Array.isArray(cfg) ? { sources: cfg } : cfg;
+  return { mode: getArg("merge") ? "merge" : mode, sources };
 }
 
-async function buildForTeam(teamSlug) {
-  const sources = scheduleSources[teamSlug] ?? [];
-  let games = [];
+async function buildForTeam(teamSlug, resolve) {
+  const { mode, sources } = teamConfig(teamSlug);
+  const lists = [];
   let selfName = teamSlug.replace(/[-_]/g, " ");
+  let failed = 0;
 
   for (const src of sources) {
     if (src.selfName) selfName = src.selfName;
     try {
-      if (src.type === "ics") {
-        games = await fromIcs(src.url, selfName);
-      }
-      // Add fallbacks here if needed
-      if (games.length) break; // first non-empty wins
+      const games = parseSource({ ...src, selfName }, await loadSourceBody(src));
+      console.log(`  ${src.type}${src.file ? ` (${src.file})` : ""}: ${games.length} game(s)`);
+      if (games.length) lists.push(games);
+      if (mode !== "merge" && games.length) break; // first non-empty wins
     } catch (err) {
       console.warn(`[${teamSlug}] ${src.type} failed:`, err.message);
+      failed++;
     }
   }
 
-  // Dedup
-  const map = new Map();
-  for (const g of games) map.set(gameDedupKey(g), g);
-  const unique = [...map.values()].sort((a, b) =>
-    (a.date + (a.time ?? "")).localeCompare(b.date + (b.time ?? ""))
-  );
-  return unique;
+  // Dedup (within a source too: feeds sometimes repeat an event)
+  const merged = mergeSchedules(lists, { resolve });
+  const total = lists.reduce((n, l) => n + l.length, 0);
+  if (lists.length > 1) console.log(`  merged ${lists.length} sources: ${total} rows -> ${merged.length} unique`);
+  const allFailed = sources.length > 0 && failed === sources.length;
+  return { games: merged, selfName, failed, allFailed, incomplete: allFailed || (mode === "merge" && failed > 0) };
+}
+
+/** Record a run's changes (newest first) and send them out. */
+async function reportChanges(slug, selfName, changes) {
+  const file = path.join(CHANGES_DIR, `${slug}.json`);
+  const log = (await readJson(file, [])) ?? [];
+  log.unshift({ at: now().toISOString(), changes });
+  await writeJson(file, log.slice(0, KEEP_CHANGE_RUNS));
+
+  const lines = changes.map((c) => describeChange(c));
+  console.log(`  ${summarizeChanges(changes)}:`);
+  for (const l of lines) console.log(`    • ${l}`);
+
+  const notifiers = NO_NOTIFY ? [] : notifiersFromEnv();
+  if (!notifiers.length) return;
+  const results = await notify({
+    subject: `${selfName} schedule: ${summarizeChanges(changes)}`,
+    text: lines.map((l) => `• ${l}`).join("\n"),
+    data: { team: slug, changes },
+  }, notifiers);
+  for (const r of results) {
+    if (r.ok) console.log(`  ✓ notified via ${r.name}`);
+    else console.warn(`  ! ${r.name} notification failed: ${r.error}`);
+  }
 }
 
 async function main() {
-  const argSlug = process.argv.find((a) => a.startsWith("--team="))?.split("=")[1];
+  setupRecordReplay();
+  const argSlug = getArg("team");
   await ensureDir(OUT_DIR);
 
-  const slugs = argSlug ? [argSlug] : Object.keys(scheduleSources);
+  const slugs = typeof argSlug === "string" ? [argSlug] : Object.keys(scheduleSources);
   if (!slugs.length) {
     console.log("No teams configured in scripts/config/schedule-sources.mjs");
     process.exit(0);
   }
 
+  const resolver = await loadResolver();
   for (const slug of slugs) {
     console.log(`Fetching schedule for ${slug}...`);
-    const games = await buildForTeam(slug);
+    const { games, selfName, failed, allFailed, incomplete } = await buildForTeam(slug, (g) => resolver.resolve(g));
     const outFile = path.join(OUT_DIR, `${slug}.json`);
+    const prev = await readJson(outFile, null);
+    if (incomplete && prev) {
+      const what = allFailed ? "every source failed" : `${failed} source(s) failed`;
+      console.warn(`  ! ${what}; keeping ${path.relative(process.cwd(), outFile)}`);
+      continue;
+    }
     await writeJson(outFile, games);
     console.log(`  wrote ${games.length} games -> ${path.relative(process.cwd(), outFile)}`);
+
+    // First run has nothing to compare against
+    const changes = Array.isArray(prev) ? diffSchedules(prev, games) : [];
+    if (changes.length) await reportChanges(slug, selfName, changes);
+    else if (prev) console.log("  • no schedule changes");
   }
 }
 
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * Validate the site's data files: teams (src/content/teams), tournaments
+ * (src/content/tournaments), scouting reports (src/content/scouting), MHR
+ * history (src/data/mhr-history) and auto-schedules (src/data/auto-schedule). Checks each file's shape, plus
+ * cross-file problems — history or schedules for a slug with no team,
+ * tournament opponents that match no team, scouting reports about a team with
+ * no page, home teams (src/config/portal.json)
+ * with no team file — and history quirks the charts
+ * otherwise work around (duplicate / out-of-order dates, zero ratings,
+ * repeated non-Wednesday points), and ICS schedule rows still carrying their
+ * title guess in `tournament` rather than `tournamentHint`. Rules live in
+ * scripts/lib/validate-data.mjs.
+ *
+ * Exits 1 when any error is found (warnings and notes don't fail).
+ *
+ * Run:
+ *   npm run validate:data
+ *   npm run validate:data -- --fix        # rewrite fixable files into canonical form
+ *   npm run validate:data -- --fix --dry  # show what --fix would change
+ *   npm run validate:data -- --quiet      # errors and warnings only
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+
+import { createResolver } from "../src/lib/opponent-match.mjs";
+import { collectInlineTeams, historyKey, mhrTeamId } from "../src/lib/inline-teams.mjs";
+import {
+  checkTeam, canonicalTeam,
+  checkTournament, canonicalTournament,
+  checkScouting, canonicalScouting,
+  checkHistory, canonicalHistory,
+  checkSchedule, canonicalSchedule,
+} from "./lib/validate-data.mjs";
+
+const TEAMS_DIR = "src/content/teams";
+const TOURNAMENTS_DIR = "src/content/tournaments";
+const SCOUTING_DIR = "src/content/scouting";
+const HIST_DIR = "src/data/mhr-history";
+const SCHEDULE_DIR = "src/data/auto-schedule";
+const OVERRIDES_FILE = "src/data/opponent-overrides.json";
+const PORTAL_FILE = "src/config/portal.json";
+
+function getArg(name) {
+  const p = `--${name}=`;
+  for (const a of process.argv.slice(2)) {
+    if (a.startsWith(p)) return a.slice(p.length);
+    if (a === `--${name}`) return true;
+  }
+  return undefined;
+}
+
+const FIX = !!getArg("fix");
+const DRY = !!getArg("dry");
+const QUIET = !!getArg("quiet");
+
+async function writeJson(p, data) {
+  await fs.mkdir(path.dirname(p), { recursive: true });
+  await fs.writeFile(p, JSON.stringify(data, null, 2) + "\n", "utf8");
+}
+
+/** Every *.json in a dir as { file, slug, data, raw, parseError? } (missing dir = none) */
+async function loadDir(dir) {
+  let names = [];
+  try { names = (await fs.readdir(dir)).filter((f) => f.endsWith(".json")).sort(); } catch { return []; }
+  const out = [];
+  for (const f of names) {
+    const file = path.join(dir, f);
+    const raw = await fs.readFile(file, "utf8");
+    const entry = { file, slug: f.replace(/\.json$/, ""), raw };
+    try { entry.data = JSON.parse(raw); } catch (e) { entry.parseError = e.message; }
+    out.push(entry);
+  }
+  return out;
+}
+
+async function main() {
+  const [teams, tournaments, scouting, histories, schedules] = await Promise.all(
+    [TEAMS_DIR, TOURNAMENTS_DIR, SCOUTING_DIR, HIST_DIR, SCHEDULE_DIR].map(loadDir)
+  );
+  let overrides = {};
+  try { overrides = JSON.parse(await fs.readFile(OVERRIDES_FILE, "utf8")); } catch {}
+  let portal = {};
+  try { portal = JSON.parse(await fs.readFile(PORTAL_FILE, "utf8")); } catch {}
+  const homeSlugs = new Set((portal.homeTeams ?? []).map((h) => h.slug));
+
+  const teamData = teams.filter((t) => t.data?.slug).map((t) => t.data);
+  const teamSlugs = new Set(teamData.map((t) => t.slug));
+  const teamIds = new Map(teamData.filter((t) => mhrTeamId(t.mhrUrl)).map((t) => [mhrTeamId(t.mhrUrl), t.slug]));
+  // Inline tournament opponents get pages and history too (src/lib/inline-teams.mjs)
+  const inline = collectInlineTeams(tournaments.filter((t) => t.data).map((t) => t.data), teamData);
+  const pageSlugs = new Set([...teamSlugs, ...inline.map((t) => t.slug)]);
+  const historyKeys = new Set([...teamSlugs, ...inline.map(historyKey)]);
+  const resolver = createResolver([...teamData, ...inline], { overrides });
+  const resolve = (s) => resolver.resolve(s);
+
+  const kinds = [
+    { label: "team", files: teams, check: (e) => checkTeam(e.data, e.slug), canonical: canonicalTeam },
+    {
+      label: "tournament",
+      files: tournaments,
+      check: (e) => checkTournament(e.data, e.slug, { teamSlugs, teamIds, resolve, homeSlugs }),
+      canonical: canonicalTournament,
+    },
+    {
+      label: "scouting",
+      files: scouting,
+      check: (e) => checkScouting(e.data, { teamSlugs: pageSlugs, resolve }),
+      canonical: canonicalScouting,
+    },
+    { label: "history", files: histories, check: (e) => checkHistory(e.data), canonical: canonicalHistory, owners: historyKeys },
+    { label: "schedule", files: schedules, check: (e) => checkSchedule(e.data), canonical: canonicalSchedule, owners: teamSlugs },
+  ];
+
+  const totals = { error: 0, warn: 0, note: 0, fixed: 0 };
+  // Home team pages read the team file for ratings and matchups
+  const homeless = [...homeSlugs].filter((s) => !teamSlugs.has(s));
+  if (homeless.length || !homeSlugs.size) {
+    console.log(`portal ${PORTAL_FILE}`);
+    if (!homeSlugs.size) console.log("  ✗ no homeTeams");
+    for (const s of homeless) console.log(`  ✗ home team "${s}" has no file in ${TEAMS_DIR}`);
+    totals.error += homeless.length || 1;
+  }
+  for (const kind of kinds) {
+    for (const e of kind.files) {
+      const issues = e.parseError
+        ? [{ level: "error", message: `invalid JSON: ${e.parseError}` }]
+        : kind.check(e);
+      if (kind.owners && !kind.owners.has(e.slug)) {
+        issues.push({ level: "warn", message: `no team "${e.slug}" in ${TEAMS_DIR} (the site never reads this file)` });
+      }
+
+      // Canonical form also normalizes formatting (2-space JSON + newline)
+      let fix = null;
+      if (FIX && !e.parseError) {
+        const { data, changes } = kind.canonical(e.data);
+        const text = JSON.stringify(data, null, 2) + "\n";
+        if (text !== e.raw) fix = { data, changes: changes.length ? changes : ["reformatted"] };
+      }
+
+      const shown = issues.filter((i) => !(QUIET && i.level === "note"));
+      for (const i of issues) totals[i.level]++;
+      if (!shown.length && !fix) continue;
+
+      console.log(`${kind.label} ${e.file}`);
+      for (const i of shown) {
+        const mark = i.level === "error" ? "✗" : i.level === "warn" ? "!" : "•";
+        console.log(`  ${mark} ${i.message}${i.fixable && !FIX ? " (--fix)" : ""}`);
+      }
+      if (fix) {
+        if (!DRY) await writeJson(e.file, fix.data);
+        totals.fixed++;
+        for (const c of fix.changes) console.log(`  ✓ ${DRY ? "would fix" : "fixed"}: ${c}`);
+      }
+    }
+  }
+
+  const checked = kinds.reduce((n, k) => n + k.files.length, 0);
+  console.log(
+    `\n${checked} file(s): ${totals.error} error(s), ${totals.warn} warning(s), ${totals.note} note(s)` +
+      (FIX ? `; ${totals.fixed} file(s) ${DRY ? "would be " : ""}rewritten` : "")
+  );
+  // Counted from the files as read, so a --fix run still fails on errors it can't repair
+  if (totals.error) process.exit(1);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -1,23 +1,68 @@
+import portal from "./portal.json";
+
+export type HomeTeam = {
+  slug: string;
+  name: string;
+  /** Big name in the header/title on this team's pages (default: the team name) */
+  portalName: string;
+  /** League & division for this team's league table and rating chart */
+  leagueName: string;
+  divisionName: string;
+  /** League standings page linked from the league table */
+  leagueUrl?: string;
+  /** Route prefix for this team's pages: "" for the first home team, else "/<prefix>" */
+  base: string;
+};
+
+export type Season = {
+  /** "2025-26" */
+  label: string;
+  /** MHR's `y=` for this season (the year it starts) */
+  mhrYear: number;
+};
+
 export type PortalSettings = {
-  /** Big name in the header/title */
+  /** Big name in the header/title of pages not tied to a home team (the first one's portalName) */
   portalName: string;
-  /** Your team’s display name & slug */
+  /** Your team’s display name & slug (the first of homeTeams) */
   teamName: string;
   teamSlug: string;
   /** League & division you want to feature on the homepage table */
   leagueName: string;
   divisionName: string;
+  /** Every team the portal is built around (src/config/portal.json); the first owns the unprefixed routes */
+  homeTeams: HomeTeam[];
+  season: Season;
   companyName: string;
   timeZone: string;
 };
 
-// Prefer PUBLIC_ env vars (work locally & on Netlify) and fall back to sensible defaults.
+type PortalTeam = Omit<HomeTeam, "base" | "portalName"> & { portalName?: string; prefix?: string };
+const [firstTeam, ...otherTeams] = portal.homeTeams as PortalTeam[];
+
+// Prefer PUBLIC_ env vars (work locally & on Netlify) and fall back to src/config/portal.json.
+const primaryName = import.meta.env.PUBLIC_TEAM_NAME ?? firstTeam.name;
+const primary: HomeTeam = {
+  slug: import.meta.env.PUBLIC_TEAM_SLUG ?? firstTeam.slug,
+  name: primaryName,
+  portalName: import.meta.env.PUBLIC_PORTAL_NAME ?? firstTeam.portalName ?? primaryName,
+  leagueName: import.meta.env.PUBLIC_LEAGUE_NAME ?? firstTeam.leagueName,
+  divisionName: import.meta.env.PUBLIC_DIVISION_NAME ?? firstTeam.divisionName,
+  leagueUrl: firstTeam.leagueUrl,
+  base: "",
+};
+
 const settings: PortalSettings = {
-  portalName: import.meta.env.PUBLIC_PORTAL_NAME ?? "Chesterfield Falcons 12U A1 Scouting Portal",
-  teamName: import.meta.env.PUBLIC_TEAM_NAME ?? "Chesterfield 12U A1",
-  teamSlug: import.meta.env.PUBLIC_TEAM_SLUG ?? "chesterfield-a1",
-  leagueName: import.meta.env.PUBLIC_LEAGUE_NAME ?? "MO Hockey",
-  divisionName: import.meta.env.PUBLIC_DIVISION_NAME ?? "12U A1",
+  portalName: primary.portalName,
+  teamName: primary.name,
+  teamSlug: primary.slug,
+  leagueName: primary.leagueName,
+  divisionName: primary.divisionName,
+  homeTeams: [
+    primary,
+    ...otherTeams.map(({ prefix, ...t }) => ({ ...t, portalName: t.portalName ?? t.name, base: `/${prefix ?? t.slug}` })),
+  ],
+  season: portal.season,
   companyName: import.meta.env.PUBLIC_COMPANY_NAME ?? "Christoc.com",
 
     /** Always format dates/times in this zone */
@@ -16,6 +16,8 @@ const teams = defineCollection({
     lastUpdated: z.string().optional(),
     /** Free-text note for status, tryouts, etc. */
     note: z.string().optional(),
+    /** Other names schedules use for this team ("KC Outlaws 12U - A1 Brown") */
+    aliases: z.array(z.string()).optional(),
   }),
 });
 
@@ -32,6 +34,10 @@ const tournaments = defineCollection({
     infoUrl: z.string().url().optional(),
     standingsUrl: z.string().url().optional(),
     photosUrl: z.string().url().optional(),
+    /** Rink names, for linking schedule rows whose venue isn't in `location`'s city (src/lib/tournament-match.mjs) */
+    venues: z.array(z.string()).optional(),
+    /** Home team slug (src/config/portal.json) this tournament is for; see tournamentHomes() */
+    team: z.string().optional(),
     opponents: z
       .array(
         z.union([
@@ -55,6 +61,25 @@ const tournaments = defineCollection({
         ])
       )
       .default([]),
+    /** Optional pool/playoff format; drives the odds simulation on the tournament page */
+    format: z
+      .object({
+        pools: z
+          .array(z.object({ name: z.string(), teams: z.array(z.string()).min(1) }))
+          .optional(),
+        advancePerPool: z.number().int().positive().optional(),
+        wildcards: z.number().int().nonnegative().optional(),
+        seeding: z.enum(["crossover", "overall"]).optional(),
+        gamesPerPair: z.number().int().positive().optional(),
+        pointsWin: z.number().optional(),
+        pointsTie: z.number().optional(),
+        goalDiffCap: z.number().int().nonnegative().optional(),
+        tiebreakers: z
+          .array(z.enum(["head-to-head", "wins", "goal-diff", "goals-against", "goals-for"]))
+          .optional(),
+        simulations: z.number().int().positive().optional(),
+      })
+      .optional(),
   }),
 });
 
@@ -62,6 +87,8 @@ const games = defineCollection({
   type: "data",
   schema: z.object({
     date: z.string(),
+    /** Home team slug this game is for (default: the first home team) */
+    team: z.string().optional(),
     opponent: z.string(),
     homeAway: z.enum(["Home", "Away", "Neutral"]).default("Neutral"),
     leagueGame: z.boolean().default(false),
@@ -73,4 +100,61 @@ const games = defineCollection({
   }),
 });
 
-export const collections = { teams, tournaments, games };
+/** Jersey number as written on the report ("7", 31, "00") */
+const jersey = z.union([z.number().int(), z.string()]);
+
+/** Dated scouting reports, one file per report: src/content/scouting/<team>-<date>.json */
+const scouting = defineCollection({
+  type: "data",
+  schema: z.object({
+    /** Slug of the team the report is about (team file or inline tournament opponent) */
+    team: z.string(),
+    /** Day of the report (YYYY-MM-DD) */
+    date: z.string(),
+    author: z.string(),
+    /** Game the report came from */
+    game: z
+      .object({
+        date: z.string(),
+        /** Who they played: a team slug/name/alias, resolved like schedule rows */
+        opponent: z.string(),
+        tournament: z.string().optional(),
+        /** Final score from the scouted team's side ("4-2") */
+        score: z.string().optional(),
+      })
+      .optional(),
+    summary: z.string().optional(),
+    /** Short points for the "what to watch for" block on matchup pages */
+    watchFor: z.array(z.string()).default([]),
+    forecheck: z.string().optional(),
+    breakout: z.string().optional(),
+    keyPlayers: z
+      .array(
+        z.object({
+          number: jersey,
+          name: z.string().optional(),
+          position: z.string().optional(),
+          note: z.string(),
+        })
+      )
+      .default([]),
+    goalies: z
+      .array(z.object({ number: jersey.optional(), name: z.string().optional(), note: z.string() }))
+      .default([]),
+    specialTeams: z
+      .object({ powerPlay: z.string().optional(), penaltyKill: z.string().optional() })
+      .optional(),
+    video: z
+      .array(
+        z.object({
+          url: z.string().url(),
+          label: z.string().optional(),
+          /** Where to start watching ("1:12:30") */
+          at: z.string().optional(),
+        })
+      )
+      .default([]),
+  }),
+});
+
+export const collections = { teams, tournaments, games, scouting };
@@ -0,0 +1,53 @@
+/**
+ * Shapes for the static JSON API under /api/ (see README → JSON API).
+ * Everything here is what the pages already show, resolved the same way.
+ */
+import settings from "../config/settings";
+import { buildTimestampISO } from "./build-info";
+import { goalOutlook, type HomeAway } from "./probability";
+
+const round = (v: number, d = 4) => Math.round(v * 10 ** d) / 10 ** d;
+
+/** Common envelope fields */
+export function apiMeta() {
+  return { generatedAt: buildTimestampISO, team: settings.teamSlug, timeZone: settings.timeZone };
+}
+
+export function jsonResponse(data: unknown) {
+  return new Response(JSON.stringify(data, null, 2) + "\n", {
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
+
+/** Public fields of a team (collection entry or inline tournament opponent) */
+export function teamSummary(t: any) {
+  const local = typeof t.slug === "string" && t.slug.length > 0;
+  return {
+    slug: t.slug ?? null,
+    name: t.name,
+    league: t.league ?? null,
+    division: t.division ?? null,
+    record: t.record ?? null,
+    rating: typeof t.rating === "number" ? t.rating : null,
+    stateRank: typeof t.mhrStateRank === "number" ? t.mhrStateRank : null,
+    nationalRank: typeof t.mhrNationalRank === "number" ? t.mhrNationalRank : null,
+    website: t.website ?? null,
+    mhrUrl: t.mhrUrl ?? null,
+    lastUpdated: t.lastUpdated ?? t.updatedFromMHRAt ?? null,
+    url: local ? `/teams/${t.slug}/` : null,
+  };
+}
+
+/** Our odds against `opp` (null without both ratings, or for ourselves) */
+export function oddsVs(me: any, opp: any, homeAway?: HomeAway) {
+  if (!me || !opp || me.slug === opp.slug) return null;
+  if (typeof me.rating !== "number" || typeof opp.rating !== "number") return null;
+  const o = goalOutlook(me.rating, opp.rating, homeAway);
+  return {
+    winProb: round(o.win + o.tie / 2),
+    expectedMargin: round(o.margin, 2),
+    win: round(o.win),
+    tie: round(o.tie),
+    loss: round(o.loss),
+  };
+}
@@ -0,0 +1,122 @@
+/**
+ * Schedule rows → calendar events for the /calendar/*.ics feeds, with the
+ * scouting summary (opponent rating, ranks, win probability, matchup link)
+ * written into each event's description.
+ */
+import settings from "../config/settings";
+import type { IcsEvent } from "./ics";
+import { winProb, goalOutlook, fmtMargin, fmtSplit, pct } from "./probability";
+import { fmtScore, type GameResult } from "./results";
+import { gameStart, isAllDay, localParts, resultFor } from "./schedule";
+import { toYmd } from "./tournaments";
+
+type Team = {
+  slug: string;
+  name: string;
+  record?: string;
+  rating?: number;
+  mhrStateRank?: number;
+  mhrNationalRank?: number;
+};
+
+export type GameEventContext = {
+  /** Our team (for win probability); missing = no odds */
+  myTeam?: Team;
+  /** Resolve a schedule row to a team in the collection */
+  resolve: (g: any) => Team | null | undefined;
+  /** Our imported results, to fill in scores of past games */
+  results?: GameResult[];
+  /** Site origin for absolute links (Astro `site`); links stay relative without it */
+  site?: URL;
+  /** Our team's route prefix for matchup links ("" or "/<prefix>", see lib/home.ts) */
+  base?: string;
+};
+
+/** Absolute URL when the site origin is known */
+export function siteUrl(path: string, site?: URL) {
+  return site ? new URL(path, site).toString() : path;
+}
+
+const uidHost = (site?: URL) => site?.host ?? "scouting-portal";
+const uidPart = (s: string) => s.replace(/[^A-Za-z0-9._-]+/g, "-").replace(/^-+|-+$/g, "");
+
+/** Stable UID: the feed's own id when there is one, else date/time/opponent */
+function gameUid(g: any, site?: URL) {
+  const base = g.sourceId ?? [g.date, g.time ?? "", g.opponent ?? g.opponentSlug ?? ""].join("-");
+  return `${uidPart(String(base))}@${uidHost(site)}`;
+}
+
+function ranks(t: Team) {
+  const out: string[] = [];
+  if (typeof t.mhrStateRank === "number") out.push(`State #${t.mhrStateRank}`);
+  if (typeof t.mhrNationalRank === "number") out.push(`National #${t.mhrNationalRank}`);
+  return out;
+}
+
+/** Scouting lines for an opponent (rating, ranks, odds, matchup link) */
+export function scoutingLines(opp: Team, ctx: Pick<GameEventContext, "myTeam" | "site" | "base">, homeAway?: any) {
+  const lines = [`Opponent: ${opp.name}${opp.record ? ` (${opp.record})` : ""}`];
+  const rating = typeof opp.rating === "number" ? [`Rating ${opp.rating.toFixed(2)}`] : [];
+  const rated = [...rating, ...ranks(opp)];
+  if (rated.length) lines.push(`MHR: ${rated.join(" · ")}`);
+
+  const me = ctx.myTeam;
+  if (me && me.slug !== opp.slug && typeof me.rating === "number" && typeof opp.rating === "number") {
+    const o = goalOutlook(me.rating, opp.rating, homeAway);
+    lines.push(
+      `Win probability: ${pct(winProb(me.rating, opp.rating, homeAway))} · ` +
+        `Expected margin ${fmtMargin(o.margin)} · W/T/L ${fmtSplit(o)}`
+    );
+  }
+  lines.push(`Matchup: ${siteUrl(`${ctx.base ?? ""}/matchups/${opp.slug}/`, ctx.site)}`);
+  return lines;
+}
+
+/** One schedule row as an event */
+export function gameEvent(g: any, ctx: GameEventContext): IcsEvent {
+  const opp = ctx.resolve(g) ?? undefined;
+  const label = opp?.name ?? g.opponent ?? g.opponentSlug ?? "TBD";
+  const start = gameStart(g);
+  const timed = !!start && !isNaN(start.getTime());
+
+  // Rows that aren't games ("POSSIBLE TRAVEL DAY") keep their own title
+  const summary = !opp && isAllDay(g)
+    ? label
+    : `${ctx.myTeam?.name ?? settings.teamName} ${g.homeAway === "Away" ? "@" : "vs"} ${label}`;
+
+  const lines: string[] = [];
+  if (g.homeAway && g.homeAway !== "Neutral") lines.push(`${g.homeAway} game`);
+  if (g.tournament) lines.push(`Tournament: ${g.tournament}`);
+
+  const res = resultFor(g, ctx.results ?? []);
+  if (res) lines.push(`Result: ${fmtScore(res)}`);
+
+  if (opp) lines.push(...scoutingLines(opp, ctx, g.homeAway));
+
+  return {
+    uid: gameUid(g, ctx.site),
+    summary,
+    ...(timed ? { start: start! } : { date: localParts(g).date }),
+    location: g.venue?.trim() || undefined,
+    description: lines.join("\n") || undefined,
+    url: opp ? siteUrl(`${ctx.base ?? ""}/matchups/${opp.slug}/`, ctx.site) : undefined,
+  };
+}
+
+/** All-day event spanning a tournament's dates */
+export function tournamentEvent(
+  t: { slug: string; name: string; location?: string; startDate: string; endDate: string; website?: string; infoUrl?: string },
+  site?: URL
+): IcsEvent {
+  const page = siteUrl(`/tournaments/${t.slug}/`, site);
+  const info = t.infoUrl ?? t.website;
+  return {
+    uid: `tournament-${uidPart(t.slug)}@${uidHost(site)}`,
+    summary: t.name,
+    date: toYmd(t.startDate),
+    endDate: toYmd(t.endDate),
+    location: t.location,
+    description: [`Scouting: ${page}`, ...(info ? [`Info: ${info}`] : [])].join("\n"),
+    url: page,
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * Weekly MHR movement digests written by `npm run update:digest`
+ * (src/data/digests/<date>.json), newest first.
+ */
+
+export type DigestAlert = {
+  kind: "rating" | "state" | "national" | "passed";
+  slug: string;
+  other?: string;
+  delta?: number;
+  text: string;
+};
+
+export type DigestRow = {
+  slug: string;
+  name: string;
+  league?: string;
+  division?: string;
+  snapshot: string;
+  rating?: number;
+  prevRating?: number;
+  ratingDelta?: number;
+  stateRank?: number;
+  prevStateRank?: number;
+  stateDelta?: number;
+  nationalRank?: number;
+  prevNationalRank?: number;
+  nationalDelta?: number;
+  tablePos?: number;
+  prevTablePos?: number;
+};
+
+export type Digest = {
+  date: string;
+  prevDate: string;
+  generatedAt?: string;
+  thresholds: { rating: number; state: number; national: number };
+  teams: DigestRow[];
+  alerts: DigestAlert[];
+};
+
+const mods = import.meta.glob("../data/digests/*.json", { eager: true });
+
+export function getDigests(): Digest[] {
+  return Object.values(mods)
+    .map((m: any) => (m?.default ?? m) as Digest)
+    .filter((d) => d && typeof d.date === "string")
+    .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/** "Mar 4, 2026" for a YYYY-MM-DD day */
+export function fmtDigestDate(ymd: string) {
+  return new Date(`${ymd}T12:00:00Z`).toLocaleDateString("en-US", {
+    timeZone: "UTC",
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+}
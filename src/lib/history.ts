@@ -0,0 +1,122 @@
+/**
+ * Robust MHR history loader: finds a team's src/data/mhr-history JSON by slug,
+ * name, `altSlugs`, `mhrSlug` or numeric MHR id (flat or nested dirs, array or
+ * { history: [] } shape), falling back to inline `team.history`. Inline
+ * tournament opponents are looked up by `mhr-<id>` first (see historyKey).
+ */
+import { historyKey } from "./inline-teams.mjs";
+
+export type HistoryPoint = {
+  date: string;
+  rating: number;
+  stateRank?: number;
+  nationalRank?: number;
+  /** Set on points filled in by `npm run backfill:history` ("wayback" | "html" | "csv") */
+  source?: string;
+};
+
+function slugifyName(n: string) {
+  return String(n).toLowerCase().trim().replace(/[^a-z0-9]+/g, "-").replace(/(^-|-$)/g, "");
+}
+
+// Support flat **and** nested dirs under /src/data/mhr-history
+const histMods = import.meta.glob(
+  [
+    "../data/mhr-history/*.json",
+    "../data/mhr-history/*/*.json",
+  ],
+  { eager: true }
+);
+
+// Normalize modules to { slugLower, fileBase, data[] }
+function normalizeModule(path: string, mod: any) {
+  const file = path.split("/").pop() || "";
+  const base = file.replace(/\.json$/i, "");
+  const slugLower = base.toLowerCase();
+
+  // Vite JSON can surface as { default: <parsed> } or just <parsed>
+  const val = (mod && typeof mod === "object" && "default" in mod) ? mod.default : mod;
+  // Accept arrays or {history: []}
+  const arr = Array.isArray(val) ? val : Array.isArray(val?.history) ? val.history : [];
+
+  return { slugLower, fileBase: base, data: arr as any[] };
+}
+
+export const historyFiles = Object.entries(histMods).map(([p, m]) => normalizeModule(p, m));
+
+/** Keys we try for a team, in order */
+function desiredKeys(team: any): string[] {
+  // Accept optional alternates in the team frontmatter
+  const altSlugs: string[] = Array.isArray(team.altSlugs) ? team.altSlugs : [];
+  const mhrSlug = team.mhrSlug ? String(team.mhrSlug).toLowerCase() : undefined;
+  // Sometimes people name files with the numeric MHR id
+  const idCandidates = [
+    team.mhrTeamId && String(team.mhrTeamId),
+    team.mhrId && String(team.mhrId),
+  ].filter(Boolean) as string[];
+
+  return [
+    ...(team.inline ? [String(historyKey(team)).toLowerCase()] : []),
+    String(team.slug ?? "").toLowerCase(),
+    slugifyName(team.name ?? ""),
+    ...altSlugs.map((s) => String(s).toLowerCase()),
+    ...(mhrSlug ? [mhrSlug] : []),
+    ...idCandidates,
+  ].filter(Boolean);
+}
+
+// Find best file by: exact ===, startsWith, includes (in both directions)
+function pickFile(keys: string[]) {
+  const files = historyFiles;
+  // try each desired key in order with multiple matching strategies
+  for (const key of keys) {
+    const k = key.toLowerCase();
+
+    const exact = files.find(f => f.slugLower === k);
+    if (exact) return exact;
+
+    const startsA = files.find(f => f.slugLower.startsWith(k));
+    if (startsA) return startsA;
+
+    const startsB = files.find(f => k.startsWith(f.slugLower));
+    if (startsB) return startsB;
+
+    const includesA = files.find(f => f.slugLower.includes(k));
+    if (includesA) return includesA;
+
+    const includesB = files.find(f => k.includes(f.slugLower));
+    if (includesB) return includesB;
+  }
+  return null;
+}
+
+function toPoints(rows: any[]): HistoryPoint[] {
+  return rows
+    .filter((p: any) => p && p.date && typeof p.rating === "number")
+    .map((p: any) => ({
+      date: String(p.date),
+      rating: Number(p.rating),
+      ...(typeof p.stateRank === "number" ? { stateRank: p.stateRank } : {}),
+      ...(typeof p.nationalRank === "number" ? { nationalRank: p.nationalRank } : {}),
+      ...(typeof p.source === "string" ? { source: p.source } : {}),
+    }));
+}
+
+/**
+ * Rating history for a team, sorted ascending by date.
+ * `file` is the matched history file (null when inline or nothing matched);
+ * `tried` lists the keys attempted, for dev diagnostics.
+ */
+export function getRatingHistory(team: any) {
+  const tried = desiredKeys(team);
+  const picked = pickFile(tried);
+
+  // If no file matched, also accept inline history attached to the team frontmatter (team.history)
+  let points: HistoryPoint[] = [];
+  if (picked?.data?.length) points = toPoints(picked.data);
+  else if (Array.isArray(team.history) && team.history.length) points = toPoints(team.history);
+
+  // Sort ascending by date (ISO YYYY-MM-DD recommended)
+  points.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  return { points, file: picked?.data?.length ? picked.fileBase : null, tried };
+}
@@ -0,0 +1,40 @@
+/**
+ * Home teams (src/config/portal.json → settings.homeTeams): the teams the
+ * portal is built around. The first one owns the plain routes (/, /schedule/,
+ * /tournaments/, /matchups/…); each other one gets the same pages under its
+ * prefix (/<prefix>/schedule/ …), built from src/pages/[...home]/.
+ */
+import settings, { type HomeTeam } from "../config/settings";
+
+export type { HomeTeam };
+
+/** Top-level routes a home team prefix can't take */
+const RESERVED = ["api", "calendar", "digest", "matchups", "schedule", "teams", "tournaments"];
+
+for (const h of settings.homeTeams.slice(1)) {
+  const prefix = h.base.slice(1);
+  if (!/^[a-z0-9-]+$/.test(prefix) || RESERVED.includes(prefix)) {
+    throw new Error(`portal.json: home team ${h.slug} can't use the route prefix "${prefix}"`);
+  }
+}
+
+export const homeTeams = settings.homeTeams;
+export const primaryHome = homeTeams[0];
+
+export function isHomeTeam(slug: string) {
+  return homeTeams.some((h) => h.slug === slug);
+}
+
+export function homeTeam(slug: string) {
+  return homeTeams.find((h) => h.slug === slug);
+}
+
+/** A home team's page path: homePath(h, "/schedule/") → "/rockets/schedule/" */
+export function homePath(home: HomeTeam, path = "/") {
+  return `${home.base}${path}`;
+}
+
+/** getStaticPaths entries for src/pages/[...home]/ (the first team's `home` param is undefined) */
+export function homeRoutes() {
+  return homeTeams.map((home) => ({ params: { home: home.base ? home.base.slice(1) : undefined }, props: { home } }));
+}
@@ -0,0 +1,116 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for the feeds under /calendar/.
+ * Timed events are written in UTC; all-day events as DATE values with an
+ * exclusive end day, which is what Google/Apple/Outlook expect.
+ */
+
+export type IcsEvent = {
+  uid: string;
+  summary: string;
+  /** Timed event: start instant (+ optional end; default `durationMin`) */
+  start?: Date;
+  end?: Date;
+  durationMin?: number;
+  /** All-day event: first and last local day (YYYY-MM-DD), inclusive */
+  date?: string;
+  endDate?: string;
+  location?: string;
+  description?: string;
+  url?: string;
+  status?: "CONFIRMED" | "TENTATIVE" | "CANCELLED";
+};
+
+export type IcsCalendar = {
+  name: string;
+  description?: string;
+  timeZone?: string;
+  events: IcsEvent[];
+};
+
+const DEFAULT_DURATION_MIN = 75;
+
+/** TEXT escaping: backslash, semicolon, comma, newline */
+export function escapeText(s: string) {
+  return String(s)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/** Fold content lines at 75 octets (continuation lines start with a space) */
+function fold(line: string) {
+  const enc = new TextEncoder();
+  if (enc.encode(line).length <= 75) return line;
+  const out: string[] = [];
+  let cur = "";
+  let curLen = 0;
+  for (const ch of line) {
+    const n = enc.encode(ch).length;
+    const limit = out.length ? 74 : 75; // the leading space counts
+    if (curLen + n > limit) {
+      out.push(cur);
+      cur = "";
+      curLen = 0;
+    }
+    cur += ch;
+    curLen += n;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+const utcStamp = (d: Date) => d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+const dateValue = (ymd: string) => ymd.replace(/-/g, "");
+
+function nextDay(ymd: string) {
+  const d = new Date(`${ymd}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+function eventLines(e: IcsEvent, stamp: string) {
+  const lines = ["BEGIN:VEVENT", `UID:${e.uid}`, `DTSTAMP:${stamp}`];
+  if (e.start) {
+    const end = e.end ?? new Date(e.start.getTime() + (e.durationMin ?? DEFAULT_DURATION_MIN) * 60000);
+    lines.push(`DTSTART:${utcStamp(e.start)}`, `DTEND:${utcStamp(end)}`);
+  } else if (e.date) {
+    lines.push(
+      `DTSTART;VALUE=DATE:${dateValue(e.date)}`,
+      `DTEND;VALUE=DATE:${dateValue(nextDay(e.endDate ?? e.date))}`
+    );
+  }
+  lines.push(`SUMMARY:${escapeText(e.summary)}`);
+  if (e.location) lines.push(`LOCATION:${escapeText(e.location)}`);
+  if (e.description) lines.push(`DESCRIPTION:${escapeText(e.description)}`);
+  if (e.url && /^https?:\/\//.test(e.url)) lines.push(`URL:${e.url}`); // must be absolute
+  if (e.status) lines.push(`STATUS:${e.status}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/** Serialize a calendar (CRLF line endings, folded) */
+export function buildCalendar(cal: IcsCalendar, now = new Date()) {
+  const stamp = utcStamp(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Scouting Portal//Schedule Export//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(cal.name)}`,
+    ...(cal.description ? [`X-WR-CALDESC:${escapeText(cal.description)}`] : []),
+    ...(cal.timeZone ? [`X-WR-TIMEZONE:${cal.timeZone}`] : []),
+    // Hints for subscribers; the site rebuilds daily
+    "REFRESH-INTERVAL;VALUE=DURATION:PT6H",
+    "X-PUBLISHED-TTL:PT6H",
+    ...cal.events.flatMap((e) => eventLines(e, stamp)),
+    "END:VCALENDAR",
+  ];
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+/** Response for a static `.ics` endpoint */
+export function icsResponse(body: string) {
+  return new Response(body, { headers: { "Content-Type": "text/calendar; charset=utf-8" } });
+}
@@ -0,0 +1,86 @@
+// src/lib/inline-teams.mjs
+// Inline tournament opponents (objects in a tournament's `opponents` with an
+// MHR link) tracked as lightweight teams, keyed by MHR team id so the same
+// team listed by several tournaments is one team. Shared by the site (team /
+// matchup pages, via src/lib/teams.ts) and the node scripts (rank history,
+// inline refresh, promote:opponent). Plain JS like ./opponent-match.mjs.
+
+import { slugify } from "./opponent-match.mjs";
+
+/** MHR team id from a team URL (`team_info.php?y=2025&t=15250` / `team-info?...&t=15250`) */
+export function mhrTeamId(url) {
+  const m = String(url ?? "").match(/[?&]t=(\d+)\b/);
+  return m ? m[1] : undefined;
+}
+
+/**
+ * File name (no `.json`) of a team's src/data/mhr-history file: the slug for
+ * team files, `mhr-<id>` for inline teams, so their history survives a slug change.
+ */
+export function historyKey(team) {
+  return team?.inline && team.mhrTeamId ? `mhr-${team.mhrTeamId}` : team?.slug;
+}
+
+const updatedAt = (op) => String(op?.updatedFromMHRAt ?? op?.lastUpdated ?? "");
+
+/**
+ * One team per MHR id across all tournaments, for inline opponents that
+ * aren't already a team in src/content/teams (matched by slug or MHR id).
+ *
+ *   tournaments: [{ slug, name, startDate, opponents }]
+ *   teams:       [{ slug, mhrUrl? }]
+ *
+ * Returns [{ slug, name, mhrTeamId, mhrUrl, website?, rating?, record?,
+ * mhrStateRank?, mhrNationalRank?, lastUpdated?, aliases, tournaments, inline: true }]
+ * with values from the most recently refreshed entry. The slug is the first
+ * explicit `slug` seen, else the first name seen (earliest tournament), with
+ * `-<id>` added when two teams would share it. It can change when tournaments
+ * or names do, so it is for display and routes only; stored data goes by
+ * `mhrTeamId` (see historyKey).
+ */
+export function collectInlineTeams(tournaments, teams) {
+  const teamSlugs = new Set(teams.map((t) => t.slug));
+  const teamIds = new Set(teams.map((t) => mhrTeamId(t.mhrUrl)).filter(Boolean));
+
+  const byId = new Map();
+  const ordered = [...tournaments].sort((a, b) => String(a.startDate ?? "").localeCompare(String(b.startDate ?? "")));
+  for (const t of ordered) {
+    for (const op of t.opponents ?? []) {
+      if (!op || typeof op !== "object") continue;
+      const id = mhrTeamId(op.mhrUrl);
+      if (!id || teamIds.has(id) || (op.slug && teamSlugs.has(op.slug))) continue;
+      if (!byId.has(id)) byId.set(id, { id, entries: [], tournaments: [] });
+      const g = byId.get(id);
+      g.entries.push(op);
+      if (!g.tournaments.includes(t.slug)) g.tournaments.push(t.slug);
+    }
+  }
+
+  const taken = new Set(teamSlugs);
+  const out = [];
+  for (const g of byId.values()) {
+    const latest = [...g.entries].sort((a, b) => updatedAt(b).localeCompare(updatedAt(a)))[0];
+    let slug = g.entries.find((op) => op.slug)?.slug ?? slugify(g.entries[0].name ?? "");
+    if (!slug || taken.has(slug)) slug = `${slug || "mhr"}-${g.id}`;
+    taken.add(slug);
+
+    const names = [...new Set(g.entries.map((op) => op.name).filter(Boolean))];
+    const pick = (k) => [latest, ...g.entries].map((op) => op[k]).find((v) => v !== undefined && v !== null);
+    const team = {
+      slug,
+      name: latest.name ?? names[0] ?? slug,
+      mhrTeamId: g.id,
+      mhrUrl: latest.mhrUrl,
+      aliases: names.filter((n) => n !== latest.name),
+      tournaments: g.tournaments,
+      inline: true,
+    };
+    for (const k of ["website", "rating", "record", "mhrStateRank", "mhrNationalRank", "note"]) {
+      const v = pick(k);
+      if (v !== undefined) team[k] = v;
+    }
+    if (updatedAt(latest)) team.lastUpdated = updatedAt(latest);
+    out.push(team);
+  }
+  return out.sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -0,0 +1,172 @@
+// src/lib/opponent-match.mjs
+// Opponent-name resolver shared by the site (via src/lib/opponents.ts) and the
+// report:opponents CLI, so the report scores names exactly like the pages do.
+// Plain JS on purpose: node scripts import it without a TypeScript step.
+
+/** Scores at or above this link a schedule row to a team. */
+export const MIN_SCORE = 60;
+
+function norm(s = "") {
+  return String(s).toLowerCase().trim();
+}
+function normAlnum(s = "") {
+  return norm(s).replace(/[^a-z0-9]/g, "");
+}
+export function slugify(s = "") {
+  return norm(s).replace(/[^a-z0-9]+/g, "-").replace(/(^-|-$)/g, "");
+}
+
+/** Normalize common abbreviations / spelling variants */
+function normalizeNamesForTokens(s = "") {
+  let txt = norm(s);
+
+  // STP → "saint peters", and "St." → "saint"
+  txt = txt.replace(/\bstp\b/g, "saint peters");
+  txt = txt.replace(/\bst\.?\b/g, "saint ");
+
+  // "u 12" / "12 u" → "12u"
+  txt = txt.replace(/\b(\d+)\s*u\b/g, "$1u");
+  txt = txt.replace(/\bu\s*(\d+)\b/g, "$1u");
+  txt = txt.replace(/\b(\d+)\s*under\b/g, "$1u");
+
+  // Collapse extra spaces
+  txt = txt.replace(/\s+/g, " ").trim();
+
+  return txt;
+}
+
+export function extractTokens(s = "") {
+  const cleaned = normalizeNamesForTokens(s);
+
+  // Pull useful bits
+  const age = (cleaned.match(/\b(\d{1,2})u\b/) || [])[1] || null;
+  const levelToken =
+    (cleaned.match(/\b(a|b|c)\s*([123])\b/) ||
+      cleaned.match(/\b(a|b|c)([123])\b/) ||
+      cleaned.match(/\b(house|rec)\b/) ||
+      [])[0] || null;
+
+  // Tokenize on non-alnum
+  const tokens = cleaned
+    .split(/[^a-z0-9]+/g)
+    .filter(Boolean)
+    .filter((w) => w.length > 1);
+
+  return {
+    raw: s,
+    cleaned,
+    age, // "12"
+    level: levelToken ? levelToken.replace(/\s+/g, "") : null, // "a2" / "b1" / "house"
+    alnum: normAlnum(s),
+    slug: slugify(s),
+    tokens: new Set(tokens),
+  };
+}
+
+function teamIndex(t) {
+  const nameTok = extractTokens(t.name || "");
+  const slugTok = extractTokens(t.slug || "");
+  const aliases = Array.isArray(t.aliases) ? t.aliases : [];
+  const aliasToks = aliases.map(extractTokens);
+
+  // Try to infer age/level from either name or slug
+  const age = nameTok.age || slugTok.age || null;
+  const level = nameTok.level || slugTok.level || null;
+
+  // Org tokens (e.g., "kirkwood", "saint", "peters")
+  const orgTokens = new Set(
+    [...nameTok.tokens, ...slugTok.tokens].filter(
+      (w) => !/^(12u|10u|14u|a1|a2|a3|b1|b2|b3|house|rec)$/.test(w)
+    )
+  );
+
+  return { t, nameTok, slugTok, aliasToks, age, level, orgTokens };
+}
+
+function scoreEntry(q, entry) {
+  const { t, nameTok, slugTok, aliasToks, age, level, orgTokens } = entry;
+  let s = 0;
+
+  // Strong exact-ish signals
+  if (q.slug && q.slug === slugTok.slug) s += 100;
+  if (t.slug && q.cleaned === slugify(t.slug)) s += 95;
+  if (q.alnum && q.alnum === nameTok.alnum) s += 92;
+  if (q.alnum && q.alnum === slugTok.alnum) s += 90;
+
+  // Alias exacts
+  for (const a of aliasToks) {
+    if (q.alnum && q.alnum === a.alnum) s += 88;
+    if (q.slug && q.slug === a.slug) s += 88;
+  }
+
+  // Token overlap (org/city/nickname words)
+  const overlap = [...q.tokens].filter(
+    (w) => nameTok.tokens.has(w) || slugTok.tokens.has(w) || orgTokens.has(w)
+  ).length;
+  s += Math.min(30, overlap * 6); // up to +30
+
+  // Age weight
+  if (q.age && age && q.age === age) s += 20;
+  else if (q.age && age && q.age !== age) s -= 25;
+
+  // Level/flight weight (A1/A2/B/C/House/etc.)
+  if (q.level && level && q.level === level) s += 35;
+  else if (q.level && level && q.level !== level) s -= 40;
+  if (q.level && !level) s -= 15;
+
+  return s;
+}
+
+/**
+ * Build a resolver over a team list.
+ *
+ *   teams:     [{ slug, name, aliases? }]
+ *   overrides: { [sourceId]: "team-slug" } (src/data/opponent-overrides.json)
+ *
+ * resolve(row | string) → team or null
+ * explain(row | string) → { raw, team, score, via, candidates: [{ team, score }] }
+ *   `via` is how it matched: override | slug | exact | fuzzy | none.
+ */
+export function createResolver(teams, { overrides = {}, minScore = MIN_SCORE } = {}) {
+  const bySlug = new Map(teams.map((t) => [t.slug, t]));
+  const indexed = teams.map(teamIndex);
+
+  function rank(raw) {
+    const q = extractTokens(raw);
+    return indexed
+      .map((entry) => ({ team: entry.t, score: scoreEntry(q, entry) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  function explain(g) {
+    const row = typeof g === "string" ? { opponent: g } : g ?? {};
+    const raw = String(row.opponent ?? "").trim();
+    const hit = (team, via, score = Infinity) => ({ raw, team, score, via, candidates: [] });
+
+    // 0) SourceID → override slug (for Crossbar ICS ambiguity like "Kirkwood"/"STP")
+    if (row.sourceId) {
+      const forced = overrides[row.sourceId];
+      if (forced && bySlug.has(forced)) return hit(bySlug.get(forced), "override");
+    }
+
+    // 1) Explicit slug on the row
+    if (row.opponentSlug && bySlug.has(row.opponentSlug)) return hit(bySlug.get(row.opponentSlug), "slug");
+
+    // 2) Literal lookup vs team slugs, then the slugified label
+    if (!raw) return { raw, team: null, score: -Infinity, via: "none", candidates: [] };
+    if (bySlug.has(raw)) return hit(bySlug.get(raw), "exact");
+    if (bySlug.has(slugify(raw))) return hit(bySlug.get(slugify(raw)), "exact");
+
+    // 3) Token/age/level-aware best-effort match
+    const candidates = rank(raw);
+    const best = candidates[0];
+    if (best && best.score >= minScore) return { raw, team: best.team, score: best.score, via: "fuzzy", candidates };
+    return { raw, team: null, score: best?.score ?? -Infinity, via: "none", candidates };
+  }
+
+  return {
+    bySlug,
+    explain,
+    resolve: (g) => explain(g).team,
+  };
+}
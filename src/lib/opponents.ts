@@ -0,0 +1,21 @@
+/**
+ * Site-side opponent resolver: every team in the collection (with its
+ * `aliases`) and the inline tournament opponents tracked by MHR id
+ * (./teams.ts), plus the optional sourceId overrides in
+ * src/data/opponent-overrides.json. Scoring lives in ./opponent-match.mjs,
+ * shared with `npm run report:opponents`.
+ */
+import { createResolver } from "./opponent-match.mjs";
+import { getAllTeams } from "./teams";
+
+// Optional overrides map: { [sourceId]: "opponent-slug" }
+// Use import.meta.glob so the file is optional without breaking the build.
+const overrideMods = import.meta.glob("../data/opponent-overrides.json", { eager: true });
+export const opponentOverrides: Record<string, string> =
+  (overrideMods["../data/opponent-overrides.json"] as any)?.default ?? {};
+
+/** Resolver over all teams (cheap to build; called once per page). */
+export async function getOpponentResolver() {
+  const teams = await getAllTeams();
+  return createResolver(teams, { overrides: opponentOverrides });
+}
@@ -0,0 +1,62 @@
+/**
+ * Opponent player and goalie stats written by `npm run update:players`
+ * (src/data/players/<slug>.json): season totals from GameSheet box scores,
+ * plus the game lines they were summed from.
+ */
+export type SkaterTotals = {
+  number?: string;
+  name?: string;
+  position?: string;
+  gp: number;
+  goals: number;
+  assists: number;
+  points: number;
+  pim: number;
+};
+
+export type GoalieTotals = {
+  number?: string;
+  name?: string;
+  gp: number;
+  shotsAgainst: number;
+  saves: number;
+  goalsAgainst: number;
+  /** null when no game had shots recorded */
+  savePct: number | null;
+};
+
+export type PlayerStats = {
+  team: string;
+  updatedAt: string;
+  skaters: SkaterTotals[];
+  goalies: GoalieTotals[];
+  games: { id: string; date?: string; opponent?: string }[];
+};
+
+const mods = import.meta.glob("../data/players/*.json", { eager: true });
+
+export function getPlayerStats(slug: string): PlayerStats | null {
+  const mod = mods[`../data/players/${slug}.json`] as any;
+  const data = mod?.default ?? mod;
+  return data && Array.isArray(data.skaters) ? (data as PlayerStats) : null;
+}
+
+/** Top scorers, penalty leaders and goalies for "Players to watch"; null when there's nothing to show */
+export function playersToWatch(stats: PlayerStats | null, { top = 5 } = {}) {
+  if (!stats || (!stats.skaters.length && !stats.goalies.length)) return null;
+  return {
+    games: stats.games.length,
+    updatedAt: stats.updatedAt,
+    scorers: stats.skaters.filter((p) => p.points > 0).slice(0, top),
+    penalties: [...stats.skaters]
+      .filter((p) => p.pim > 0)
+      .sort((a, b) => b.pim - a.pim || a.gp - b.gp)
+      .slice(0, top),
+    goalies: stats.goalies,
+  };
+}
+
+export type PlayersToWatch = NonNullable<ReturnType<typeof playersToWatch>>;
+
+/** ".925" */
+export const fmtSavePct = (v: number | null) => (v == null ? "—" : v.toFixed(3).replace(/^0/, ""));
@@ -1,12 +1,83 @@
 /**
- * Simple logistic win probability based on rating difference.
- * Tune SCALE to make the curve steeper/flatter for your rating system.
+ * Logistic win probability based on rating difference.
+ *
+ * MHR ratings are goal-differential based, so the rating difference doubles as
+ * the expected goal margin; the win/tie/loss split is derived from that margin.
+ *
+ * Parameters come from src/data/winprob-model.json when present (written by
+ * `npm run calibrate:winprob`), otherwise the hand-tuned defaults below:
+ *   - scale:         higher -> flatter curve. 6-10 works well for MHR-style ratings.
+ *   - homeAdvantage: rating points added to the home team (0 = ignore home ice).
+ *   - drawBand:      width of the tie band around an even game (0 = no ties).
+ *                    The default 1.75 gives ~14% ties between even teams; a
+ *                    fitted one (`calibrate:winprob -- --draw`) replaces it.
+ *
+ * The single "win %" shown on badges and in feeds is winProb(): the expected
+ * score, P(win) + P(tie)/2, so a tie band never pulls a favourite under 50%.
  */
-const SCALE = 6; // higher -> flatter curve. 6-10 works well for MHR-style ratings.
-export function winProb(rA: number, rB: number): number {
-  const diff = (rA ?? 0) - (rB ?? 0);
-  return 1 / (1 + Math.exp(-diff / SCALE));
+export type WinProbModel = {
+  scale: number;
+  homeAdvantage: number;
+  drawBand: number;
+};
+
+export type HomeAway = "Home" | "Away" | "Neutral" | undefined;
+
+const DEFAULT_MODEL: WinProbModel = { scale: 6, homeAdvantage: 0, drawBand: 1.75 };
+
+// Optional fitted parameters; import.meta.glob keeps the file optional for the build.
+const fitted = (
+  Object.values(import.meta.glob("../data/winprob-model.json", { eager: true }))[0] as any
+)?.default;
+
+export const model: WinProbModel = {
+  scale: Number(fitted?.scale) > 0 ? Number(fitted.scale) : DEFAULT_MODEL.scale,
+  homeAdvantage: Number.isFinite(fitted?.homeAdvantage) ? fitted.homeAdvantage : DEFAULT_MODEL.homeAdvantage,
+  drawBand: Number(fitted?.drawBand) >= 0 ? Number(fitted.drawBand) : DEFAULT_MODEL.drawBand,
+};
+
+const logistic = (x: number) => 1 / (1 + Math.exp(-x));
+
+/** Rating margin for team A, including home ice when A is Home/Away. */
+export function ratingEdge(rA: number, rB: number, homeAway?: HomeAway): number {
+  const home = homeAway === "Home" ? 1 : homeAway === "Away" ? -1 : 0;
+  return (rA ?? 0) - (rB ?? 0) + home * model.homeAdvantage;
 }
+
+/** Three-way split for team A. With drawBand = 0 this is the plain logistic. */
+export function outcomeProbs(rA: number, rB: number, homeAway?: HomeAway) {
+  const d = ratingEdge(rA, rB, homeAway);
+  const win = logistic((d - model.drawBand) / model.scale);
+  const loss = logistic((-d - model.drawBand) / model.scale);
+  return { win, tie: Math.max(0, 1 - win - loss), loss };
+}
+
+/** Expected goal margin for team A plus its win/tie/loss split. */
+export function goalOutlook(rA: number, rB: number, homeAway?: HomeAway) {
+  return { margin: ratingEdge(rA, rB, homeAway), ...outcomeProbs(rA, rB, homeAway) };
+}
+
+export type GoalOutlook = ReturnType<typeof goalOutlook>;
+
+/** "+1.4" / "-0.3" / "0.0" */
+export function fmtMargin(m: number): string {
+  const r = Math.round(m * 10) / 10;
+  return (r > 0 ? "+" : "") + r.toFixed(1);
+}
+
+/** "52/18/30" (W/T/L, whole percents that add to 100) */
+export function fmtSplit(o: { win: number; tie: number; loss: number }): string {
+  const w = Math.round(o.win * 100);
+  const l = Math.round(o.loss * 100);
+  return `${w}/${Math.max(0, 100 - w - l)}/${l}`;
+}
+
+/** Team A's "win %": P(win) + P(tie)/2 (the plain logistic when there is no tie band). */
+export function winProb(rA: number, rB: number, homeAway?: HomeAway): number {
+  const o = outcomeProbs(rA, rB, homeAway);
+  return o.win + o.tie / 2;
+}
+
 export function pct(p: number): string {
   if (Number.isNaN(p)) return "—";
   return Math.round(p * 100).toString() + "%";
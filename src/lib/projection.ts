@@ -0,0 +1,153 @@
+/**
+ * Projected rating range over the next block of scheduled games (the next
+ * tournament, else the next weekend). This is our own approximation, not
+ * MHR's: a team's rating is treated as the average "game rating" of its games,
+ * where a game rating is the opponent's rating plus the goal differential
+ * (capped at ±7). Each run plays the upcoming games with the same W/T/L model
+ * and Poisson scores as the tournament odds, folds the new game ratings into
+ * the average, and the spread of runs gives the band.
+ */
+import settings from "../config/settings";
+import { hashSeed, makeRng, playPoolGame } from "./tournament-sim";
+import { getCollection } from "astro:content";
+import { getSchedule, hasSchedule, isAllDay, localParts } from "./schedule";
+import { inTournament, tournamentsFor } from "./tournaments";
+import { getOpponentResolver } from "./opponents";
+
+const RUNS = 2000;
+const MAX_MARGIN = 7;
+/** Games assumed behind the current rating when the record is missing */
+const DEFAULT_GAMES = 20;
+
+export type ProjectionPoint = { date: string; p10: number; p25: number; p50: number; p75: number; p90: number };
+
+export type RatingProjection = {
+  /** Starting point (the current rating) */
+  from: { date: string; rating: number };
+  /** One point per game day in the horizon */
+  points: ProjectionPoint[];
+  /** "PREDSidents Day Classic" / "weekend of Mar 14" */
+  horizon: string;
+  games: number;
+  /** Games the current rating is assumed to average over */
+  basis: number;
+  runs: number;
+};
+
+type Team = { slug: string; name: string; rating?: number; record?: string };
+type Tournament = { slug: string; name: string; startDate: string; endDate: string };
+
+/** Games played from a "W-L-T" record */
+export function gamesFromRecord(record?: string) {
+  const parts = (record ?? "").split("-").map((n) => Number(n));
+  return parts.length >= 2 && parts.every(Number.isFinite) ? parts.reduce((a, b) => a + b, 0) : undefined;
+}
+
+function quantile(sorted: number[], q: number) {
+  const i = (sorted.length - 1) * q;
+  const lo = Math.floor(i), hi = Math.ceil(i);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+}
+
+const round2 = (v: number) => Math.round(v * 100) / 100;
+
+/**
+ * Upcoming rated games in the next block: everything through the end of the
+ * next tournament when the first upcoming game is in one, else through the
+ * Sunday after that game.
+ */
+function nextBlock(games: any[], resolve: (g: any) => Team | null | undefined, tournaments: Tournament[], today: string) {
+  const upcoming = games
+    .map((g) => ({ g, opp: resolve(g), day: localParts(g).date }))
+    .filter((x) => x.day >= today && !(isAllDay(x.g) && !x.opp))
+    .sort((a, b) => a.day.localeCompare(b.day));
+  if (!upcoming.length) return null;
+
+  const first = upcoming[0];
+  const t = tournaments.find((t) => inTournament(first.g, t));
+  let inBlock: typeof upcoming;
+  let horizon: string;
+  if (t) {
+    inBlock = upcoming.filter((x) => inTournament(x.g, t));
+    horizon = t.name;
+  } else {
+    const end = new Date(`${first.day}T12:00:00Z`);
+    end.setUTCDate(end.getUTCDate() + ((7 - end.getUTCDay()) % 7)); // through Sunday
+    const last = end.toISOString().slice(0, 10);
+    inBlock = upcoming.filter((x) => x.day <= last);
+    horizon = `weekend of ${new Date(`${first.day}T12:00:00Z`).toLocaleDateString("en-US", { timeZone: "UTC", month: "short", day: "numeric" })}`;
+  }
+  return { horizon, rows: inBlock.filter((x) => typeof x.opp?.rating === "number") };
+}
+
+/**
+ * Projection for `team` from its merged schedule, or null when there is
+ * nothing rated coming up (or the team has no rating).
+ */
+export function projectRating(
+  team: Team,
+  games: any[],
+  resolve: (g: any) => Team | null | undefined,
+  {
+    tournaments = [],
+    lastDate,
+    today,
+    runs = RUNS,
+  }: { tournaments?: Tournament[]; lastDate?: string; today?: string; runs?: number } = {}
+): RatingProjection | null {
+  if (typeof team.rating !== "number") return null;
+  const todayLocal = today ?? new Date().toLocaleDateString("en-CA", { timeZone: settings.timeZone });
+  const block = nextBlock(games, resolve, tournaments, todayLocal);
+  if (!block?.rows.length) return null;
+
+  const R = team.rating;
+  const basis = gamesFromRecord(team.record) || DEFAULT_GAMES;
+  const days = [...new Set(block.rows.map((x) => x.day))];
+  const samples: number[][] = days.map(() => []);
+  const rnd = makeRng(hashSeed(`${team.slug}|${block.horizon}|${days.join(",")}`));
+
+  const rows = block.rows;
+  for (let r = 0; r < runs; r++) {
+    let sum = R * basis, n = basis;
+    for (let i = 0; i < rows.length; i++) {
+      const opp = rows[i].opp!.rating!;
+      const [a, b] = playPoolGame(R, opp, rnd);
+      sum += opp + Math.max(-MAX_MARGIN, Math.min(MAX_MARGIN, a - b));
+      n++;
+      // Record the running rating after each day's last game
+      if (rows[i + 1]?.day !== rows[i].day) samples[days.indexOf(rows[i].day)].push(sum / n);
+    }
+  }
+
+  const points = days.map((date, i) => {
+    const s = samples[i].sort((a, b) => a - b);
+    return {
+      date,
+      p10: round2(quantile(s, 0.1)),
+      p25: round2(quantile(s, 0.25)),
+      p50: round2(quantile(s, 0.5)),
+      p75: round2(quantile(s, 0.75)),
+      p90: round2(quantile(s, 0.9)),
+    };
+  });
+
+  return {
+    from: { date: lastDate ?? todayLocal, rating: R },
+    points,
+    horizon: block.horizon,
+    games: block.rows.length,
+    basis,
+    runs,
+  };
+}
+
+/** Projection from the team's own schedule (null without one); `lastDate` anchors the band */
+export async function getRatingProjection(team: Team, lastDate?: string) {
+  if (!hasSchedule(team.slug)) return null;
+  const resolver = await getOpponentResolver();
+  const tournaments = (await getCollection("tournaments")).map((t) => t.data);
+  return projectRating(team, await getSchedule(team.slug), (g) => resolver.resolve(g), {
+    tournaments: tournamentsFor(team.slug, tournaments, resolver),
+    lastDate,
+  });
+}
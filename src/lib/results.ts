@@ -0,0 +1,91 @@
+/**
+ * Per-team game logs written by `npm run update:results`
+ * (src/data/results/<slug>.json). Each row is one completed game from that
+ * team's point of view: scoreFor is their goals, scoreAgainst the opponent's.
+ */
+export type GameResult = {
+  date: string;
+  time?: string;
+  opponent: string;
+  homeAway?: "Home" | "Away" | "Neutral";
+  venue?: string;
+  result: "W" | "L" | "T";
+  scoreFor: number;
+  scoreAgainst: number;
+  overtime?: string;
+  gameType?: string;
+  tournament?: string;
+  source?: string;
+};
+
+const mods = import.meta.glob("../data/results/*.json", { eager: true });
+
+export function getResults(slug: string): GameResult[] {
+  const mod = mods[`../data/results/${slug}.json`] as any;
+  const arr = mod?.default ?? mod;
+  return Array.isArray(arr) ? (arr as GameResult[]) : [];
+}
+
+export function summarize(rows: GameResult[]) {
+  const s = { w: 0, l: 0, t: 0, gf: 0, ga: 0 };
+  for (const g of rows) {
+    if (g.result === "W") s.w++;
+    else if (g.result === "L") s.l++;
+    else s.t++;
+    s.gf += g.scoreFor;
+    s.ga += g.scoreAgainst;
+  }
+  return s;
+}
+
+export function fmtScore(g: { result?: string; scoreFor?: number; scoreAgainst?: number; overtime?: string }) {
+  if (!g.result) return "—";
+  return `${g.result} ${g.scoreFor}-${g.scoreAgainst}${g.overtime ? ` (${g.overtime})` : ""}`;
+}
+
+const alnum = (s = "") => s.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Games between two teams (`us`, `them`: team slugs). A row counts when its
+ * opponent resolves to the other team (`resolve` is the site's opponent
+ * resolver, ./opponent-match.mjs), or when that fails, when the label equals
+ * `themName`. When both logs exist, their log must also have the game: same
+ * date, mirrored score, and an opponent that resolves to us.
+ */
+export function headToHead(
+  ours: GameResult[],
+  theirs: GameResult[],
+  { us, them, themName = "", resolve }: { us: string; them: string; themName?: string; resolve: (g: any) => { slug: string } | null | undefined }
+): GameResult[] {
+  const want = alnum(themName);
+  const vsThem = (g: GameResult) => resolve(g)?.slug === them || (!!want && alnum(g.opponent) === want);
+  const vsUs = (h: GameResult) => resolve(h)?.slug === us;
+  const candidates = ours.filter(vsThem);
+  if (!theirs.length) return candidates;
+  return candidates.filter((g) =>
+    theirs.some(
+      (h) => h.date === g.date && h.scoreFor === g.scoreAgainst && h.scoreAgainst === g.scoreFor && vsUs(h)
+    )
+  );
+}
+
+const minutes = (t?: string) =>
+  t && /^\d{2}:\d{2}/.test(t) ? Number(t.slice(0, 2)) * 60 + Number(t.slice(3, 5)) : undefined;
+
+/**
+ * Result for a scheduled game, matched by local date; with several games that
+ * day (tournaments) the one closest in start time wins.
+ */
+export function findResult(log: GameResult[], date: string, time?: string): GameResult | undefined {
+  const sameDay = log.filter((g) => g.date === date);
+  const want = minutes(time);
+  if (sameDay.length <= 1 || want == null) return sameDay[0];
+  let best = sameDay[0];
+  let bestGap = Infinity;
+  for (const g of sameDay) {
+    const m = minutes(g.time);
+    const gap = m == null ? Infinity : Math.abs(m - want);
+    if (gap < bestGap) { best = g; bestGap = gap; }
+  }
+  return best;
+}
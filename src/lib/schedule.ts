@@ -0,0 +1,92 @@
+/**
+ * Our merged schedule, as shown on /schedule: auto-generated rows from
+ * `npm run update:schedules` (src/data/auto-schedule/<slug>.json) plus manual
+ * games, de-duplicated by date|time|opponent with manual rows winning.
+ * Each row's `tournament` is the slug of the tournament file it belongs to
+ * (by tag, or by dates and venue; see ./tournament-match.mjs), else null.
+ * Also used by the calendar feeds under /calendar/.
+ */
+import { getCollection } from "astro:content";
+import settings from "../config/settings";
+import { findResult, type GameResult } from "./results";
+import { getOpponentResolver } from "./opponents";
+import { tournamentsFor } from "./tournaments";
+import { createTournamentLinker } from "./tournament-match.mjs";
+
+const TZ = settings.timeZone || "America/Chicago";
+
+const autoMods = import.meta.glob("../data/auto-schedule/*.json", { eager: true });
+
+const key = (g: any) =>
+  [g.date, g.time ?? "", (g.opponent ?? g.opponentSlug ?? "").toLowerCase()].join("|");
+
+/** Teams with an imported schedule (plus our home teams, which may only have manual games) */
+export function hasSchedule(teamSlug: string) {
+  return settings.homeTeams.some((h) => h.slug === teamSlug) || `../data/auto-schedule/${teamSlug}.json` in autoMods;
+}
+
+/**
+ * Merged, sorted schedule rows for a team (defaults to ours). Manual games
+ * belong to the home team in their `team` field, else to the first home team.
+ */
+export async function getSchedule(teamSlug = settings.teamSlug): Promise<any[]> {
+  const manualGames = (await getCollection("games"))
+    .map((g) => g.data)
+    .filter((g) => (g.team ?? settings.teamSlug) === teamSlug);
+  const autoGames = (autoMods[`../data/auto-schedule/${teamSlug}.json`] as any)?.default ?? [];
+
+  const mergedMap = new Map<string, any>();
+  [...autoGames, ...manualGames].forEach((g) => mergedMap.set(key(g), g));
+  const rows = [...mergedMap.values()].sort((a, b) =>
+    (a.date + (a.time ?? "")).localeCompare(b.date + (b.time ?? ""))
+  );
+
+  const resolver = await getOpponentResolver();
+  const tournaments = (await getCollection("tournaments")).map((t) => t.data);
+  const { link } = createTournamentLinker(tournamentsFor(teamSlug, tournaments, resolver));
+  return rows.map((g) => {
+    const t = link(g, localParts(g).date);
+    // A tag naming no tournament file (a title guess, an old name) stays as a hint
+    const hint = g.tournamentHint ?? (!t && g.tournament ? g.tournament : undefined);
+    return { ...g, tournament: t?.slug ?? null, ...(hint && { tournamentHint: hint }) };
+  });
+}
+
+/** Build a Date assuming incoming date+time are in UTC (ICS-derived flat fields) */
+export function dateFromUtcParts(dateStr?: string, timeStr?: string) {
+  if (!dateStr || !timeStr) return null;
+  const hhmm = /^\d{2}:\d{2}$/.test(timeStr) ? `${timeStr}:00` : timeStr;
+  const d = new Date(`${dateStr}T${hhmm}Z`);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+/** All-day-ish check for ICS rows with midnight times */
+export function isAllDay(g: any) {
+  if (g.source !== "ics") return false;
+  return (g.time === "00:00" || g.time === "00:00:00") && !g.start;
+}
+
+/** Start instant of a row: ISO `start`, else an ICS row's UTC clock; null when only a local day is known */
+export function gameStart(g: any): Date | null {
+  if (g.start) return new Date(g.start);
+  if (g.source === "ics" && !isAllDay(g)) return dateFromUtcParts(g.date, g.time);
+  return null;
+}
+
+/** Local YYYY-MM-DD / HH:MM for a row (rows without an instant already are local) */
+export function localParts(g: any) {
+  const d = gameStart(g);
+  if (!d) return { date: g.date as string, time: g.time as string | undefined };
+  const date = d.toLocaleDateString("en-CA", { timeZone: TZ });
+  const time = d.toLocaleTimeString("en-GB", { timeZone: TZ, hour: "2-digit", minute: "2-digit" });
+  return { date, time };
+}
+
+/** Manual rows carry their own result; past rows fall back to the imported log */
+export function resultFor(g: any, log: GameResult[]) {
+  if (g.result) return g;
+  const { date, time } = localParts(g);
+  const today = new Date().toLocaleDateString("en-CA", { timeZone: TZ });
+  if (date >= today || isAllDay(g)) return undefined;
+  return findResult(log, date, time);
+}
@@ -0,0 +1,74 @@
+/**
+ * Scouting reports (src/content/scouting/*.json): dated notes on a team's
+ * systems, key players, goalies and special teams, each from one game. Team
+ * pages list them all; matchup pages condense them into "what to watch for".
+ */
+import { getCollection, type CollectionEntry } from "astro:content";
+import { getOpponentResolver } from "./opponents";
+
+export type ScoutingReport = CollectionEntry<"scouting">["data"] & {
+  /** `game.opponent` resolved to a team, when it matches one */
+  gameOpponent?: { slug?: string; name: string };
+};
+
+type KeyPlayer = ScoutingReport["keyPlayers"][number] & { date: string };
+type Goalie = ScoutingReport["goalies"][number] & { date: string };
+
+export type WatchSummary = {
+  latest: ScoutingReport;
+  reports: number;
+  /** Points from the newest report that has any */
+  watchFor: string[];
+  /** One entry per jersey number, newest note wins */
+  keyPlayers: KeyPlayer[];
+  goalies: Goalie[];
+  powerPlay?: string;
+  penaltyKill?: string;
+};
+
+/** A team's reports, newest first */
+export async function getScoutingReports(slug: string): Promise<ScoutingReport[]> {
+  const reports = (await getCollection("scouting")).map((r) => r.data).filter((r) => r.team === slug);
+  if (!reports.length) return [];
+  const resolver = await getOpponentResolver();
+  return reports
+    .map((r) => {
+      if (!r.game) return r;
+      const opp = resolver.resolve(r.game.opponent);
+      return { ...r, gameOpponent: opp ? { slug: opp.slug, name: opp.name } : { name: r.game.opponent } };
+    })
+    .sort((a, b) => b.date.localeCompare(a.date) || (b.game?.date ?? "").localeCompare(a.game?.date ?? ""));
+}
+
+/** Condensed view of a team's reports (newest first) for matchup pages; null when there are none */
+export function watchSummary(reports: ScoutingReport[], { maxPlayers = 6 } = {}): WatchSummary | null {
+  if (!reports.length) return null;
+  const players = new Map<string, KeyPlayer>();
+  const goalies = new Map<string, Goalie>();
+  for (const r of reports) {
+    for (const p of r.keyPlayers) {
+      const k = String(p.number);
+      if (!players.has(k)) players.set(k, { ...p, date: r.date });
+    }
+    for (const g of r.goalies) {
+      const k = String(g.number ?? g.name ?? "");
+      if (!goalies.has(k)) goalies.set(k, { ...g, date: r.date });
+    }
+  }
+  return {
+    latest: reports[0],
+    reports: reports.length,
+    watchFor: reports.find((r) => r.watchFor.length)?.watchFor ?? [],
+    keyPlayers: [...players.values()].slice(0, maxPlayers),
+    goalies: [...goalies.values()],
+    powerPlay: reports.find((r) => r.specialTeams?.powerPlay)?.specialTeams?.powerPlay,
+    penaltyKill: reports.find((r) => r.specialTeams?.penaltyKill)?.specialTeams?.penaltyKill,
+  };
+}
+
+/** "#7 Smith (F)" */
+export function playerLabel(p: { number?: number | string; name?: string; position?: string }) {
+  return [p.number !== undefined ? `#${p.number}` : "", p.name ?? "", p.position ? `(${p.position})` : ""]
+    .filter(Boolean)
+    .join(" ");
+}
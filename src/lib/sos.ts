@@ -0,0 +1,120 @@
+/**
+ * Strength of schedule: average opponent rating for played and remaining
+ * games, the expected W/T/L over what's left (summed outcomeProbs; ties only
+ * with a fitted draw band), and weekend blocks — a tournament, else the Sat/Sun weekend —
+ * ranked by difficulty. Works for any team we have a schedule for.
+ */
+import settings from "../config/settings";
+import { outcomeProbs, type HomeAway } from "./probability";
+import { isAllDay, localParts, resultFor } from "./schedule";
+import { inTournament } from "./tournaments";
+import type { GameResult } from "./results";
+
+type Team = { slug: string; name: string; rating?: number };
+type Tournament = { slug: string; name: string; startDate: string; endDate: string };
+
+export type SosBucket = {
+  games: number;
+  /** Games whose opponent has a rating (the averages only use these) */
+  rated: number;
+  avgOpp: number | null;
+  /** Summed outcome probabilities over rated games */
+  expected: { win: number; tie: number; loss: number };
+};
+
+export type SosWeekend = SosBucket & {
+  key: string;
+  label: string;
+  href?: string;
+  from: string;
+  to: string;
+  upcoming: boolean;
+  /** Mean win probability over rated games (lower = harder) */
+  avgWin: number | null;
+};
+
+export type StrengthOfSchedule = {
+  team: Team;
+  past: SosBucket;
+  upcoming: SosBucket;
+  weekends: SosWeekend[];
+};
+
+const emptyBucket = (): SosBucket => ({ games: 0, rated: 0, avgOpp: null, expected: { win: 0, tie: 0, loss: 0 } });
+
+/** Saturday of the row's week (Sunday goes with the day before; midweek with the coming weekend) */
+function weekendKey(ymd: string) {
+  const d = new Date(`${ymd}T12:00:00Z`);
+  const dow = d.getUTCDay();
+  d.setUTCDate(d.getUTCDate() + (dow === 0 ? -1 : 6 - dow));
+  return d.toISOString().slice(0, 10);
+}
+
+const fmtDay = (ymd: string) =>
+  new Date(`${ymd}T12:00:00Z`).toLocaleDateString("en-US", { timeZone: "UTC", month: "short", day: "numeric" });
+
+function add(b: SosBucket, oppRating: number | undefined, me: Team, homeAway?: HomeAway) {
+  b.games++;
+  if (typeof oppRating !== "number" || typeof me.rating !== "number") return;
+  const o = outcomeProbs(me.rating, oppRating, homeAway);
+  b.avgOpp = ((b.avgOpp ?? 0) * b.rated + oppRating) / (b.rated + 1);
+  b.rated++;
+  b.expected.win += o.win;
+  b.expected.tie += o.tie;
+  b.expected.loss += o.loss;
+}
+
+/**
+ * `games`: the team's merged schedule rows; `resolve` maps a row to a team;
+ * `log`: the team's imported results (rows with a score count as played);
+ * `base`: route prefix for the tournament links (a home team's, see lib/home.ts).
+ */
+export function strengthOfSchedule(
+  team: Team,
+  games: any[],
+  resolve: (g: any) => Team | null | undefined,
+  { log = [], tournaments = [], today, base = "" }: { log?: GameResult[]; tournaments?: Tournament[]; today?: string; base?: string } = {}
+): StrengthOfSchedule {
+  const todayLocal = today ?? new Date().toLocaleDateString("en-CA", { timeZone: settings.timeZone });
+  const past = emptyBucket();
+  const upcoming = emptyBucket();
+  const weekends = new Map<string, SosWeekend>();
+
+  for (const g of games) {
+    const opp = resolve(g) ?? undefined;
+    // All-day rows nobody resolves are notes ("TRAVEL DAY"), not games
+    if (!opp && isAllDay(g)) continue;
+    if (opp?.slug === team.slug) continue;
+
+    const day = localParts(g).date;
+    const played = day < todayLocal || !!resultFor(g, log);
+    add(played ? past : upcoming, opp?.rating, team, g.homeAway);
+
+    const t = tournaments.find((t) => inTournament(g, t));
+    const key = t ? `t:${t.slug}` : `w:${weekendKey(day)}`;
+    let w = weekends.get(key);
+    if (!w) {
+      w = {
+        ...emptyBucket(),
+        key,
+        label: t ? t.name : `Weekend of ${fmtDay(weekendKey(day))}`,
+        href: t ? `${base}/tournaments/${t.slug}/` : undefined,
+        from: day,
+        to: day,
+        upcoming: false,
+        avgWin: null,
+      };
+      weekends.set(key, w);
+    }
+    add(w, opp?.rating, team, g.homeAway);
+    if (day < w.from) w.from = day;
+    if (day > w.to) w.to = day;
+    if (!played) w.upcoming = true;
+  }
+
+  const blocks = [...weekends.values()].map((w) => ({ ...w, avgWin: w.rated ? (w.expected.win + w.expected.tie / 2) / w.rated : null }));
+  // Hardest first: lowest average win % (winProb: ties count half); blocks without ratings last
+  blocks.sort((a, b) => (a.avgWin ?? 2) - (b.avgWin ?? 2) || a.from.localeCompare(b.from));
+
+  return { team, past, upcoming, weekends: blocks };
+}
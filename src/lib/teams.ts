@@ -0,0 +1,21 @@
+/**
+ * Every team the site builds pages for: src/content/teams plus inline
+ * tournament opponents tracked by MHR team id (./inline-teams.mjs). Inline
+ * teams carry `inline: true` and the tournaments that list them; promote one
+ * with `npm run promote:opponent` once we face it regularly.
+ */
+import { getCollection } from "astro:content";
+import { collectInlineTeams } from "./inline-teams.mjs";
+
+/** Inline opponents that aren't a team file yet */
+export async function getInlineTeams(): Promise<any[]> {
+  const teams = (await getCollection("teams")).map((t) => t.data);
+  const tournaments = (await getCollection("tournaments")).map((t) => t.data);
+  return collectInlineTeams(tournaments, teams);
+}
+
+/** Team files first, then inline opponents */
+export async function getAllTeams(): Promise<any[]> {
+  const teams = (await getCollection("teams")).map((t) => t.data);
+  return [...teams, ...(await getInlineTeams())];
+}
@@ -0,0 +1,109 @@
+// src/lib/tournament-match.mjs
+// Links schedule rows to tournament files. Shared by the site (getSchedule in
+// ./schedule.ts tags every row) and node scripts, so both agree on which games
+// belong to which tournament. Plain JS like ./opponent-match.mjs.
+//
+// A row is linked when:
+//   - its `tournament` names a tournament file (slug, name, or a tag that
+//     slugifies to either, like "stlouis-veterans-cup" for "veterans-cup"); or
+//   - its local day falls inside the tournament's dates and its venue agrees
+//     with the tournament's `location` (city or state) or `venues`. Rows with no
+//     venue count as agreeing; a row elsewhere (a home league game on a
+//     tournament weekend) is not linked unless its title hint names the
+//     tournament (`tournamentHint`, or an unknown `tournament` tag).
+
+import { slugify } from "./opponent-match.mjs";
+
+/** "2026-1-16" → "2026-01-16" */
+const ymd = (s) => {
+  const m = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(String(s ?? "").trim());
+  return m ? `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}` : undefined;
+};
+
+const words = (s) => new Set(String(s ?? "").toLowerCase().split(/[^a-z0-9]+/).filter((w) => w.length > 1));
+
+// Words that say nothing about which rink or event it is
+const NOISE = new Set(["ice", "center", "centre", "arena", "rink", "sports", "complex", "the", "of", "and", "rd", "dr", "st", "ave", "hwy", "pkwy", "blvd", "tournament", "cup", "classic", "showdown", "series", "hockey", "youth"]);
+
+const meaningful = (s) => new Set([...words(s)].filter((w) => !NOISE.has(w) && !/^\d+$/.test(w)));
+
+/** "Detroit, MI" → { cities: ["detroit"], state: "MI" } */
+function placeOf(location) {
+  const parts = String(location ?? "").split(",").map((p) => p.trim()).filter(Boolean);
+  const state = parts.length > 1 && /^[A-Z]{2}$/.test(parts[parts.length - 1]) ? parts.pop() : undefined;
+  return { cities: parts.map((p) => slugify(p).replace(/-/g, " ")).filter(Boolean), state };
+}
+
+/**
+ * How the row's venue fits the tournament: "venue" (a listed rink), "city",
+ * "state", "unknown" (no venue on the row) or "elsewhere".
+ */
+export function venueFit(venue, t) {
+  if (!String(venue ?? "").trim()) return "unknown";
+  const v = ` ${slugify(venue).replace(/-/g, " ")} `;
+  const vWords = meaningful(venue);
+  for (const rink of t.venues ?? []) {
+    const r = meaningful(rink);
+    if (r.size && [...r].every((w) => vWords.has(w))) return "venue";
+  }
+  const { cities, state } = placeOf(t.location);
+  if (cities.some((c) => v.includes(` ${c} `))) return "city";
+  if (state && new RegExp(`(^|[\\s,])${state}(\\s+\\d{5})?([\\s,]|$)`).test(String(venue))) return "state";
+  return "elsewhere";
+}
+
+/** Whether a title phrase ("Motown Cup", "PREDSidents Day") names the tournament */
+export function hintNames(hint, t) {
+  const h = meaningful(hint);
+  if (!h.size) return false;
+  const name = meaningful(`${t.name} ${t.slug}`);
+  return [...h].filter((w) => name.has(w)).length >= Math.min(2, h.size);
+}
+
+const FIT_SCORE = { venue: 4, city: 3, state: 2, unknown: 1 };
+
+/**
+ * Linker over tournament files ({ slug, name, startDate, endDate, location?,
+ * venues? }). `link(row, day)` → tournament or null, `day` being the row's
+ * local YYYY-MM-DD (defaults to row.date).
+ */
+export function createTournamentLinker(tournaments) {
+  const list = tournaments
+    .map((t) => ({ t, from: ymd(t.startDate), to: ymd(t.endDate ?? t.startDate) }))
+    .filter((x) => x.from && x.to);
+  const byTag = new Map();
+  for (const { t } of list) {
+    for (const k of [t.slug, t.name, slugify(t.name ?? "")]) if (k) byTag.set(String(k).toLowerCase(), t);
+  }
+
+  function tagged(tag) {
+    const k = String(tag ?? "").trim().toLowerCase();
+    if (!k) return null;
+    if (byTag.has(k)) return byTag.get(k);
+    const s = slugify(k);
+    if (byTag.has(s)) return byTag.get(s);
+    // "stlouis-veterans-cup" (a file name) for slug "veterans-cup"
+    return list.find(({ t }) => t.slug && s.endsWith(`-${t.slug}`))?.t ?? null;
+  }
+
+  function link(row, day = row?.date) {
+    const explicit = tagged(row?.tournament);
+    if (explicit) return explicit;
+    const hint = row?.tournamentHint ?? row?.tournament;
+    const d = ymd(day);
+    if (!d) return null;
+
+    let best = null;
+    for (const { t, from, to } of list) {
+      if (d < from || d > to) continue;
+      const fit = venueFit(row.venue, t);
+      const named = hint ? hintNames(hint, t) : false;
+      if (fit === "elsewhere" && !named) continue;
+      const score = (FIT_SCORE[fit] ?? 0) + (named ? 5 : 0);
+      if (!best || score > best.score) best = { t, score };
+    }
+    return best?.t ?? null;
+  }
+
+  return { link, tagged };
+}
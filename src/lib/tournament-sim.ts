@@ -0,0 +1,282 @@
+/**
+ * Monte Carlo pool-play + single-elimination simulator for tournament pages.
+ *
+ * Each pool game draws W/T/L from outcomeProbs() (same model as the win %
+ * badges), then a Poisson score consistent with that outcome so goal
+ * differential tiebreakers have something to work with. Playoff games can't
+ * end tied: the overtime/shootout winner is drawn from win / (win + loss).
+ *
+ * Runs at build time with a seeded RNG so a rebuild doesn't reshuffle the odds.
+ */
+import { outcomeProbs } from "./probability";
+
+export type Tiebreaker = "head-to-head" | "wins" | "goal-diff" | "goals-against" | "goals-for";
+
+export type TournamentFormat = {
+  /** Pools by team reference (slug or opponent name). Omitted = one pool of everyone. */
+  pools?: { name: string; teams: string[] }[];
+  /** Teams per pool that make the playoff bracket. */
+  advancePerPool?: number;
+  /** Extra playoff spots for the best non-advancing teams across pools. */
+  wildcards?: number;
+  /** "crossover" pairs A1 v B2 / B1 v A2; "overall" reseeds advancing teams by record. */
+  seeding?: "crossover" | "overall";
+  /** Pool games each pair plays (1 = single round robin). */
+  gamesPerPair?: number;
+  pointsWin?: number;
+  pointsTie?: number;
+  /** Max goal differential counted per game (unset = uncapped). */
+  goalDiffCap?: number;
+  /** Applied in order after points. */
+  tiebreakers?: Tiebreaker[];
+  simulations?: number;
+};
+
+export type SimTeam = { key: string; name: string; slug?: string; rating?: number };
+
+export type SimResult = {
+  team: SimTeam;
+  pool: string;
+  /** Rating used by the sim (field average when the team has none). */
+  rating: number;
+  estimated: boolean;
+  poolWin: number;
+  advance: number;
+  /** Probability of reaching the stage with N teams left, keyed by N (4 = semis, 2 = final, 1 = champion). */
+  reach: Record<number, number>;
+};
+
+export type Simulation = {
+  results: SimResult[];
+  stages: number[];
+  runs: number;
+  unmatched: string[];
+};
+
+const DEFAULT_TIEBREAKERS: Tiebreaker[] = ["head-to-head", "goal-diff", "goals-against", "goals-for"];
+const BASE_GOALS = 3; // per team per game at this level
+const MAX_RUNS = 20000;
+
+const norm = (s = "") => s.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/* ---------------- rng ---------------- */
+
+export function hashSeed(s: string): number {
+  let h = 2166136261;
+  for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 16777619);
+  return h >>> 0;
+}
+
+/** mulberry32 */
+export function makeRng(seed: number) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function poisson(lambda: number, rnd: () => number): number {
+  const L = Math.exp(-lambda);
+  let k = 0, p = 1;
+  do { k++; p *= rnd(); } while (p > L);
+  return k - 1;
+}
+
+/* ---------------- games ---------------- */
+
+type Score = [number, number];
+
+export function playPoolGame(rA: number, rB: number, rnd: () => number): Score {
+  const o = outcomeProbs(rA, rB);
+  const u = rnd();
+  const want = u < o.win ? 1 : u < o.win + o.tie ? 0 : -1;
+  const lamA = Math.max(0.5, BASE_GOALS + (rA - rB) / 2);
+  const lamB = Math.max(0.5, BASE_GOALS - (rA - rB) / 2);
+  for (let i = 0; i < 50; i++) {
+    const a = poisson(lamA, rnd), b = poisson(lamB, rnd);
+    if (Math.sign(a - b) === want) return [a, b];
+  }
+  return want > 0 ? [1, 0] : want < 0 ? [0, 1] : [1, 1];
+}
+
+/** Returns true when A advances. */
+function playPlayoffGame(rA: number, rB: number, rnd: () => number): boolean {
+  const o = outcomeProbs(rA, rB);
+  return rnd() < o.win / (o.win + o.loss);
+}
+
+/* ---------------- standings ---------------- */
+
+type Row = { i: number; pts: number; w: number; gf: number; ga: number; gd: number };
+
+function rankPool(
+  members: number[],
+  games: { a: number; b: number; s: Score }[],
+  f: Required<Pick<TournamentFormat, "pointsWin" | "pointsTie" | "tiebreakers">> & { goalDiffCap?: number },
+  rnd: () => number
+): Row[] {
+  const rows = new Map<number, Row>(members.map((i) => [i, { i, pts: 0, w: 0, gf: 0, ga: 0, gd: 0 }]));
+  const cap = (d: number) => (f.goalDiffCap != null ? Math.max(-f.goalDiffCap, Math.min(f.goalDiffCap, d)) : d);
+  for (const { a, b, s } of games) {
+    const A = rows.get(a)!, B = rows.get(b)!;
+    A.gf += s[0]; A.ga += s[1]; A.gd += cap(s[0] - s[1]);
+    B.gf += s[1]; B.ga += s[0]; B.gd += cap(s[1] - s[0]);
+    if (s[0] > s[1]) { A.pts += f.pointsWin; A.w++; }
+    else if (s[1] > s[0]) { B.pts += f.pointsWin; B.w++; }
+    else { A.pts += f.pointsTie; B.pts += f.pointsTie; }
+  }
+
+  const h2h = (x: number, y: number) => {
+    let d = 0;
+    for (const { a, b, s } of games) {
+      if (a === x && b === y) d += Math.sign(s[0] - s[1]);
+      else if (a === y && b === x) d += Math.sign(s[1] - s[0]);
+    }
+    return d;
+  };
+
+  const coin = new Map(members.map((i) => [i, rnd()]));
+  const list = [...rows.values()];
+  return list.sort((x, y) => {
+    if (y.pts !== x.pts) return y.pts - x.pts;
+    const tied = list.filter((r) => r.pts === x.pts).length;
+    for (const tb of f.tiebreakers) {
+      let c = 0;
+      // head-to-head only settles a two-way tie; with three or more it moves on
+      if (tb === "head-to-head" && tied === 2) c = -h2h(x.i, y.i);
+      else if (tb === "wins") c = y.w - x.w;
+      else if (tb === "goal-diff") c = y.gd - x.gd;
+      else if (tb === "goals-against") c = x.ga - y.ga;
+      else if (tb === "goals-for") c = y.gf - x.gf;
+      if (c !== 0) return c;
+    }
+    return coin.get(x.i)! - coin.get(y.i)!;
+  });
+}
+
+/** Standard bracket order for `size` seeds (1 v size, 2 v size-1, … nested so top seeds meet last). */
+function bracketOrder(size: number): number[] {
+  let order = [1];
+  while (order.length < size) {
+    const n = order.length * 2;
+    order = order.flatMap((s) => [s, n + 1 - s]);
+  }
+  return order;
+}
+
+/* ---------------- simulation ---------------- */
+
+export function simulateTournament(
+  field: SimTeam[],
+  format: TournamentFormat,
+  seedKey = "tournament"
+): Simulation {
+  const f = {
+    pointsWin: format.pointsWin ?? 2,
+    pointsTie: format.pointsTie ?? 1,
+    tiebreakers: format.tiebreakers?.length ? format.tiebreakers : DEFAULT_TIEBREAKERS,
+    goalDiffCap: format.goalDiffCap,
+  };
+  const runs = Math.min(Math.max(1, format.simulations ?? 5000), MAX_RUNS);
+  const gamesPerPair = Math.max(1, format.gamesPerPair ?? 1);
+
+  // Resolve pools to indices into `field`
+  const lookup = new Map<string, number>();
+  field.forEach((t, i) => {
+    for (const k of [t.key, t.slug, t.name]) if (k) lookup.set(norm(k), i);
+  });
+  const unmatched: string[] = [];
+  const pools = (format.pools?.length ? format.pools : [{ name: "", teams: field.map((t) => t.key) }]).map((p) => ({
+    name: p.name,
+    members: p.teams
+      .map((ref) => {
+        const i = lookup.get(norm(ref));
+        if (i == null) unmatched.push(ref);
+        return i;
+      })
+      .filter((i): i is number => i != null),
+  }));
+
+  const inPool = new Map<number, string>();
+  for (const p of pools) for (const i of p.members) inPool.set(i, p.name);
+  const entrants = [...inPool.keys()];
+
+  // Unrated teams play at the field average
+  const rated = entrants.map((i) => field[i].rating).filter((r): r is number => typeof r === "number");
+  const avg = rated.length ? rated.reduce((s, r) => s + r, 0) / rated.length : 0;
+  const rating = (i: number) => (typeof field[i].rating === "number" ? field[i].rating! : avg);
+
+  const advancePerPool = Math.max(1, format.advancePerPool ?? (pools.length > 1 ? 2 : Math.min(4, entrants.length)));
+  const wildcards = Math.max(0, format.wildcards ?? 0);
+  const seeding = format.seeding ?? (pools.length > 1 ? "crossover" : "overall");
+  const bracketTeams = Math.min(entrants.length, pools.reduce((n, p) => n + Math.min(advancePerPool, p.members.length), 0) + wildcards);
+  let size = 1;
+  while (size < bracketTeams) size *= 2;
+  const stages = [8, 4, 2, 1].filter((n) => n < bracketTeams || n === 1);
+
+  const tally = new Map<number, { poolWin: number; advance: number; reach: Record<number, number> }>(
+    entrants.map((i) => [i, { poolWin: 0, advance: 0, reach: Object.fromEntries(stages.map((n) => [n, 0])) }])
+  );
+
+  const rnd = makeRng(hashSeed(seedKey));
+  const byRecord = (x: Row, y: Row) => y.pts - x.pts || y.gd - x.gd || x.ga - y.ga || y.gf - x.gf;
+
+  for (let run = 0; run < runs; run++) {
+    // Pool play
+    const tables = pools.map((p) => {
+      const games: { a: number; b: number; s: Score }[] = [];
+      for (let x = 0; x < p.members.length; x++) {
+        for (let y = x + 1; y < p.members.length; y++) {
+          const a = p.members[x], b = p.members[y];
+          for (let g = 0; g < gamesPerPair; g++) games.push({ a, b, s: playPoolGame(rating(a), rating(b), rnd) });
+        }
+      }
+      return rankPool(p.members, games, f, rnd);
+    });
+    for (const t of tables) if (t.length) tally.get(t[0].i)!.poolWin++;
+
+    // Playoff field, tiered by pool finish
+    const tiers: Row[][] = [];
+    for (const t of tables) t.slice(0, advancePerPool).forEach((r, k) => (tiers[k] ??= []).push(r));
+    if (seeding === "overall") tiers.forEach((tier) => tier.sort(byRecord));
+    const seeds = tiers.flat();
+    if (wildcards) {
+      const rest = tables.flatMap((t) => t.slice(advancePerPool)).sort(byRecord);
+      seeds.push(...rest.slice(0, wildcards));
+    }
+    for (const r of seeds) tally.get(r.i)!.advance++;
+
+    // Single elimination; missing seeds are byes
+    let alive: (number | undefined)[] = bracketOrder(size).map((s) => seeds[s - 1]?.i);
+    while (alive.length > 1) {
+      const next: (number | undefined)[] = [];
+      for (let k = 0; k < alive.length; k += 2) {
+        const a = alive[k], b = alive[k + 1];
+        if (a == null || b == null) next.push(a ?? b);
+        else next.push(playPlayoffGame(rating(a), rating(b), rnd) ? a : b);
+      }
+      alive = next;
+      const left = next.filter((i) => i != null) as number[];
+      if (left.length > 1 && stages.includes(left.length)) for (const i of left) tally.get(i)!.reach[left.length]++;
+    }
+    if (alive[0] != null) tally.get(alive[0])!.reach[1]++;
+  }
+
+  const results: SimResult[] = entrants.map((i) => {
+    const t = tally.get(i)!;
+    return {
+      team: field[i],
+      pool: inPool.get(i) ?? "",
+      rating: rating(i),
+      estimated: typeof field[i].rating !== "number",
+      poolWin: t.poolWin / runs,
+      advance: t.advance / runs,
+      reach: Object.fromEntries(stages.map((n) => [n, t.reach[n] / runs])),
+    };
+  });
+  results.sort((a, b) => a.pool.localeCompare(b.pool) || b.reach[1] - a.reach[1] || b.advance - a.advance);
+  return { results, stages, runs, unmatched };
+}
@@ -0,0 +1,98 @@
+/**
+ * Tournament opponent lists: `opponents` entries are a team slug/name/alias
+ * string or an inline object (optionally with a `slug` of a local team, whose
+ * data it overrides; inline objects with an MHR link map to the inline team
+ * tracked under that MHR id, see ./teams.ts). Shared by the tournament pages and /api/tournaments/,
+ * along with matching schedule rows to a tournament.
+ */
+
+import settings from "../config/settings";
+import { localParts } from "./schedule";
+import { mhrTeamId } from "./inline-teams.mjs";
+
+type Resolver = { resolve: (g: any) => any };
+
+/** "2026-1-16" → "2026-01-16" (tournament files aren't always zero-padded) */
+export function toYmd(s: string) {
+  const m = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(s.trim());
+  return m ? `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}` : s;
+}
+
+/**
+ * A schedule row belongs to a tournament when tagged with it. getSchedule()
+ * links every row (null: none), so only rows from elsewhere fall back to dates.
+ */
+export function inTournament(g: any, t: { slug: string; name: string; startDate: string; endDate: string }) {
+  if (g.tournament !== undefined) return g.tournament != null && (g.tournament === t.slug || g.tournament === t.name);
+  const day = localParts(g).date;
+  return day >= toYmd(t.startDate) && day <= toYmd(t.endDate);
+}
+
+/** One `opponents` entry → team-like object (null when empty) */
+export function resolveTournamentOpponent(
+  op: any,
+  bySlug: Map<string, any>,
+  resolver: Resolver,
+  byMhrId: Map<string, any> = new Map()
+) {
+  if (typeof op === "string") {
+    return resolver.resolve(op) ?? { name: op }; // fallback shows plain name if not found
+  }
+  // Inline object
+  if (op && typeof op === "object") {
+    // If inline also includes a slug that matches a local team, merge local data + overrides from inline
+    const local = op.slug ? bySlug.get(op.slug) : undefined;
+    if (local && !local.inline) {
+      return { ...local, ...op };
+    }
+    // Tracked inline team: freshest values across tournaments, plus its slug for links
+    const tracked = byMhrId.get(mhrTeamId(op.mhrUrl) ?? "");
+    if (tracked?.inline) return { ...op, ...tracked };
+    return op; // pure inline object (no local team)
+  }
+  return null;
+}
+
+/** Resolved opponents, sorted by rating desc, then national rank asc, then name */
+export function resolveTournamentOpponents(tournament: { opponents?: any[] }, teams: any[], resolver: Resolver) {
+  const bySlug = new Map(teams.map((t) => [t.slug, t]));
+  const byMhrId = new Map(teams.filter((t) => t.mhrTeamId).map((t) => [String(t.mhrTeamId), t]));
+  const opponentsRaw = Array.isArray(tournament.opponents) ? tournament.opponents : [];
+  return opponentsRaw
+    .map((op) => resolveTournamentOpponent(op, bySlug, resolver, byMhrId))
+    .filter(Boolean)
+    .sort((a: any, b: any) => {
+      const ra = typeof a?.rating === "number" ? a.rating : -1;
+      const rb = typeof b?.rating === "number" ? b.rating : -1;
+      if (rb !== ra) return rb - ra;
+      const na = typeof a?.mhrNationalRank === "number" ? a.mhrNationalRank : 999999;
+      const nb = typeof b?.mhrNationalRank === "number" ? b?.mhrNationalRank : 999999;
+      if (na !== nb) return na - nb;
+      return String(a?.name ?? "").localeCompare(String(b?.name ?? ""));
+    });
+}
+
+const listedSlug = (op: any, resolver: Resolver) => (typeof op === "string" ? resolver.resolve(op)?.slug : op?.slug);
+
+/**
+ * Home teams a tournament is for: its `team`, else the home teams listed among
+ * its opponents, else the first home team.
+ */
+export function tournamentHomes(t: { team?: string; opponents?: any[] }, resolver: Resolver) {
+  if (t.team) return [t.team];
+  const listed = settings.homeTeams
+    .map((h) => h.slug)
+    .filter((slug) => (t.opponents ?? []).some((op: any) => listedSlug(op, resolver) === slug));
+  return listed.length ? listed : [settings.teamSlug];
+}
+
+/**
+ * Tournaments whose dates can group a team's schedule: a home team's own (see
+ * tournamentHomes), or for another team only the ones listing it among the opponents.
+ */
+export function tournamentsFor<T extends { team?: string; opponents?: any[] }>(teamSlug: string, tournaments: T[], resolver: Resolver) {
+  if (settings.homeTeams.some((h) => h.slug === teamSlug)) {
+    return tournaments.filter((t) => tournamentHomes(t, resolver).includes(teamSlug));
+  }
+  return tournaments.filter((t) => (t.opponents ?? []).some((op: any) => listedSlug(op, resolver) === teamSlug));
+}
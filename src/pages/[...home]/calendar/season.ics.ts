@@ -0,0 +1,41 @@
+/**
+ * /calendar/season.ics — our full season (the merged /schedule rows), with
+ * opponent scouting in each event's description. Other home teams get
+ * /<prefix>/calendar/season.ics.
+ */
+import type { APIRoute } from "astro";
+import { getCollection } from "astro:content";
+import settings from "../../../config/settings";
+import { buildCalendar, icsResponse } from "../../../lib/ics";
+import { gameEvent } from "../../../lib/calendar";
+import { getSchedule } from "../../../lib/schedule";
+import { getOpponentResolver } from "../../../lib/opponents";
+import { getResults } from "../../../lib/results";
+import { homeRoutes, type HomeTeam } from "../../../lib/home";
+
+export function getStaticPaths() {
+  return homeRoutes();
+}
+
+export const GET: APIRoute = async ({ props, site }) => {
+  const { home } = props as { home: HomeTeam };
+  const teams = (await getCollection("teams")).map((t) => t.data);
+  const opponents = await getOpponentResolver();
+  const ctx = {
+    myTeam: teams.find((t) => t.slug === home.slug),
+    resolve: (g: any) => opponents.resolve(g),
+    results: getResults(home.slug),
+    site,
+    base: home.base,
+  };
+
+  const games = await getSchedule(home.slug);
+  return icsResponse(
+    buildCalendar({
+      name: `${home.name} schedule`,
+      description: `${home.portalName}: games with opponent ratings and win probability`,
+      timeZone: settings.timeZone,
+      events: games.map((g) => gameEvent(g, ctx)),
+    })
+  );
+};
@@ -0,0 +1,47 @@
+/**
+ * /api/schedule.json — the merged schedule from /schedule with local date/time,
+ * resolved opponents, our odds and imported results.
+ */
+import type { APIRoute } from "astro";
+import { getCollection } from "astro:content";
+import settings from "../../config/settings";
+import { apiMeta, jsonResponse, oddsVs, teamSummary } from "../../lib/api";
+import { getOpponentResolver } from "../../lib/opponents";
+import { getResults } from "../../lib/results";
+import { gameStart, getSchedule, localParts, resultFor } from "../../lib/schedule";
+
+export const GET: APIRoute = async () => {
+  const teams = (await getCollection("teams")).map((t) => t.data);
+  const me = teams.find((t) => t.slug === settings.teamSlug);
+  const opponents = await getOpponentResolver();
+  const log = getResults(settings.teamSlug);
+
+  const games = (await getSchedule(settings.teamSlug)).map((g) => {
+    const opp = opponents.resolve(g);
+    const start = gameStart(g);
+    const { date, time } = localParts(g);
+    const res = resultFor(g, log);
+    return {
+      date,
+      time: start ? time : null,
+      start: start?.toISOString() ?? null,
+      allDay: !start,
+      opponent: g.opponent ?? g.opponentSlug ?? null,
+      opponentSlug: opp?.slug ?? null,
+      opponentTeam: opp ? teamSummary(opp) : null,
+      homeAway: g.homeAway ?? "Neutral",
+      venue: g.venue?.trim() || null,
+      leagueGame: !!g.leagueGame,
+      tournament: g.tournament ?? null,
+      odds: oddsVs(me, opp, g.homeAway),
+      result: res
+        ? { result: res.result, scoreFor: res.scoreFor, scoreAgainst: res.scoreAgainst, overtime: res.overtime ?? null }
+        : null,
+      matchupUrl: opp ? `/matchups/${opp.slug}/` : null,
+      source: g.source ?? "manual",
+      sourceId: g.sourceId ?? null,
+    };
+  });
+
+  return jsonResponse({ ...apiMeta(), myTeam: me ? teamSummary(me) : null, games });
+};
@@ -0,0 +1,26 @@
+/**
+ * /api/teams.json — every team in the collection with rating, ranks and our
+ * odds against them. Per-team detail (history, game log) is at /api/teams/<slug>.json.
+ */
+import type { APIRoute } from "astro";
+import { getCollection } from "astro:content";
+import settings from "../../config/settings";
+import { apiMeta, jsonResponse, oddsVs, teamSummary } from "../../lib/api";
+
+export const GET: APIRoute = async () => {
+  const teams = (await getCollection("teams")).map((t) => t.data);
+  const me = teams.find((t) => t.slug === settings.teamSlug);
+
+  return jsonResponse({
+    ...apiMeta(),
+    teams: teams
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((t) => ({
+        ...teamSummary(t),
+        aliases: t.aliases ?? [],
+        note: t.note ?? null,
+        odds: oddsVs(me, t),
+        api: `/api/teams/${t.slug}.json`,
+      })),
+  });
+};
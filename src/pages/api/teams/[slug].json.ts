@@ -0,0 +1,48 @@
+/**
+ * /api/teams/<slug>.json — one team with its MHR rating history, imported game
+ * log and our odds against them.
+ */
+import type { APIRoute, GetStaticPaths } from "astro";
+import { getCollection } from "astro:content";
+import settings from "../../../config/settings";
+import { apiMeta, jsonResponse, oddsVs, teamSummary } from "../../../lib/api";
+import { getRatingHistory } from "../../../lib/history";
+import { getResults, headToHead, summarize } from "../../../lib/results";
+import { getOpponentResolver } from "../../../lib/opponents";
+
+export const getStaticPaths = (async () => {
+  const teams = await getCollection("teams");
+  return teams.map((t) => ({ params: { slug: t.data.slug }, props: { team: t.data } }));
+}) satisfies GetStaticPaths;
+
+export const GET: APIRoute = async ({ props }) => {
+  const { team } = props as { team: any };
+  const teams = (await getCollection("teams")).map((t) => t.data);
+  const me = teams.find((t) => t.slug === settings.teamSlug);
+  const isSelf = team.slug === settings.teamSlug;
+
+  const log = getResults(team.slug);
+  const opponents = await getOpponentResolver();
+  const h2h = isSelf
+    ? []
+    : headToHead(getResults(settings.teamSlug), log, {
+        us: settings.teamSlug,
+        them: team.slug,
+        themName: team.name,
+        resolve: (g) => opponents.resolve(g),
+      });
+
+  return jsonResponse({
+    ...apiMeta(),
+    team: {
+      ...teamSummary(team),
+      aliases: team.aliases ?? [],
+      note: team.note ?? null,
+      matchupUrl: isSelf ? null : `/matchups/${team.slug}/`,
+    },
+    odds: oddsVs(me, team),
+    history: getRatingHistory(team).points,
+    results: { summary: summarize(log), games: log },
+    headToHead: isSelf ? null : { summary: summarize(h2h), games: h2h },
+  });
+};
@@ -0,0 +1,49 @@
+/**
+ * /api/tournaments/<slug>.json — a tournament with its opponents resolved
+ * (slugs/aliases → teams, inline objects merged over local data), our odds
+ * against each, and the simulated title odds when it has a `format`.
+ */
+import type { APIRoute, GetStaticPaths } from "astro";
+import { getCollection } from "astro:content";
+import settings from "../../../config/settings";
+import { apiMeta, jsonResponse, oddsVs, teamSummary } from "../../../lib/api";
+import { getOpponentResolver } from "../../../lib/opponents";
+import { resolveTournamentOpponents } from "../../../lib/tournaments";
+import { getAllTeams } from "../../../lib/teams";
+import { simulateTournament } from "../../../lib/tournament-sim";
+
+export const getStaticPaths = (async () => {
+  const tournaments = await getCollection("tournaments");
+  return tournaments.map((t) => ({ params: { slug: t.data.slug }, props: { tournament: t.data } }));
+}) satisfies GetStaticPaths;
+
+export const GET: APIRoute = async ({ props }) => {
+  const { tournament } = props as { tournament: any };
+  const teams = await getAllTeams();
+  const me = teams.find((t) => t.slug === settings.teamSlug);
+  const resolver = await getOpponentResolver();
+
+  const field = resolveTournamentOpponents(tournament, teams, resolver);
+  const sim = tournament.format
+    ? simulateTournament(
+        field.map((t: any) => ({ key: t.slug ?? t.name, name: t.name, slug: t.slug, rating: t.rating })),
+        tournament.format,
+        tournament.slug
+      )
+    : null;
+
+  const { opponents: _raw, format, ...info } = tournament;
+  return jsonResponse({
+    ...apiMeta(),
+    tournament: { ...info, url: `/tournaments/${tournament.slug}/`, format: format ?? null },
+    opponents: field.map((t: any) => ({ ...teamSummary(t), note: t.note ?? null, odds: oddsVs(me, t) })),
+    simulation: sim
+      ? {
+          runs: sim.runs,
+          stages: sim.stages,
+          unmatched: sim.unmatched,
+          results: sim.results,
+        }
+      : null,
+  });
+};
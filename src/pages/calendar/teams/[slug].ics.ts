@@ -0,0 +1,46 @@
+/**
+ * /calendar/teams/<slug>.ics — our games against one opponent (merged
+ * schedule rows that resolve to that team).
+ */
+import type { APIRoute, GetStaticPaths } from "astro";
+import { getCollection } from "astro:content";
+import settings from "../../../config/settings";
+import { buildCalendar, icsResponse } from "../../../lib/ics";
+import { gameEvent } from "../../../lib/calendar";
+import { getSchedule } from "../../../lib/schedule";
+import { getOpponentResolver } from "../../../lib/opponents";
+import { getResults } from "../../../lib/results";
+import { getAllTeams } from "../../../lib/teams";
+
+export const getStaticPaths = (async () => {
+  // Inline tournament opponents too (their team pages link here)
+  const teams = await getAllTeams();
+  return teams
+    .filter((t) => t.slug !== settings.teamSlug)
+    .map((t) => ({ params: { slug: t.slug }, props: { team: t } }));
+}) satisfies GetStaticPaths;
+
+export const GET: APIRoute = async ({ props, site }) => {
+  const { team } = props as { team: any };
+  const teams = (await getCollection("teams")).map((t) => t.data);
+  const opponents = await getOpponentResolver();
+  const ctx = {
+    myTeam: teams.find((t) => t.slug === settings.teamSlug),
+    resolve: (g: any) => opponents.resolve(g),
+    results: getResults(settings.teamSlug),
+    site,
+  };
+
+  const games = (await getSchedule(settings.teamSlug)).filter(
+    (g) => opponents.resolve(g)?.slug === team.slug
+  );
+
+  return icsResponse(
+    buildCalendar({
+      name: `${settings.teamName} vs ${team.name}`,
+      description: `Games against ${team.name} with ratings and win probability`,
+      timeZone: settings.timeZone,
+      events: games.map((g) => gameEvent(g, ctx)),
+    })
+  );
+};
@@ -0,0 +1,44 @@
+/**
+ * /calendar/tournaments/<slug>.ics — the tournament's dates as an all-day
+ * event plus our games in it (rows tagged with the tournament, or falling
+ * inside its dates).
+ */
+import type { APIRoute, GetStaticPaths } from "astro";
+import { getCollection } from "astro:content";
+import settings from "../../../config/settings";
+import { buildCalendar, icsResponse } from "../../../lib/ics";
+import { gameEvent, tournamentEvent } from "../../../lib/calendar";
+import { inTournament, toYmd } from "../../../lib/tournaments";
+import { getSchedule } from "../../../lib/schedule";
+import { getOpponentResolver } from "../../../lib/opponents";
+import { getResults } from "../../../lib/results";
+
+export const getStaticPaths = (async () => {
+  const tournaments = await getCollection("tournaments");
+  return tournaments.map((t) => ({ params: { slug: t.data.slug }, props: { tournament: t.data } }));
+}) satisfies GetStaticPaths;
+
+export const GET: APIRoute = async ({ props, site }) => {
+  const { tournament } = props as { tournament: any };
+  const teams = (await getCollection("teams")).map((t) => t.data);
+  const opponents = await getOpponentResolver();
+  const ctx = {
+    myTeam: teams.find((t) => t.slug === settings.teamSlug),
+    resolve: (g: any) => opponents.resolve(g),
+    results: getResults(settings.teamSlug),
+    site,
+  };
+
+  const from = toYmd(tournament.startDate);
+  const to = toYmd(tournament.endDate);
+  const games = (await getSchedule(settings.teamSlug)).filter((g) => inTournament(g, tournament));
+
+  return icsResponse(
+    buildCalendar({
+      name: `${tournament.name} – ${settings.teamName}`,
+      description: `${tournament.location} · ${from} to ${to}`,
+      timeZone: settings.timeZone,
+      events: [tournamentEvent(tournament, site), ...games.map((g) => gameEvent(g, ctx))],
+    })
+  );
+};
@@ -0,0 +1,45 @@
+/**
+ * /digest/rss.xml — RSS 2.0 feed of the weekly MHR digests (latest 20).
+ * Item links are absolute when `site` is configured (see SITE_URL).
+ */
+import type { APIRoute } from "astro";
+import settings from "../../config/settings";
+import { getDigests, fmtDigestDate } from "../../lib/digests";
+
+const xml = (s: string) =>
+  s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+export const GET: APIRoute = ({ site }) => {
+  const link = (p: string) => (site ? new URL(p, site).toString() : p);
+  const items = getDigests()
+    .slice(0, 20)
+    .map((d) => {
+      const text = d.alerts.length
+        ? d.alerts.map((a) => `• ${a.text}`).join("\n")
+        : "Quiet week — nothing crossed the alert thresholds.";
+      return [
+        "    <item>",
+        `      <title>${xml(`Week of ${fmtDigestDate(d.date)}: ${d.alerts.length} alert(s)`)}</title>`,
+        `      <link>${xml(link(`/digest/${d.date}/`))}</link>`,
+        `      <guid isPermaLink="false">digest-${d.date}</guid>`,
+        `      <pubDate>${new Date(`${d.date}T12:00:00Z`).toUTCString()}</pubDate>`,
+        `      <description>${xml(text)}</description>`,
+        "    </item>",
+      ].join("\n");
+    });
+
+  const body = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<rss version="2.0">`,
+    "  <channel>",
+    `    <title>${xml(`${settings.portalName} – Weekly MHR digest`)}</title>`,
+    `    <link>${xml(link("/digest/"))}</link>`,
+    `    <description>${xml(`Rating and rank movement for ${settings.leagueName} ${settings.divisionName} teams`)}</description>`,
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+
+  return new Response(body, { headers: { "Content-Type": "application/rss+xml; charset=utf-8" } });
+};